@@ -0,0 +1,153 @@
+const AircraftType = require('../models/aircraftTypeModel');
+const { APIError } = require('../middlewares/errorHandler');
+const aircraftCatalog = require('../services/aircraftCatalog');
+const professionalIndex = require('../services/search/professionalIndex');
+
+const EDITABLE_FIELDS = ['manufacturer', 'model', 'family', 'typeRatingGroup', 'engineClass', 'category', 'aliases'];
+
+const assertAdmin = (user) => {
+  if (user.role !== 'admin') {
+    throw new APIError('Not authorized to manage the aircraft catalog', 403);
+  }
+};
+
+// Catalog edits change how names resolve, so cached lookups are rebuilt
+const catalogChanged = () => {
+  aircraftCatalog.invalidate();
+  professionalIndex.invalidate();
+};
+
+// List catalog entries, optionally by manufacturer, family, type rating group, engine class or category
+exports.getAircraftTypes = async (req, res, next) => {
+  try {
+    await aircraftCatalog.load();
+
+    const filters = ['manufacturer', 'family', 'typeRatingGroup', 'engineClass', 'category']
+      .filter(field => req.query[field])
+      .map(field => [field, String(req.query[field]).toLowerCase()]);
+
+    const aircraftTypes = aircraftCatalog.getTypes()
+      .filter(type => filters.every(([field, value]) => String(type[field]).toLowerCase() === value))
+      .sort((a, b) => a.designator.localeCompare(b.designator));
+
+    res.status(200).json({
+      success: true,
+      count: aircraftTypes.length,
+      aircraftTypes
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Resolve a free-form name such as "Boeing 737-800" to its catalog entry
+exports.resolveAircraftType = async (req, res, next) => {
+  try {
+    if (!req.query.name) {
+      throw new APIError('Name is required', 400);
+    }
+
+    await aircraftCatalog.load();
+    const aircraftType = aircraftCatalog.resolve(req.query.name);
+    if (!aircraftType) {
+      throw new APIError('Aircraft type not recognized', 404);
+    }
+
+    res.status(200).json({
+      success: true,
+      aircraftType
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Add a catalog entry
+exports.createAircraftType = async (req, res, next) => {
+  try {
+    assertAdmin(req.user);
+
+    const aircraftType = await AircraftType.create({
+      designator: req.body.designator,
+      ...EDITABLE_FIELDS.reduce((fields, field) => ({ ...fields, [field]: req.body[field] }), {}),
+      updatedBy: req.user.id
+    });
+    catalogChanged();
+
+    res.status(201).json({
+      success: true,
+      aircraftType
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return next(new APIError('Aircraft type already exists', 409));
+    }
+    next(error);
+  }
+};
+
+// Update a catalog entry. The designator itself is not editable because
+// profiles and work history store it.
+exports.updateAircraftType = async (req, res, next) => {
+  try {
+    assertAdmin(req.user);
+
+    const update = EDITABLE_FIELDS
+      .filter(field => req.body[field] !== undefined)
+      .reduce((fields, field) => ({ ...fields, [field]: req.body[field] }), { updatedBy: req.user.id });
+
+    const aircraftType = await AircraftType.findOneAndUpdate(
+      { designator: req.params.designator.toUpperCase() },
+      { $set: update },
+      { new: true, runValidators: true }
+    );
+
+    if (!aircraftType) {
+      throw new APIError('Aircraft type not found', 404);
+    }
+    catalogChanged();
+
+    res.status(200).json({
+      success: true,
+      aircraftType
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Copy bundled catalog entries that are not in the collection yet
+exports.seedAircraftTypes = async (req, res, next) => {
+  try {
+    assertAdmin(req.user);
+
+    const inserted = await aircraftCatalog.seed(req.user.id);
+    catalogChanged();
+
+    res.status(200).json({
+      success: true,
+      inserted
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Normalize aircraft names on existing profiles and work history to designators
+exports.migrateAircraftTypes = async (req, res, next) => {
+  try {
+    assertAdmin(req.user);
+
+    const report = await aircraftCatalog.migrateExistingData({
+      dryRun: req.body.dryRun === true || req.query.dryRun === 'true'
+    });
+    if (!report.dryRun) professionalIndex.invalidate();
+
+    res.status(200).json({
+      success: true,
+      report
+    });
+  } catch (error) {
+    next(error);
+  }
+};
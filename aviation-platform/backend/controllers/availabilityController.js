@@ -0,0 +1,118 @@
+const Availability = require('../models/availabilityModel');
+const { APIError } = require('../middlewares/errorHandler');
+const availability = require('../services/availability');
+
+const EDITABLE_FIELDS = ['kind', 'startDate', 'endDate', 'note'];
+
+// Calendar entries overlapping an optional window, with a summary for the window
+const getCalendar = async (userId, { from, to }) => {
+  const query = { user: userId };
+  let window = null;
+  if (from) {
+    window = availability.parseWindow(from, to);
+    query.startDate = { $lte: window.endDate };
+    query.endDate = { $gte: window.startDate };
+  }
+
+  const entries = await Availability.find(query).sort({ startDate: 1 });
+  return {
+    entries,
+    summary: window ? { ...window, ...availability.summarize(entries, window) } : null
+  };
+};
+
+// Get the user's own calendar
+exports.getMyAvailability = async (req, res, next) => {
+  try {
+    const { entries, summary } = await getCalendar(req.user.id, req.query);
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      summary,
+      availability: entries
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get another professional's calendar, e.g. when staffing a rotation
+exports.getUserAvailability = async (req, res, next) => {
+  try {
+    const { entries, summary } = await getCalendar(req.params.userId, req.query);
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      summary,
+      availability: entries
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Publish an available, standby, blocked or leave window
+exports.createAvailability = async (req, res, next) => {
+  try {
+    const { startDate, endDate } = availability.parseWindow(req.body.startDate, req.body.endDate);
+
+    const entry = await Availability.create({
+      user: req.user.id,
+      kind: req.body.kind,
+      startDate,
+      endDate,
+      note: req.body.note
+    });
+
+    res.status(201).json({
+      success: true,
+      availability: entry
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Update a calendar entry
+exports.updateAvailability = async (req, res, next) => {
+  try {
+    const entry = await Availability.findOne({ _id: req.params.id, user: req.user.id });
+    if (!entry) {
+      throw new APIError('Availability entry not found', 404);
+    }
+
+    EDITABLE_FIELDS
+      .filter(field => req.body[field] !== undefined)
+      .forEach((field) => {
+        entry[field] = req.body[field];
+      });
+    Object.assign(entry, availability.parseWindow(entry.startDate, entry.endDate));
+    await entry.save();
+
+    res.status(200).json({
+      success: true,
+      availability: entry
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Delete a calendar entry
+exports.deleteAvailability = async (req, res, next) => {
+  try {
+    const entry = await Availability.findOneAndDelete({ _id: req.params.id, user: req.user.id });
+    if (!entry) {
+      throw new APIError('Availability entry not found', 404);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Availability entry deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,135 @@
+const FtlRuleSet = require('../models/ftlRuleSetModel');
+const { APIError } = require('../middlewares/errorHandler');
+const ftl = require('../services/ftl');
+
+const EDITABLE_FIELDS = ['name', 'description', 'isDefault', 'limits', 'rest', 'duty'];
+
+// Roles that roster crew and may look at other professionals' compliance
+const ROSTERING_ROLES = ['admin', 'employer', 'agency'];
+
+const assertAdmin = (user) => {
+  if (user.role !== 'admin') {
+    throw new APIError('Not authorized to manage FTL rule sets', 403);
+  }
+};
+
+// The signed-in user, or another professional for rostering roles
+const resolveUserId = (req) => {
+  const { userId } = req.params;
+  if (!userId || userId === String(req.user.id)) return req.user.id;
+
+  if (!ROSTERING_ROLES.includes(req.user.role)) {
+    throw new APIError('Not authorized to view this professional\'s flight and duty times', 403);
+  }
+  return userId;
+};
+
+// Only one rule set can be the default
+const clearOtherDefaults = async (ruleSet) => {
+  if (ruleSet.isDefault) {
+    await FtlRuleSet.updateMany({ _id: { $ne: ruleSet._id }, isDefault: true }, { isDefault: false });
+  }
+};
+
+// List rule sets, with the built-in one used when none is marked default
+exports.getRuleSets = async (req, res, next) => {
+  try {
+    const ruleSets = await FtlRuleSet.find().sort({ code: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: ruleSets.length,
+      builtIn: ftl.DEFAULT_RULE_SET,
+      ruleSets
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Create a rule set
+exports.createRuleSet = async (req, res, next) => {
+  try {
+    assertAdmin(req.user);
+
+    const ruleSet = await FtlRuleSet.create({
+      ...EDITABLE_FIELDS
+        .filter(field => req.body[field] !== undefined)
+        .reduce((fields, field) => ({ ...fields, [field]: req.body[field] }), {}),
+      code: req.body.code,
+      createdBy: req.user.id
+    });
+    await clearOtherDefaults(ruleSet);
+
+    res.status(201).json({
+      success: true,
+      ruleSet
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return next(new APIError('A rule set with this code already exists', 409));
+    }
+    next(error);
+  }
+};
+
+// Update a rule set
+exports.updateRuleSet = async (req, res, next) => {
+  try {
+    assertAdmin(req.user);
+
+    const ruleSet = await FtlRuleSet.findOne({ code: req.params.code.toUpperCase() });
+    if (!ruleSet) {
+      throw new APIError('FTL rule set not found', 404);
+    }
+
+    EDITABLE_FIELDS
+      .filter(field => req.body[field] !== undefined)
+      .forEach((field) => {
+        ruleSet[field] = req.body[field];
+      });
+    await ruleSet.save();
+    await clearOtherDefaults(ruleSet);
+
+    res.status(200).json({
+      success: true,
+      ruleSet
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Compliance status for the current user, or another professional by id
+exports.getStatus = async (req, res, next) => {
+  try {
+    const compliance = await ftl.getStatus(resolveUserId(req), {
+      ruleSet: req.query.ruleSet,
+      at: req.query.at
+    });
+
+    res.status(200).json({
+      success: true,
+      compliance
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Upcoming limits for the current user, or another professional by id
+exports.getForecast = async (req, res, next) => {
+  try {
+    const forecast = await ftl.forecast(resolveUserId(req), {
+      ruleSet: req.query.ruleSet,
+      days: req.query.days
+    });
+
+    res.status(200).json({
+      success: true,
+      forecast
+    });
+  } catch (error) {
+    next(error);
+  }
+};
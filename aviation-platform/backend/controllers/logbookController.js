@@ -0,0 +1,265 @@
+const LogbookEntry = require('../models/logbookEntryModel');
+const WorkHistory = require('../models/workHistoryModel');
+const fs = require('fs');
+const { APIError } = require('../middlewares/errorHandler');
+const { cleanupUploadedFiles } = require('../middlewares/uploadMiddleware');
+const aircraftCatalog = require('../services/aircraftCatalog');
+const logbook = require('../services/logbook');
+const logbookImport = require('../services/logbookImport');
+const pagination = require('../services/search/pagination');
+
+const EDITABLE_FIELDS = [
+  'date', 'aircraftType', 'registration', 'departure', 'arrival', 'blockOff', 'blockOn',
+  ...LogbookEntry.TIME_FIELDS, 'landings', 'approaches', 'remarks'
+];
+
+const findWorkHistory = async (req) => {
+  const workHistory = await WorkHistory.findOne({
+    _id: req.params.id,
+    user: req.user.id
+  });
+
+  if (!workHistory) {
+    throw new APIError('Work history entry not found', 404);
+  }
+  return workHistory;
+};
+
+const findEntry = async (req, workHistory) => {
+  const entry = await LogbookEntry.findOne({
+    _id: req.params.entryId,
+    workHistory: workHistory._id
+  });
+
+  if (!entry) {
+    throw new APIError('Logbook entry not found', 404);
+  }
+  return entry;
+};
+
+// Editable fields from the request body, with the aircraft stored by designator
+const readEntryFields = async (body) => {
+  const fields = EDITABLE_FIELDS
+    .filter(field => body[field] !== undefined)
+    .reduce((result, field) => ({ ...result, [field]: body[field] }), {});
+
+  if (fields.aircraftType) {
+    await aircraftCatalog.load();
+    fields.aircraftType = aircraftCatalog.normalizeName(fields.aircraftType);
+  }
+  return fields;
+};
+
+// Summed times, landings and approaches over the matching entries
+const sumEntries = async (match) => {
+  const [totals] = await LogbookEntry.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        flights: { $sum: 1 },
+        blockTime: { $sum: '$blockTime' },
+        ...LogbookEntry.TIME_FIELDS.reduce((fields, field) => ({ ...fields, [field]: { $sum: `$${field}` } }), {}),
+        dayLandings: { $sum: '$landings.day' },
+        nightLandings: { $sum: '$landings.night' },
+        approaches: { $sum: { $sum: '$approaches.count' } }
+      }
+    },
+    { $project: { _id: 0 } }
+  ]);
+  return totals || null;
+};
+
+// List logbook entries for a work history entry, newest first, with totals
+// over everything matching the filters
+exports.getLogbookEntries = async (req, res, next) => {
+  try {
+    const workHistory = await findWorkHistory(req);
+    const { from, to, aircraftType, cursor } = req.query;
+    const limit = pagination.parseLimit(req.query.limit);
+    const sortKey = 'date:desc';
+
+    const query = { workHistory: workHistory._id };
+    if (from || to) {
+      query.date = {};
+      if (from) query.date.$gte = new Date(from);
+      if (to) query.date.$lte = new Date(to);
+    }
+    if (aircraftType) {
+      await aircraftCatalog.load();
+      query.aircraftType = aircraftCatalog.normalizeName(aircraftType);
+    }
+
+    const after = pagination.decodeCursor(cursor, sortKey);
+    const [rows, total, totals] = await Promise.all([
+      LogbookEntry.find({ $and: [query, pagination.afterCursor('date', -1, after)] })
+        .sort({ date: -1, _id: -1 })
+        .limit(limit + 1)
+        .lean(),
+      LogbookEntry.countDocuments(query),
+      sumEntries(query)
+    ]);
+    const { page: entries, nextCursor } = pagination.finishPage(rows, limit, sortKey, 'date');
+
+    res.status(200).json({
+      success: true,
+      count: total,
+      nextCursor,
+      totals,
+      entries
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get a single logbook entry
+exports.getLogbookEntry = async (req, res, next) => {
+  try {
+    const workHistory = await findWorkHistory(req);
+    const entry = await findEntry(req, workHistory);
+
+    res.status(200).json({
+      success: true,
+      entry
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Log a flight; the work history flight totals are recalculated from the logbook
+exports.createLogbookEntry = async (req, res, next) => {
+  try {
+    const workHistory = await findWorkHistory(req);
+    const fields = await readEntryFields(req.body);
+
+    await logbook.startLogbook(workHistory);
+    const entry = await LogbookEntry.create({
+      ...fields,
+      user: req.user.id,
+      workHistory: workHistory._id
+    });
+    const updated = await logbook.recalculateTotals(workHistory);
+
+    res.status(201).json({
+      success: true,
+      entry,
+      flightRecords: updated.flightRecords
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Correct a logged flight
+exports.updateLogbookEntry = async (req, res, next) => {
+  try {
+    const workHistory = await findWorkHistory(req);
+    const entry = await findEntry(req, workHistory);
+
+    Object.assign(entry, await readEntryFields(req.body));
+    await entry.save();
+    const updated = await logbook.recalculateTotals(workHistory);
+
+    res.status(200).json({
+      success: true,
+      entry,
+      flightRecords: updated.flightRecords
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Remove a logged flight
+exports.deleteLogbookEntry = async (req, res, next) => {
+  try {
+    const workHistory = await findWorkHistory(req);
+    const entry = await findEntry(req, workHistory);
+
+    await entry.deleteOne();
+    const updated = await logbook.recalculateTotals(workHistory);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logbook entry deleted successfully',
+      flightRecords: updated.flightRecords
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Column layouts the import understands
+exports.getImportPresets = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      fields: logbookImport.FIELDS,
+      dateFormats: logbookImport.DATE_FORMATS,
+      presets: logbookImport.getPresets()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Column mappings arrive as JSON text in multipart uploads
+const readMapping = (mapping) => {
+  if (typeof mapping !== 'string') return mapping;
+  try {
+    return JSON.parse(mapping);
+  } catch (error) {
+    throw new APIError('mapping must be a JSON object of field to column name', 400);
+  }
+};
+
+// Import logbook entries from CSV. By default this is a dry run returning the
+// column mapping and a per-row preview; with dryRun=false the valid rows are
+// committed. Invalid rows block the commit unless skipInvalid is set, and
+// duplicates are always skipped.
+exports.importLogbook = async (req, res, next) => {
+  try {
+    const workHistory = await findWorkHistory(req);
+    const { preset, dateFormat, dryRun, skipInvalid } = req.body;
+
+    // The export is uploaded as the file field; a csv string in a JSON body
+    // still works for small files
+    const csv = req.file ? await fs.promises.readFile(req.file.path, 'utf8') : req.body.csv;
+    const preview = await logbookImport.preview(workHistory, {
+      csv,
+      preset,
+      mapping: readMapping(req.body.mapping),
+      dateFormat
+    });
+
+    if (dryRun !== false && dryRun !== 'false') {
+      return res.status(200).json({
+        success: true,
+        dryRun: true,
+        ...preview
+      });
+    }
+
+    if (preview.summary.invalid > 0 && skipInvalid !== true && skipInvalid !== 'true') {
+      throw new APIError(`${preview.summary.invalid} rows are invalid; run a dry run to see them, or set skipInvalid to import the rest`, 400);
+    }
+
+    const result = await logbookImport.commit(workHistory, preview);
+
+    res.status(201).json({
+      success: true,
+      dryRun: false,
+      summary: { ...preview.summary, imported: result.imported },
+      flightRecords: result.flightRecords
+    });
+  } catch (error) {
+    next(error);
+  } finally {
+    // The upload is only read, never kept
+    if (req.file) {
+      cleanupUploadedFiles([req.file]);
+    }
+  }
+};
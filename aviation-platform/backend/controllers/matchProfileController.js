@@ -0,0 +1,105 @@
+const MatchProfile = require('../models/matchProfileModel');
+const { APIError } = require('../middlewares/errorHandler');
+const matching = require('../services/search/matching');
+
+const findMatchProfile = async (req) => {
+  const matchProfile = await MatchProfile.findOne({ _id: req.params.id, user: req.user.id });
+  if (!matchProfile) {
+    throw new APIError('Match profile not found', 404);
+  }
+  return matchProfile;
+};
+
+// Weights and radius from the request body, validated before saving
+const readProfileFields = (body) => {
+  const fields = {};
+
+  if (body.weights !== undefined) fields.weights = matching.parseWeights(body.weights || {});
+  if (body.radiusKm !== undefined) {
+    if (!(Number(body.radiusKm) > 0)) {
+      throw new APIError('radiusKm must be a positive number', 400);
+    }
+    fields.radiusKm = Number(body.radiusKm);
+  }
+
+  return fields;
+};
+
+// Save a named set of matching weights
+exports.createMatchProfile = async (req, res, next) => {
+  try {
+    if (!req.body.name) {
+      throw new APIError('Name is required', 400);
+    }
+
+    const matchProfile = await MatchProfile.create({
+      user: req.user.id,
+      name: req.body.name,
+      ...readProfileFields(req.body)
+    });
+
+    res.status(201).json({
+      success: true,
+      matchProfile
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return next(new APIError('A match profile with this name already exists', 409));
+    }
+    next(error);
+  }
+};
+
+// List the user's match profiles, with the defaults they build on
+exports.getMatchProfiles = async (req, res, next) => {
+  try {
+    const matchProfiles = await MatchProfile.find({ user: req.user.id })
+      .sort({ name: 1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      count: matchProfiles.length,
+      defaultWeights: matching.resolveWeights(),
+      matchProfiles
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Rename a match profile or change its weights or radius
+exports.updateMatchProfile = async (req, res, next) => {
+  try {
+    const matchProfile = await findMatchProfile(req);
+
+    if (req.body.name) matchProfile.name = req.body.name;
+    Object.assign(matchProfile, readProfileFields(req.body));
+    await matchProfile.save();
+
+    res.status(200).json({
+      success: true,
+      matchProfile
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return next(new APIError('A match profile with this name already exists', 409));
+    }
+    next(error);
+  }
+};
+
+// Delete a match profile
+exports.deleteMatchProfile = async (req, res, next) => {
+  try {
+    const matchProfile = await findMatchProfile(req);
+    await matchProfile.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Match profile deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,161 @@
+const Notification = require('../models/notificationModel');
+const NotificationDelivery = require('../models/notificationDeliveryModel');
+const NotificationTemplate = require('../models/notificationTemplateModel');
+const { APIError } = require('../middlewares/errorHandler');
+const notifications = require('../services/notifications');
+const { EVENTS, DEFAULT_TEMPLATES } = require('../services/notifications/templates');
+
+// Get the user's in-app inbox
+exports.getNotifications = async (req, res, next) => {
+  try {
+    const { unread, page = 1, limit = 20 } = req.query;
+
+    const query = { user: req.user.id };
+    if (unread === 'true') query.readAt = null;
+
+    const skip = (page - 1) * limit;
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      Notification.countDocuments(query),
+      Notification.countDocuments({ user: req.user.id, readAt: null })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: total,
+      unreadCount,
+      pages: Math.ceil(total / limit),
+      currentPage: page,
+      notifications
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Mark one notification as read
+exports.markAsRead = async (req, res, next) => {
+  try {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.id },
+      { $set: { readAt: new Date() } },
+      { new: true }
+    );
+
+    if (!notification) {
+      throw new APIError('Notification not found', 404);
+    }
+
+    res.status(200).json({
+      success: true,
+      notification
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Mark every unread notification as read
+exports.markAllAsRead = async (req, res, next) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user.id, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+
+    res.status(200).json({
+      success: true,
+      updated: result.modifiedCount
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Delivery log: the user's own deliveries, or everyone's for admins
+exports.getDeliveries = async (req, res, next) => {
+  try {
+    const { status, event, channel, page = 1, limit = 20 } = req.query;
+
+    const query = req.user.role === 'admin' ? {} : { user: req.user.id };
+    if (status) query.status = status;
+    if (event) query.event = event;
+    if (channel) query.channel = channel;
+
+    const skip = (page - 1) * limit;
+
+    const [deliveries, total] = await Promise.all([
+      NotificationDelivery.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      NotificationDelivery.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: total,
+      pages: Math.ceil(total / limit),
+      currentPage: page,
+      deliveries,
+      // Background worker health, for admins
+      worker: req.user.role === 'admin' ? notifications.status() : undefined
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// List templates per event, with the built-in defaults
+exports.getTemplates = async (req, res, next) => {
+  try {
+    if (req.user.role !== 'admin') {
+      throw new APIError('Not authorized to manage notification templates', 403);
+    }
+
+    const templates = await NotificationTemplate.find().sort({ event: 1, channel: 1 });
+
+    res.status(200).json({
+      success: true,
+      templates,
+      defaults: DEFAULT_TEMPLATES
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Create or replace the template for an event and channel
+exports.saveTemplate = async (req, res, next) => {
+  try {
+    if (req.user.role !== 'admin') {
+      throw new APIError('Not authorized to manage notification templates', 403);
+    }
+
+    const { event } = req.params;
+    if (!Object.values(EVENTS).includes(event)) {
+      throw new APIError(`Unknown event. Supported events: ${Object.values(EVENTS).join(', ')}`, 400);
+    }
+
+    const { channel = 'default', subject, body } = req.body;
+
+    const template = await NotificationTemplate.findOneAndUpdate(
+      { event, channel },
+      { $set: { subject, body, updatedBy: req.user.id } },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      template
+    });
+  } catch (error) {
+    next(error);
+  }
+};
\ No newline at end of file
@@ -0,0 +1,95 @@
+const PayContract = require('../models/payContractModel');
+const User = require('../models/userModel');
+const { APIError } = require('../middlewares/errorHandler');
+
+const CONTRACT_MANAGER_ROLES = ['admin', 'employer', 'agency'];
+
+// Employers only see and manage the contracts they issued
+const contractScope = (user) => (user.role === 'admin' ? {} : { employer: user.id });
+
+// Admins issue a crew member's first contract; after that the employer on it
+// can issue further ones, e.g. when terms change
+const assertCanContract = async (user, crewMemberId) => {
+  if (user.role === 'admin') return;
+  if (!await PayContract.exists({ user: crewMemberId, employer: user.id })) {
+    throw new APIError('Not authorized to issue pay contracts for this user', 403);
+  }
+};
+
+// Create a pay contract for a crew member
+exports.createContract = async (req, res, next) => {
+  try {
+    if (!CONTRACT_MANAGER_ROLES.includes(req.user.role)) {
+      throw new APIError('Not authorized to manage pay contracts', 403);
+    }
+
+    const crewMember = await User.findById(req.body.user);
+    if (!crewMember) {
+      throw new APIError('User not found', 404);
+    }
+    await assertCanContract(req.user, crewMember._id);
+
+    const contract = await PayContract.create({
+      ...req.body,
+      employer: req.user.role === 'admin' ? req.body.employer : req.user.id,
+      status: 'active'
+    });
+
+    res.status(201).json({
+      success: true,
+      contract
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// List contracts: crew members see their own, employers the ones they issued
+exports.getContracts = async (req, res, next) => {
+  try {
+    const query = CONTRACT_MANAGER_ROLES.includes(req.user.role)
+      ? contractScope(req.user)
+      : { user: req.user.id };
+
+    if (req.query.status) query.status = req.query.status;
+
+    const contracts = await PayContract.find(query)
+      .sort({ effectiveFrom: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: contracts.length,
+      contracts
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Update contract terms
+exports.updateContract = async (req, res, next) => {
+  try {
+    if (!CONTRACT_MANAGER_ROLES.includes(req.user.role)) {
+      throw new APIError('Not authorized to manage pay contracts', 403);
+    }
+
+    const { user, employer, ...updateData } = req.body;
+
+    const contract = await PayContract.findOneAndUpdate(
+      { _id: req.params.id, ...contractScope(req.user) },
+      updateData,
+      { new: true, runValidators: true }
+    );
+
+    if (!contract) {
+      throw new APIError('Pay contract not found', 404);
+    }
+
+    res.status(200).json({
+      success: true,
+      contract
+    });
+  } catch (error) {
+    next(error);
+  }
+};
\ No newline at end of file
@@ -0,0 +1,341 @@
+const PayRun = require('../models/payRunModel');
+const PayContract = require('../models/payContractModel');
+const PayrollRecord = require('../models/payrollRecordModel');
+const User = require('../models/userModel');
+const { APIError } = require('../middlewares/errorHandler');
+const payrollGenerator = require('../services/payrollGenerator');
+const paymentProcessor = require('../services/paymentProcessor');
+const payslip = require('../services/payslip');
+const notifications = require('../services/notifications');
+
+const PAY_RUN_ROLES = ['admin', 'employer', 'agency'];
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const assertCanManagePayRuns = (user) => {
+  if (!PAY_RUN_ROLES.includes(user.role)) {
+    throw new APIError('Not authorized to manage pay runs', 403);
+  }
+};
+
+// Employers only see their own pay runs
+const findPayRun = async (req) => {
+  assertCanManagePayRuns(req.user);
+
+  const query = { _id: req.params.id };
+  if (req.user.role !== 'admin') query.employer = req.user.id;
+
+  const payRun = await PayRun.findOne(query);
+  if (!payRun) {
+    throw new APIError('Pay run not found', 404);
+  }
+  return payRun;
+};
+
+// Totals per payout currency for the preview
+const summarize = (payrollRecords) => {
+  const totals = new Map();
+
+  payrollRecords.forEach((record) => {
+    const currency = record.payoutCurrency;
+    const total = totals.get(currency) || {
+      currency,
+      crewCount: 0,
+      grossAmount: 0,
+      deductions: 0,
+      netAmount: 0,
+      payoutAmount: 0
+    };
+
+    total.crewCount += 1;
+    total.grossAmount = round(total.grossAmount + record.grossAmount);
+    total.deductions = round(total.deductions + record.grossAmount - record.netAmount);
+    total.netAmount = round(total.netAmount + record.netAmount);
+    total.payoutAmount = round(total.payoutAmount + record.payoutAmount);
+    totals.set(currency, total);
+  });
+
+  return [...totals.values()];
+};
+
+// Create a pay run: calculate a payroll record for every crew member under contract
+exports.createPayRun = async (req, res, next) => {
+  try {
+    assertCanManagePayRuns(req.user);
+
+    const { startDate, endDate } = req.body;
+    if (!startDate || !endDate || new Date(startDate) >= new Date(endDate)) {
+      throw new APIError('End date must be after start date', 400);
+    }
+
+    const employer = req.user.role === 'admin' && req.body.employer ? req.body.employer : req.user.id;
+
+    const existing = await PayRun.findOne({
+      employer,
+      'period.startDate': new Date(startDate),
+      'period.endDate': new Date(endDate)
+    });
+    if (existing) {
+      throw new APIError('A pay run already exists for this period', 409);
+    }
+
+    const contracts = await PayContract.find({
+      employer,
+      status: 'active',
+      effectiveFrom: { $lte: new Date(endDate) },
+      $or: [{ effectiveTo: null }, { effectiveTo: { $gte: new Date(startDate) } }]
+    }).sort({ effectiveFrom: -1 });
+
+    if (contracts.length === 0) {
+      throw new APIError('No crew members under contract for this period', 422);
+    }
+
+    const payRun = new PayRun({
+      employer,
+      period: { startDate, endDate },
+      createdBy: req.user.id
+    });
+
+    // Crew already paid for part of the period, e.g. by a scheduled draft,
+    // are left out so nobody is paid twice
+    const covered = await PayrollRecord.find(payrollGenerator.coveringRecordFilter(
+      { $in: contracts.map(contract => contract.user) },
+      { startDate, endDate }
+    )).select('user');
+    const coveredBy = new Map(covered.map(record => [String(record.user), record]));
+
+    // One record per crew member, using their most recent contract
+    const seen = new Set();
+    const payrollRecords = [];
+    for (const contract of contracts) {
+      const crewId = String(contract.user);
+      if (seen.has(crewId)) continue;
+      seen.add(crewId);
+
+      if (coveredBy.has(crewId)) {
+        payRun.exceptions.push({
+          user: contract.user,
+          payrollRecord: coveredBy.get(crewId)._id,
+          severity: 'warning',
+          message: 'A payroll record already covers this period'
+        });
+        continue;
+      }
+
+      try {
+        const payrollRecord = await payrollGenerator.buildPayrollRecord(contract.user, {
+          startDate,
+          endDate,
+          contract,
+          type: 'salary'
+        });
+        payrollRecord.payRun = payRun._id;
+        payrollRecord.setAuditContext(req.user.id, 'Generated for pay run');
+        await payrollRecord.saveWithAudit();
+        payrollRecords.push(payrollRecord);
+
+        if (!(payrollRecord.netAmount > 0)) {
+          payRun.exceptions.push({
+            user: contract.user,
+            payrollRecord: payrollRecord._id,
+            severity: 'warning',
+            message: 'Net amount is not positive'
+          });
+        }
+        if (payrollRecord.flightHours === 0) {
+          payRun.exceptions.push({
+            user: contract.user,
+            payrollRecord: payrollRecord._id,
+            severity: 'warning',
+            message: 'No flight hours logged for the period'
+          });
+        }
+      } catch (error) {
+        payRun.exceptions.push({
+          user: contract.user,
+          severity: 'error',
+          message: error.message
+        });
+      }
+    }
+
+    payRun.records = payrollRecords.map(record => record._id);
+    payRun.totals = summarize(payrollRecords);
+    await payRun.save();
+
+    res.status(201).json({
+      success: true,
+      payRun
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// List pay runs
+exports.getPayRuns = async (req, res, next) => {
+  try {
+    assertCanManagePayRuns(req.user);
+
+    const query = req.user.role === 'admin' ? {} : { employer: req.user.id };
+    if (req.query.status) query.status = req.query.status;
+
+    const payRuns = await PayRun.find(query)
+      .select('-records -results')
+      .sort({ 'period.startDate': -1 });
+
+    res.status(200).json({
+      success: true,
+      count: payRuns.length,
+      payRuns
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get a pay run preview with its payroll records
+exports.getPayRun = async (req, res, next) => {
+  try {
+    const payRun = await findPayRun(req);
+    await payRun.populate({
+      path: 'records',
+      select: 'user status grossAmount netAmount currency payoutAmount payoutCurrency flightHours',
+      populate: { path: 'user', select: 'name email' }
+    });
+
+    res.status(200).json({
+      success: true,
+      payRun
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Approve a draft pay run, or re-approve the failed records of a partially failed one
+exports.approvePayRun = async (req, res, next) => {
+  try {
+    const payRun = await findPayRun(req);
+
+    const fromStatus = { draft: 'pending', partially_failed: 'failed' }[payRun.status];
+    if (!fromStatus) {
+      throw new APIError(`Pay run is ${payRun.status} and cannot be approved`, 409);
+    }
+
+    const payrollRecords = await PayrollRecord.find({ payRun: payRun._id, status: fromStatus });
+    for (const payrollRecord of payrollRecords) {
+      payrollRecord.transitionTo('approved', req.user.id, req.body.reason);
+      await payrollRecord.saveWithAudit();
+
+      notifications.notifyInBackground(
+        payrollRecord.user,
+        notifications.EVENTS.PAYSLIP_AVAILABLE,
+        paymentProcessor.paymentNotificationData(payrollRecord)
+      );
+    }
+
+    payRun.status = 'approved';
+    payRun.approvedBy = req.user.id;
+    payRun.approvedAt = new Date();
+    await payRun.save();
+
+    res.status(200).json({
+      success: true,
+      approved: payrollRecords.length,
+      payRun
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Submit the approved records of a pay run to the payment provider as one batch
+exports.submitPayRun = async (req, res, next) => {
+  try {
+    const { _id, status } = await findPayRun(req);
+
+    // Only one submission can move the run out of approved
+    const payRun = await PayRun.findOneAndUpdate(
+      { _id, status: 'approved' },
+      { $set: { status: 'processing', submittedAt: new Date() } },
+      { new: true }
+    );
+    if (!payRun) {
+      throw new APIError(status === 'approved'
+        ? 'Pay run is already being submitted'
+        : `Pay run is ${status} and cannot be submitted`, 409);
+    }
+
+    // Keys are stable per approval, so resubmitting after a crash cannot pay twice
+    let results;
+    try {
+      const payrollRecords = await PayrollRecord.find({ payRun: payRun._id, status: 'approved' });
+      const users = await User.find({ _id: { $in: payrollRecords.map(record => record.user) } });
+      const usersById = new Map(users.map(user => [String(user._id), user]));
+
+      results = await paymentProcessor.payPayrollRecords(
+        payrollRecords.map(payrollRecord => ({
+          payrollRecord,
+          user: usersById.get(String(payrollRecord.user)),
+          idempotencyKey: `payrun-${payRun._id}-${payrollRecord._id}-${payrollRecord.approvedAt.getTime()}`
+        })),
+        req.user.id
+      );
+    } catch (error) {
+      // Leave the run submittable again; records already paid are skipped next time
+      await PayRun.updateOne({ _id: payRun._id, status: 'processing' }, { $set: { status: 'approved' } });
+      throw error;
+    }
+
+    const processedAt = new Date();
+    results.forEach((result) => {
+      payRun.results = payRun.results
+        .filter(existing => !existing.payrollRecord.equals(result.payrollRecord._id));
+      payRun.results.push({
+        payrollRecord: result.payrollRecord._id,
+        user: result.payrollRecord.user,
+        status: result.status,
+        reference: result.reference,
+        failureReason: result.failureReason,
+        processedAt
+      });
+    });
+
+    const unpaid = await PayrollRecord.countDocuments({ payRun: payRun._id, status: { $ne: 'paid' } });
+    payRun.status = unpaid === 0 ? 'completed' : 'partially_failed';
+    payRun.completedAt = processedAt;
+    await payRun.save();
+
+    res.status(200).json({
+      success: true,
+      paid: results.filter(result => result.status === 'paid').length,
+      failed: results.filter(result => result.status !== 'paid').length,
+      payRun
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Export a pay run as CSV or XLSX for finance
+exports.exportPayRun = async (req, res, next) => {
+  try {
+    const payRun = await findPayRun(req);
+
+    const payrollRecords = await PayrollRecord.find({ payRun: payRun._id })
+      .populate('user', 'name email')
+      .sort({ user: 1 })
+      .lean();
+
+    const file = payslip.renderPayrollExport(payrollRecords, req.query.format || 'csv', `pay-run-${payRun._id}`);
+
+    res.set({
+      'Content-Type': file.contentType,
+      'Content-Disposition': `attachment; filename="${file.fileName}"`
+    });
+    res.status(200).send(file.content);
+  } catch (error) {
+    next(error);
+  }
+};
\ No newline at end of file
@@ -1,33 +1,44 @@
+const mongoose = require('mongoose');
 const User = require('../models/userModel');
-const WorkHistory = require('../models/workHistoryModel');
+const PayrollRecord = require('../models/payrollRecordModel');
+const PaymentTransaction = require('../models/paymentTransactionModel');
+const paymentProcessor = require('../services/paymentProcessor');
+const notifications = require('../services/notifications');
+const webhookTargets = require('../services/notifications/webhookTargets');
+const payrollGenerator = require('../services/payrollGenerator');
+const { createConverter } = require('../services/exchangeRates');
+const payslip = require('../services/payslip');
+const payrollScheduler = require('../services/payrollScheduler');
+const payrollAdjustments = require('../services/payrollAdjustments');
+const PayrollAudit = require('../models/payrollAuditModel');
+const ScheduledPayrollRun = require('../models/scheduledPayrollRunModel');
 const { APIError } = require('../middlewares/errorHandler');
 const config = require('../config/config');
 
-// PayrollRecord Schema (can be moved to models if complexity grows)
-class PayrollRecord {
-  constructor(data) {
-    this.userId = data.userId;
-    this.period = {
-      startDate: data.startDate,
-      endDate: data.endDate
-    };
-    this.earnings = {
-      base: data.baseAmount || 0,
-      overtime: data.overtimeAmount || 0,
-      allowances: data.allowances || 0,
-      bonuses: data.bonuses || 0
-    };
-    this.deductions = {
-      tax: data.taxAmount || 0,
-      insurance: data.insuranceAmount || 0,
-      other: data.otherDeductions || 0
-    };
-    this.currency = data.currency || 'USD';
-    this.status = data.status || 'pending';
-    this.paymentMethod = data.paymentMethod;
-    this.paymentDetails = data.paymentDetails;
-}
-}
+// Amounts a user may supply when generating their own payroll. Contracts
+// and record types are never taken from the request.
+const GENERATE_FIELDS = ['startDate', 'endDate', 'baseAmount', 'overtimeAmount', 'allowances', 'bonuses', 'currency'];
+
+const parseDate = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date) ? date : null;
+};
+
+const formatDate = (date) => date.toISOString().substr(0, 10);
+
+// Build a payroll record query from the common history/stats filters
+const buildPayrollQuery = (userId, { startDate, endDate, type, status }) => {
+  const query = { user: userId };
+
+  // Match records whose pay period overlaps the requested range
+  if (startDate) query['period.endDate'] = { $gte: new Date(startDate) };
+  if (endDate) query['period.startDate'] = { $lte: new Date(endDate) };
+
+  if (type) query.type = { $in: type.split(',') };
+  if (status) query.status = { $in: status.split(',') };
+
+  return query;
+};
 
 // Setup payroll information
 exports.setupPayroll = async (req, res, next) => {
@@ -73,58 +84,127 @@ exports.setupPayroll = async (req, res, next) => {
 // Generate payroll for a period
 exports.generatePayroll = async (req, res, next) => {
   try {
-    const {
-      startDate,
-      endDate,
-      baseAmount,
-      overtimeAmount,
-      allowances,
-      bonuses,
-      currency
-    } = req.body;
+    const payrollRecord = await payrollGenerator.buildPayrollRecord(req.user.id, GENERATE_FIELDS
+      .filter(field => req.body[field] !== undefined)
+      .reduce((fields, field) => ({ ...fields, [field]: req.body[field] }), {}));
+    payrollRecord.setAuditContext(req.user.id, 'Generated on request');
+
+    // Gross and net amounts are derived when the record is saved
+    await payrollRecord.saveWithAudit();
+
+    res.status(201).json({
+      success: true,
+      payroll: payrollRecord
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get a single payroll record
+exports.getPayrollRecord = async (req, res, next) => {
+  try {
+    const payrollRecord = await PayrollRecord.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
 
-    // Validate dates
-    if (new Date(startDate) >= new Date(endDate)) {
-      throw new APIError('End date must be after start date', 400);
+    if (!payrollRecord) {
+      throw new APIError('Payroll record not found', 404);
     }
 
-    // Get work history for the period
-    const workHistory = await WorkHistory.find({
-      user: req.user.id,
-      'period.startDate': { $lte: new Date(endDate) },
-      'period.endDate': { $gte: new Date(startDate) }
+    res.status(200).json({
+      success: true,
+      payroll: payrollRecord
     });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Download a payslip PDF rendered from the stored payroll record
+exports.getPayslip = async (req, res, next) => {
+  try {
+    const query = { _id: req.params.id };
+    if (req.user.role !== 'admin') query.user = req.user.id;
 
-    // Calculate flight hours for the period
-    const flightHours = workHistory.reduce((total, record) => {
-      return total + (record.flightRecords?.totalHours || 0);
-    }, 0);
-
-    // Create payroll record
-    const payrollRecord = new PayrollRecord({
-      userId: req.user.id,
-      startDate,
-      endDate,
-      baseAmount,
-      overtimeAmount,
-      allowances,
-      bonuses,
-      currency,
-      flightHours
+    const payrollRecord = await PayrollRecord.findOne(query);
+    if (!payrollRecord) {
+      throw new APIError('Payroll record not found', 404);
+    }
+
+    const user = await User.findById(payrollRecord.user).select('name email');
+    const pdf = payslip.renderPayslipPdf(payrollRecord, user || {});
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="payslip-${payrollRecord._id}.pdf"`
     });
+    res.status(200).send(pdf);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Export payroll records for a period as CSV for finance
+exports.exportPayroll = async (req, res, next) => {
+  try {
+    if (req.user.role !== 'admin') {
+      throw new APIError('Not authorized to export payroll', 403);
+    }
+
+    const startDate = parseDate(req.query.startDate);
+    const endDate = parseDate(req.query.endDate);
+    if (!startDate || !endDate) {
+      throw new APIError('startDate and endDate must be valid dates', 400);
+    }
+
+    const query = buildPayrollQuery(req.user.id, { ...req.query, startDate, endDate });
+    delete query.user;
+    if (req.query.user) query.user = req.query.user;
+
+    const payrollRecords = await PayrollRecord.find(query)
+      .populate('user', 'name email')
+      .sort({ 'period.startDate': 1, user: 1 })
+      .lean();
+
+    const file = payslip.renderPayrollExport(
+      payrollRecords,
+      req.query.format || 'csv',
+      `payroll-${formatDate(startDate)}-${formatDate(endDate)}`
+    );
+
+    res.set({
+      'Content-Type': file.contentType,
+      'Content-Disposition': `attachment; filename="${file.fileName}"`
+    });
+    res.status(200).send(file.content);
+  } catch (error) {
+    next(error);
+  }
+};
 
-    // Calculate tax and deductions (simplified example)
-    payrollRecord.deductions.tax = (baseAmount + overtimeAmount) * 0.2; // 20% tax
-    payrollRecord.deductions.insurance = (baseAmount + overtimeAmount) * 0.05; // 5% insurance
+// Approve a pending payroll record
+exports.approvePayroll = async (req, res, next) => {
+  try {
+    if (req.user.role !== 'admin') {
+      throw new APIError('Not authorized to approve payroll', 403);
+    }
 
-    // Calculate net amount
-    const grossAmount = baseAmount + overtimeAmount + allowances + bonuses;
-    const totalDeductions = 
-      payrollRecord.deductions.tax + 
-      payrollRecord.deductions.insurance + 
-      payrollRecord.deductions.other;
-    
-    payrollRecord.netAmount = grossAmount - totalDeductions;
+    const payrollRecord = await PayrollRecord.findById(req.params.id);
+
+    if (!payrollRecord) {
+      throw new APIError('Payroll record not found', 404);
+    }
+
+    payrollRecord.transitionTo('approved', req.user.id, req.body.reason);
+    await payrollRecord.saveWithAudit();
+
+    notifications.notifyInBackground(
+      payrollRecord.user,
+      notifications.EVENTS.PAYSLIP_AVAILABLE,
+      paymentProcessor.paymentNotificationData(payrollRecord)
+    );
 
     res.status(200).json({
       success: true,
@@ -135,28 +215,156 @@ exports.generatePayroll = async (req, res, next) => {
   }
 };
 
+// Shape a stored payment transaction as the process-payment response
+const paymentResponse = (transaction, payrollRecord) => ({
+  success: true,
+  message: 'Payment processed successfully',
+  transactionId: transaction.reference,
+  provider: transaction.provider,
+  idempotencyKey: transaction.idempotencyKey,
+  processedAt: transaction.completedAt,
+  paymentMethod: payrollRecord.paymentMethod,
+  payroll: payrollRecord
+});
+
 // Process payment
 exports.processPayment = async (req, res, next) => {
   try {
     const { payrollId, paymentMethod } = req.body;
+    const idempotencyKey = req.get('Idempotency-Key') || req.body.idempotencyKey;
 
-    // Simulate payment processing
-    const processingTime = Math.random() * 2000; // Random processing time
-    await new Promise(resolve => setTimeout(resolve, processingTime));
+    // A retried request with the same key replays the original outcome.
+    // Keys are scoped to the user, so other users' keys never collide.
+    if (idempotencyKey) {
+      await paymentProcessor.reconcileStale({ user: req.user.id, idempotencyKey });
+      const existing = await PaymentTransaction.findOne({ user: req.user.id, idempotencyKey });
 
-    // Simulate payment success/failure
-    const success = Math.random() > 0.1; // 90% success rate
+      if (existing) {
+        if (!existing.payrollRecord.equals(payrollId)) {
+          throw new APIError('Idempotency key was already used for a different payment', 422);
+        }
+        if (existing.status === 'processing') {
+          throw new APIError('Payment with this idempotency key is still processing', 409);
+        }
+        if (existing.status === 'failed') {
+          throw new APIError(existing.failureReason || 'Payment processing failed', 400);
+        }
 
-    if (!success) {
-      throw new APIError('Payment processing failed', 400);
+        const payrollRecord = await PayrollRecord.findById(existing.payrollRecord);
+        return res.status(200).json(paymentResponse(existing, payrollRecord));
+      }
     }
 
+    const payrollRecord = await PayrollRecord.findOne({
+      _id: payrollId,
+      user: req.user.id
+    });
+
+    if (!payrollRecord) {
+      throw new APIError('Payroll record not found', 404);
+    }
+
+    if (payrollRecord.status !== 'approved') {
+      throw new APIError(`Payroll record is ${payrollRecord.status} and cannot be paid`, 409);
+    }
+
+    if (payrollRecord.netAmount <= 0) {
+      throw new APIError('Negative adjustments are recovered from the next payroll, not paid', 409);
+    }
+
+    const user = await User.findById(req.user.id);
+    const [result] = await paymentProcessor.payPayrollRecords(
+      [{ payrollRecord, user, idempotencyKey, paymentMethod }],
+      req.user.id
+    );
+
+    if (result.status === 'skipped') {
+      throw new APIError(result.failureReason, 409);
+    }
+    if (result.status === 'failed') {
+      throw new APIError(result.failureReason || 'Payment processing failed', 400);
+    }
+
+    res.status(200).json(paymentResponse(result.transaction, payrollRecord));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Issue a back pay, clawback or bonus correction against a paid record
+exports.createAdjustment = async (req, res, next) => {
+  try {
+    if (req.user.role !== 'admin') {
+      throw new APIError('Not authorized to adjust payroll', 403);
+    }
+
+    const original = await PayrollRecord.findById(req.params.id);
+    if (!original) {
+      throw new APIError('Payroll record not found', 404);
+    }
+
+    const adjustment = await payrollAdjustments.issueAdjustment(original, req.body, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      payroll: adjustment
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Reverse a failed or wrong payment
+exports.reversePayment = async (req, res, next) => {
+  try {
+    if (req.user.role !== 'admin') {
+      throw new APIError('Not authorized to reverse payments', 403);
+    }
+
+    const original = await PayrollRecord.findById(req.params.id);
+    if (!original) {
+      throw new APIError('Payroll record not found', 404);
+    }
+
+    const reversal = await payrollAdjustments.reversePayroll(original, req.body.reason, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      payroll: original,
+      reversal
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Audit trail of a record and of the adjustments linked to it
+exports.getPayrollAudit = async (req, res, next) => {
+  try {
+    const query = { _id: req.params.id };
+    if (req.user.role !== 'admin') query.user = req.user.id;
+
+    const payrollRecord = await PayrollRecord.findOne(query);
+    if (!payrollRecord) {
+      throw new APIError('Payroll record not found', 404);
+    }
+
+    const adjustments = await PayrollRecord.find({ adjusts: payrollRecord._id })
+      .sort({ createdAt: 1 })
+      .lean();
+
+    const audit = await PayrollAudit.find({
+      payrollRecord: { $in: [payrollRecord._id, ...adjustments.map(adjustment => adjustment._id)] }
+    })
+      .populate('actor', 'name email')
+      .sort({ createdAt: 1 })
+      .lean();
+
     res.status(200).json({
       success: true,
-      message: 'Payment processed successfully',
-      transactionId: `TXN-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-      processedAt: new Date(),
-      paymentMethod
+      payroll: payrollRecord,
+      adjustments,
+      audit
     });
   } catch (error) {
     next(error);
@@ -166,66 +374,122 @@ exports.processPayment = async (req, res, next) => {
 // Get payment history
 exports.getPaymentHistory = async (req, res, next) => {
   try {
-    const { startDate, endDate, page = 1, limit = 10 } = req.query;
-
-    // Simulate fetching payment history from database
-    const mockPayments = Array.from({ length: 20 }, (_, index) => ({
-      id: `PMT-${Date.now()}-${index}`,
-      amount: Math.random() * 10000,
-      currency: 'USD',
-      status: Math.random() > 0.1 ? 'completed' : 'failed',
-      date: new Date(Date.now() - Math.random() * 30 * 24 * 60 * 60 * 1000),
-      type: Math.random() > 0.5 ? 'salary' : 'bonus'
-    }));
-
-    // Filter by date if provided
-    let filteredPayments = mockPayments;
-    if (startDate && endDate) {
-      filteredPayments = mockPayments.filter(payment => 
-        payment.date >= new Date(startDate) && 
-        payment.date <= new Date(endDate)
-      );
-    }
+    const { page = 1, limit = 10 } = req.query;
 
-    // Apply pagination
+    const query = buildPayrollQuery(req.user.id, req.query);
     const skip = (page - 1) * limit;
-    const paginatedPayments = filteredPayments
-      .slice(skip, skip + parseInt(limit))
-      .sort((a, b) => b.date - a.date);
+
+    const [payments, total] = await Promise.all([
+      PayrollRecord.find(query)
+        .sort({ 'period.startDate': -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      PayrollRecord.countDocuments(query)
+    ]);
 
     res.status(200).json({
       success: true,
-      count: filteredPayments.length,
-      pages: Math.ceil(filteredPayments.length / limit),
+      count: total,
+      pages: Math.ceil(total / limit),
       currentPage: page,
-      payments: paginatedPayments
+      payments
     });
   } catch (error) {
     next(error);
   }
 };
 
-// Get payment statistics
+// Get payment statistics, converted into a single reporting currency
 exports.getPaymentStats = async (req, res, next) => {
   try {
-    const { year, month } = req.query;
+    const { year, month, type, status } = req.query;
+    const reportingCurrency = req.query.currency || config.reportingCurrency || 'USD';
 
-    // Simulate calculating payment statistics
-    const stats = {
-      totalPayments: Math.floor(Math.random() * 50000),
-      averagePayment: Math.floor(Math.random() * 5000),
-      totalBonuses: Math.floor(Math.random() * 10000),
-      totalDeductions: Math.floor(Math.random() * 8000),
-      paymentsByType: {
-        salary: Math.floor(Math.random() * 40000),
-        bonus: Math.floor(Math.random() * 8000),
-        allowance: Math.floor(Math.random() * 2000)
-      },
-      paymentsByStatus: {
-        completed: Math.floor(Math.random() * 45000),
-        pending: Math.floor(Math.random() * 3000),
-        failed: Math.floor(Math.random() * 2000)
+    if (!config.supportedCurrencies.includes(reportingCurrency)) {
+      throw new APIError(`Unsupported currency. Supported currencies: ${config.supportedCurrencies.join(', ')}`, 400);
+    }
+
+    // Restrict to a calendar year or month when requested
+    let startDate;
+    let endDate;
+    if (year) {
+      startDate = new Date(Date.UTC(year, month ? month - 1 : 0, 1));
+      endDate = new Date(Date.UTC(year, month ? month : 12, 1) - 1);
+    }
+
+    // Aggregations do not cast the user id the way queries do
+    const query = buildPayrollQuery(new mongoose.Types.ObjectId(req.user.id), { startDate, endDate, type, status });
+
+    // Group per currency and stored rate first; amounts are converted before
+    // they are added up, each at its record's own rate
+    const rateFields = {
+      currency: '$currency',
+      exchangeRate: { from: '$exchangeRate.from', to: '$exchangeRate.to', rate: '$exchangeRate.rate' },
+      periodEnd: '$period.endDate'
+    };
+    const [totals, byType, byStatus] = await Promise.all([
+      PayrollRecord.aggregate([
+        { $match: { ...query, status: query.status || 'paid' } },
+        {
+          $group: {
+            _id: rateFields,
+            count: { $sum: 1 },
+            totalPayments: { $sum: '$netAmount' },
+            totalBonuses: { $sum: '$earnings.bonuses' },
+            totalDeductions: {
+              $sum: {
+                $add: ['$deductions.tax', '$deductions.insurance', '$deductions.pension', '$deductions.other']
+              }
+            }
+          }
+        }
+      ]),
+      PayrollRecord.aggregate([
+        { $match: query },
+        { $group: { _id: { key: '$type', ...rateFields }, total: { $sum: '$netAmount' } } }
+      ]),
+      PayrollRecord.aggregate([
+        { $match: query },
+        { $group: { _id: { key: '$status', ...rateFields }, total: { $sum: '$netAmount' } } }
+      ])
+    ]);
+
+    const converter = createConverter(reportingCurrency);
+    const convert = (amount, group) => converter(amount, group.currency, {
+      date: group.periodEnd,
+      storedRate: group.exchangeRate
+    });
+    const round = amount => Math.round(amount * 100) / 100;
+
+    const toMap = async (groups, keys) => {
+      const map = keys.reduce((result, key) => ({ ...result, [key]: 0 }), {});
+      for (const group of groups) {
+        map[group._id.key] += await convert(group.total, group._id);
       }
+      Object.keys(map).forEach((key) => { map[key] = round(map[key]); });
+      return map;
+    };
+
+    let count = 0;
+    let totalPayments = 0;
+    let totalBonuses = 0;
+    let totalDeductions = 0;
+    for (const group of totals) {
+      count += group.count;
+      totalPayments += await convert(group.totalPayments, group._id);
+      totalBonuses += await convert(group.totalBonuses, group._id);
+      totalDeductions += await convert(group.totalDeductions, group._id);
+    }
+
+    const stats = {
+      currency: reportingCurrency,
+      totalPayments: round(totalPayments),
+      averagePayment: count ? round(totalPayments / count) : 0,
+      totalBonuses: round(totalBonuses),
+      totalDeductions: round(totalDeductions),
+      paymentsByType: await toMap(byType, PayrollRecord.TYPES),
+      paymentsByStatus: await toMap(byStatus, PayrollRecord.STATUSES)
     };
 
     res.status(200).json({
@@ -237,6 +501,45 @@ exports.getPaymentStats = async (req, res, next) => {
   }
 };
 
+// List upcoming and past scheduled payroll runs
+exports.getScheduledRuns = async (req, res, next) => {
+  try {
+    if (req.user.role !== 'admin') {
+      throw new APIError('Not authorized to view scheduled payroll runs', 403);
+    }
+
+    const { user, status, page = 1, limit = 20 } = req.query;
+    const query = {};
+    if (user) query.user = user;
+    if (status) query.status = { $in: status.split(',') };
+
+    const skip = (page - 1) * limit;
+
+    const [runs, total] = await Promise.all([
+      ScheduledPayrollRun.find(query)
+        .populate('user', 'name email')
+        .sort({ 'period.endDate': -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      ScheduledPayrollRun.countDocuments(query)
+    ]);
+
+    const today = new Date();
+    res.status(200).json({
+      success: true,
+      count: total,
+      pages: Math.ceil(total / limit),
+      currentPage: page,
+      upcoming: runs.filter(run => run.status === 'scheduled' && run.period.endDate >= today),
+      past: runs.filter(run => run.status !== 'scheduled' || run.period.endDate < today),
+      scheduler: payrollScheduler.status()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Update payment preferences
 exports.updatePaymentPreferences = async (req, res, next) => {
   try {
@@ -251,6 +554,15 @@ exports.updatePaymentPreferences = async (req, res, next) => {
       throw new APIError(`Unsupported currency. Supported currencies: ${config.supportedCurrencies.join(', ')}`, 400);
     }
 
+    // Validate payment schedule
+    payrollScheduler.normalizeSchedule(paymentSchedule);
+
+    // Validate webhook notification target
+    if (notificationPreferences?.webhookUrl) {
+      const problem = await webhookTargets.checkWebhookUrl(notificationPreferences.webhookUrl);
+      if (problem) throw new APIError(problem, 400);
+    }
+
     const user = await User.findByIdAndUpdate(
       req.user.id,
       {
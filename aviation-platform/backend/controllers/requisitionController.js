@@ -0,0 +1,174 @@
+const Requisition = require('../models/requisitionModel');
+const { APIError } = require('../middlewares/errorHandler');
+const aircraftCatalog = require('../services/aircraftCatalog');
+const airports = require('../services/airports');
+const pagination = require('../services/search/pagination');
+const requisitionMatching = require('../services/requisitionMatching');
+
+const EDITABLE_FIELDS = [
+  'title', 'description', 'status', 'role',
+  'requiredCertifications', 'preferredCertifications', 'minTotalHours', 'typeHours',
+  'languages', 'base', 'radiusKm', 'startDate', 'endDate'
+];
+
+// Requisitions and their shortlists are for hiring organisations
+const REQUISITION_ROLES = ['admin', 'employer', 'agency'];
+
+const assertCanUseRequisitions = (user) => {
+  if (!REQUISITION_ROLES.includes(user.role)) {
+    throw new APIError('Not authorized to use requisitions', 403);
+  }
+};
+
+const findRequisition = async (req, { owned = false } = {}) => {
+  assertCanUseRequisitions(req.user);
+
+  const requisition = await Requisition.findById(req.params.id);
+  if (!requisition) {
+    throw new APIError('Requisition not found', 404);
+  }
+  if (owned && String(requisition.createdBy) !== String(req.user.id) && req.user.role !== 'admin') {
+    throw new APIError('Not authorized to change this requisition', 403);
+  }
+  return requisition;
+};
+
+// Editable fields from the request body, with aircraft names resolved to
+// designators and the base checked against known airports
+const readRequisitionFields = async (body) => {
+  const fields = EDITABLE_FIELDS
+    .filter(field => body[field] !== undefined)
+    .reduce((result, field) => ({ ...result, [field]: body[field] }), {});
+
+  if (fields.typeHours) {
+    await aircraftCatalog.load();
+    fields.typeHours = fields.typeHours.map(entry => ({
+      aircraftType: aircraftCatalog.normalizeName(entry.aircraftType),
+      minHours: entry.minHours
+    }));
+  }
+  if (fields.base) {
+    const airport = airports.findAirport(fields.base);
+    if (!airport) {
+      throw new APIError(`Unknown airport: ${fields.base}`, 400);
+    }
+    fields.base = airport.iata;
+  }
+
+  return fields;
+};
+
+// Post a requisition
+exports.createRequisition = async (req, res, next) => {
+  try {
+    assertCanUseRequisitions(req.user);
+
+    const requisition = await Requisition.create({
+      ...(await readRequisitionFields(req.body)),
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      requisition
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// List requisitions, optionally by status or only the user's own
+exports.getRequisitions = async (req, res, next) => {
+  try {
+    assertCanUseRequisitions(req.user);
+
+    const { status, mine } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (mine === 'true') query.createdBy = req.user.id;
+
+    const requisitions = await Requisition.find(query)
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      count: requisitions.length,
+      requisitions
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get a requisition
+exports.getRequisition = async (req, res, next) => {
+  try {
+    const requisition = await findRequisition(req);
+    await requisition.populate('createdBy', 'name email');
+
+    res.status(200).json({
+      success: true,
+      requisition
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Update a requisition; only its creator or an admin may
+exports.updateRequisition = async (req, res, next) => {
+  try {
+    const requisition = await findRequisition(req, { owned: true });
+    Object.assign(requisition, await readRequisitionFields(req.body));
+    await requisition.save();
+
+    res.status(200).json({
+      success: true,
+      requisition
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Delete a requisition; only its creator or an admin may
+exports.deleteRequisition = async (req, res, next) => {
+  try {
+    const requisition = await findRequisition(req, { owned: true });
+    await requisition.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Requisition deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Ranked shortlist for a requisition with a pass/fail breakdown of the hard
+// requirements per candidate. maxGaps=n includes near misses failing up to n.
+exports.getShortlist = async (req, res, next) => {
+  try {
+    const requisition = await findRequisition(req);
+    const limit = pagination.parseLimit(req.query.limit);
+    const maxGaps = req.query.maxGaps === undefined ? 0 : parseInt(req.query.maxGaps);
+    if (!(maxGaps >= 0)) {
+      throw new APIError('maxGaps must be a non-negative number', 400);
+    }
+
+    const shortlist = await requisitionMatching.shortlist(requisition, { maxGaps });
+
+    res.status(200).json({
+      success: true,
+      count: shortlist.length,
+      qualified: shortlist.filter(entry => entry.meetsRequirements).length,
+      shortlist: shortlist.slice(0, limit)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
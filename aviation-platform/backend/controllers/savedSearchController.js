@@ -0,0 +1,210 @@
+const SavedSearch = require('../models/savedSearchModel');
+const { APIError } = require('../middlewares/errorHandler');
+const professionalSearch = require('../services/search/professionalSearch');
+const savedSearchAlerts = require('../services/savedSearchAlerts');
+const webhookTargets = require('../services/notifications/webhookTargets');
+const searchController = require('./searchController');
+
+const MATCH_FIELDS = 'name email role aircraftTypes totalFlightHours baseAirport preferredLocations';
+
+const findSavedSearch = async (req) => {
+  const savedSearch = await SavedSearch.findOne({ _id: req.params.id, user: req.user.id });
+  if (!savedSearch) {
+    throw new APIError('Saved search not found', 404);
+  }
+  return savedSearch;
+};
+
+// Filters, sort and alert settings from the request body. Filters are
+// checked by building the search once, so bad parameters fail on save.
+const readSearchFields = async (body) => {
+  const fields = {};
+
+  if (body.filters !== undefined) {
+    fields.filters = professionalSearch.pickFilters(body.filters || {});
+    await professionalSearch.buildSearch(fields.filters);
+  }
+  if (body.sortBy !== undefined) {
+    const sortable = [...professionalSearch.SORT_FIELDS, ...professionalSearch.RANKINGS];
+    if (body.sortBy && !sortable.includes(body.sortBy)) {
+      throw new APIError(`Unsupported sortBy. Supported values: ${sortable.join(', ')}`, 400);
+    }
+    fields.sortBy = body.sortBy || undefined;
+  }
+  if (body.sortOrder !== undefined) {
+    if (!['asc', 'desc'].includes(body.sortOrder)) {
+      throw new APIError('sortOrder must be asc or desc', 400);
+    }
+    fields.sortOrder = body.sortOrder;
+  }
+
+  if (body.alerts !== undefined) {
+    if (body.alerts.webhookUrl) {
+      const problem = await webhookTargets.checkWebhookUrl(body.alerts.webhookUrl);
+      if (problem) throw new APIError(problem, 400);
+    }
+    fields.alerts = {
+      enabled: body.alerts.enabled !== false,
+      webhookUrl: body.alerts.webhookUrl || undefined
+    };
+  }
+
+  return fields;
+};
+
+// Save the current filters and sort under a name
+exports.createSavedSearch = async (req, res, next) => {
+  try {
+    if (!req.body.name) {
+      throw new APIError('Name is required', 400);
+    }
+
+    const savedSearch = new SavedSearch({
+      user: req.user.id,
+      name: req.body.name,
+      ...(await readSearchFields({ filters: {}, ...req.body }))
+    });
+
+    // The first run records who matches today, so only later changes alert
+    await savedSearchAlerts.evaluate(savedSearch);
+
+    res.status(201).json({
+      success: true,
+      savedSearch
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return next(new APIError('A saved search with this name already exists', 409));
+    }
+    next(error);
+  }
+};
+
+// List the user's saved searches with their unseen match counts
+exports.getSavedSearches = async (req, res, next) => {
+  try {
+    const savedSearches = await SavedSearch.find({ user: req.user.id })
+      .sort({ name: 1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      count: savedSearches.length,
+      savedSearches: savedSearches.map(({ newMatches, ...savedSearch }) => ({
+        ...savedSearch,
+        unseenMatches: newMatches.filter(match => !match.seenAt).length
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Rename a saved search or change its filters, sort or alerts
+exports.updateSavedSearch = async (req, res, next) => {
+  try {
+    const savedSearch = await findSavedSearch(req);
+    const fields = await readSearchFields(req.body);
+
+    if (req.body.name) savedSearch.name = req.body.name;
+    Object.assign(savedSearch, fields);
+
+    if (fields.filters) {
+      // New filters start a new baseline
+      savedSearch.lastRunAt = undefined;
+      savedSearch.notifiedIds = [];
+      savedSearch.newMatches = [];
+      await savedSearchAlerts.evaluate(savedSearch);
+    } else {
+      await savedSearch.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      savedSearch
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return next(new APIError('A saved search with this name already exists', 409));
+    }
+    next(error);
+  }
+};
+
+// Delete a saved search
+exports.deleteSavedSearch = async (req, res, next) => {
+  try {
+    const savedSearch = await findSavedSearch(req);
+    await savedSearch.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Saved search deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Run a saved search, with cursor and limit taken from the query string
+exports.runSavedSearch = async (req, res, next) => {
+  try {
+    const savedSearch = await findSavedSearch(req);
+
+    req.query = {
+      ...Object.fromEntries(savedSearch.filters),
+      ...(savedSearch.sortBy && { sortBy: savedSearch.sortBy }),
+      sortOrder: savedSearch.sortOrder,
+      cursor: req.query.cursor,
+      limit: req.query.limit
+    };
+    return searchController.searchProfessionals(req, res, next);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Professionals who newly matched since they were last marked seen
+exports.getNewMatches = async (req, res, next) => {
+  try {
+    const savedSearch = await findSavedSearch(req);
+    await savedSearch.populate('newMatches.user', MATCH_FIELDS);
+
+    const newMatches = savedSearch.newMatches
+      .filter(match => !match.seenAt && match.user)
+      .sort((a, b) => b.matchedAt - a.matchedAt);
+
+    res.status(200).json({
+      success: true,
+      count: newMatches.length,
+      lastRunAt: savedSearch.lastRunAt,
+      newMatches
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Mark every new match as seen
+exports.markMatchesSeen = async (req, res, next) => {
+  try {
+    const savedSearch = await findSavedSearch(req);
+
+    const now = new Date();
+    let updated = 0;
+    savedSearch.newMatches.forEach((match) => {
+      if (!match.seenAt) {
+        match.seenAt = now;
+        updated += 1;
+      }
+    });
+    await savedSearch.save();
+
+    res.status(200).json({
+      success: true,
+      updated
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,88 +1,84 @@
 const User = require('../models/userModel');
 const WorkHistory = require('../models/workHistoryModel');
+const MatchProfile = require('../models/matchProfileModel');
 const { APIError } = require('../middlewares/errorHandler');
-
-// Advanced search for aviation professionals
+const professionalSearch = require('../services/search/professionalSearch');
+const searchFacets = require('../services/search/facets');
+const pagination = require('../services/search/pagination');
+const enrichment = require('../services/search/enrichment');
+const matching = require('../services/search/matching');
+const aircraftCatalog = require('../services/aircraftCatalog');
+const airports = require('../services/airports');
+
+// Advanced search for aviation professionals. Pages with an opaque cursor:
+// pass nextCursor from a response to get the following page.
 exports.searchProfessionals = async (req, res, next) => {
   try {
     const {
-      role,
-      experience,
-      skills,
-      aircraftTypes,
-      languages,
-      certifications,
-      location,
-      availability,
-      minFlightHours,
-      page = 1,
-      limit = 10,
-      sortBy = 'totalFlightHours',
-      sortOrder = 'desc'
+      cursor,
+      sortBy,
+      sortOrder = 'desc',
+      facets = 'true',
+      facetLimit
     } = req.query;
+    const limit = pagination.parseLimit(req.query.limit);
 
-    // Build query
-    const query = {};
-
-    // Basic filters
-    if (role) query.role = role;
-    if (availability) query.isAvailable = availability === 'true';
-    if (location) query.preferredLocations = { $in: [location] };
-    if (minFlightHours) query.totalFlightHours = { $gte: Number(minFlightHours) };
-
-    // Array filters
-    if (skills) query.skills = { $in: skills.split(',') };
-    if (aircraftTypes) query.aircraftTypes = { $in: aircraftTypes.split(',') };
-    if (languages) query['languages.language'] = { $in: languages.split(',') };
-
-    // Certification filter
-    if (certifications) {
-      query['certifications.name'] = { $in: certifications.split(',') };
-      query['certifications.verificationStatus'] = 'verified';
-    }
-
-    // Experience filter (in years)
-    if (experience) {
-      const experienceDate = new Date();
-      experienceDate.setFullYear(experienceDate.getFullYear() - parseInt(experience));
-      query['workHistory.startDate'] = { $lte: experienceDate };
-    }
+    const search = await professionalSearch.buildSearch(req.query);
+    const sort = professionalSearch.chooseSort(search, sortBy, sortOrder);
+    const after = pagination.decodeCursor(cursor, sort.key);
 
-    // Execute search with pagination
-    const skip = (page - 1) * limit;
-    const sortOptions = { [sortBy]: sortOrder === 'desc' ? -1 : 1 };
+    let professionals;
+    let total;
+    let nextCursor;
+    if (sort.rankBy) {
+      // Rank in memory, then load one page
+      const ranked = await professionalSearch.rankIds(search, sort.rankBy);
+      const page = pagination.pageRanked(ranked, limit, sort.key, after);
 
-    const [professionals, total] = await Promise.all([
-      User.find(query)
+      const pageProfessionals = await User.find({ _id: { $in: page.ids } })
         .select('-password')
-        .sort(sortOptions)
-        .skip(skip)
-        .limit(parseInt(limit))
-        .lean(),
-      User.countDocuments(query)
-    ]);
+        .lean();
+      const byId = new Map(pageProfessionals.map(professional => [String(professional._id), professional]));
+
+      professionals = page.ids.map(id => byId.get(id)).filter(Boolean);
+      total = ranked.length;
+      nextCursor = page.nextCursor;
+    } else {
+      const [rows, count] = await Promise.all([
+        User.find({ $and: [search.query, pagination.afterCursor(sort.field, sort.direction, after)] })
+          .select('-password')
+          .sort({ [sort.field]: sort.direction, _id: sort.direction })
+          .limit(limit + 1)
+          .lean(),
+        User.countDocuments(search.query)
+      ]);
+
+      ({ page: professionals, nextCursor } = pagination.finishPage(rows, limit, sort.key, sort.field));
+      total = count;
+    }
 
     // Enhance results with work history details
-    const enhancedProfessionals = await Promise.all(
-      professionals.map(async (professional) => {
-        const workHistory = await WorkHistory.find({ user: professional._id })
-          .sort({ 'period.startDate': -1 })
-          .limit(1)
-          .lean();
-
-        return {
-          ...professional,
-          recentEmployer: workHistory[0]?.employer?.name || null,
-          currentPosition: workHistory[0]?.position?.title || null
-        };
-      })
-    );
+    const positions = await enrichment.recentPositions(professionals.map(professional => professional._id));
+    const enhancedProfessionals = professionals.map(professional => ({
+      ...professional,
+      recentEmployer: null,
+      currentPosition: null,
+      ...positions.get(String(professional._id)),
+      ...professionalSearch.describeMatch(search, professional)
+    }));
+
+    // Facet counts cover the whole filtered set, not just this page
+    const facetCounts = facets === 'false'
+      ? undefined
+      : await searchFacets.computeFacets(search.query, { limit: searchFacets.parseLimit(facetLimit) });
 
     res.status(200).json({
       success: true,
       count: total,
-      pages: Math.ceil(total / limit),
-      currentPage: page,
+      // With capped true, count only covers the best textMatches.limit text matches
+      ...(search.textMatches && { textMatches: search.textMatches }),
+      nextCursor,
+      facets: facetCounts,
       professionals: enhancedProfessionals
     });
   } catch (error) {
@@ -90,50 +86,50 @@ exports.searchProfessionals = async (req, res, next) => {
   }
 };
 
-// Search by specific criteria (e.g., aircraft type)
+// Search by aircraft type. scope=family or scope=typeRating widens the search
+// to every type in the same family or type rating group, e.g. all A320-family hours.
 exports.searchByAircraftType = async (req, res, next) => {
   try {
     const { aircraftType } = req.params;
-    const { page = 1, limit = 10 } = req.query;
+    const { scope = 'type', cursor } = req.query;
+    const limit = pagination.parseLimit(req.query.limit);
+    const sortKey = 'totalFlightHours:desc';
+
+    await aircraftCatalog.load();
+    const designators = aircraftCatalog.designatorsFor(aircraftType, scope);
+    if (designators.length === 0) {
+      // Not in the catalog: fall back to the name as typed
+      designators.push(aircraftType);
+    }
 
-    const skip = (page - 1) * limit;
+    const query = { aircraftTypes: { $in: designators } };
+    const after = pagination.decodeCursor(cursor, sortKey);
 
-    const [professionals, total] = await Promise.all([
-      User.find({ aircraftTypes: aircraftType })
+    const [rows, total] = await Promise.all([
+      User.find({ $and: [query, pagination.afterCursor('totalFlightHours', -1, after)] })
         .select('-password')
-        .sort({ totalFlightHours: -1 })
-        .skip(skip)
-        .limit(parseInt(limit))
+        .sort({ totalFlightHours: -1, _id: -1 })
+        .limit(limit + 1)
         .lean(),
-      User.countDocuments({ aircraftTypes: aircraftType })
+      User.countDocuments(query)
     ]);
+    const { page: professionals, nextCursor } = pagination.finishPage(rows, limit, sortKey, 'totalFlightHours');
 
-    // Get flight hours specific to this aircraft type
-    const enhancedProfessionals = await Promise.all(
-      professionals.map(async (professional) => {
-        const workHistories = await WorkHistory.find({
-          user: professional._id,
-          'flightRecords.aircraftTypes.aircraft': aircraftType
-        });
-
-        const aircraftTypeHours = workHistories.reduce((total, history) => {
-          const aircraftRecord = history.flightRecords.aircraftTypes
-            .find(record => record.aircraft === aircraftType);
-          return total + (aircraftRecord?.hours || 0);
-        }, 0);
-
-        return {
-          ...professional,
-          aircraftTypeHours
-        };
-      })
-    );
+    // Get flight hours on the matching types
+    const hours = await enrichment.hoursOnTypes(professionals.map(professional => professional._id), designators);
+    const enhancedProfessionals = professionals.map(professional => ({
+      ...professional,
+      aircraftTypeHours: 0,
+      hoursByType: {},
+      ...hours.get(String(professional._id))
+    }));
 
     res.status(200).json({
       success: true,
+      scope,
+      aircraftTypes: designators,
       count: total,
-      pages: Math.ceil(total / limit),
-      currentPage: page,
+      nextCursor,
       professionals: enhancedProfessionals
     });
   } catch (error) {
@@ -141,11 +137,13 @@ exports.searchByAircraftType = async (req, res, next) => {
   }
 };
 
-// Search by certification
+// Search by certification, most recently issued first
 exports.searchByCertification = async (req, res, next) => {
   try {
     const { certification } = req.params;
-    const { status, page = 1, limit = 10 } = req.query;
+    const { status, cursor } = req.query;
+    const limit = pagination.parseLimit(req.query.limit);
+    const sortKey = 'certificationIssueDate:desc';
 
     const query = {
       'certifications.name': certification
@@ -155,20 +153,40 @@ exports.searchByCertification = async (req, res, next) => {
       query['certifications.verificationStatus'] = status;
     }
 
-    const skip = (page - 1) * limit;
-
-    const [professionals, total] = await Promise.all([
-      User.find(query)
-        .select('-password')
-        .sort({ 'certifications.issueDate': -1 })
-        .skip(skip)
-        .limit(parseInt(limit))
-        .lean(),
+    const after = pagination.decodeCursor(cursor, sortKey);
+
+    // Sort on the issue date of the matching certification, not of any certification
+    const [rows, total] = await Promise.all([
+      User.aggregate([
+        { $match: query },
+        {
+          $addFields: {
+            certificationIssueDate: {
+              $max: {
+                $map: {
+                  input: {
+                    $filter: {
+                      input: '$certifications',
+                      cond: { $eq: ['$$this.name', certification] }
+                    }
+                  },
+                  in: '$$this.issueDate'
+                }
+              }
+            }
+          }
+        },
+        { $match: pagination.afterCursor('certificationIssueDate', -1, after) },
+        { $sort: { certificationIssueDate: -1, _id: -1 } },
+        { $limit: limit + 1 },
+        { $project: { password: 0 } }
+      ]),
       User.countDocuments(query)
     ]);
+    const { page: professionals, nextCursor } = pagination.finishPage(rows, limit, sortKey, 'certificationIssueDate');
 
     // Enhance results with certification details
-    const enhancedProfessionals = professionals.map(professional => {
+    const enhancedProfessionals = professionals.map(({ certificationIssueDate, ...professional }) => {
       const relevantCertification = professional.certifications
         .find(cert => cert.name === certification);
 
@@ -181,8 +199,7 @@ exports.searchByCertification = async (req, res, next) => {
     res.status(200).json({
       success: true,
       count: total,
-      pages: Math.ceil(total / limit),
-      currentPage: page,
+      nextCursor,
       professionals: enhancedProfessionals
     });
   } catch (error) {
@@ -190,6 +207,26 @@ exports.searchByCertification = async (req, res, next) => {
   }
 };
 
+// Look up airports for location filters by code, city or name
+exports.getAirports = async (req, res, next) => {
+  try {
+    const { q, country, region, limit = 10 } = req.query;
+
+    const results = q
+      ? airports.searchAirports(q, parseInt(limit))
+      : airports.airportsIn({ country, region }).slice(0, parseInt(limit));
+
+    res.status(200).json({
+      success: true,
+      count: results.length,
+      regions: airports.getRegions(),
+      airports: results
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Get available positions
 exports.getAvailablePositions = async (req, res, next) => {
   try {
@@ -204,28 +241,29 @@ exports.getAvailablePositions = async (req, res, next) => {
   }
 };
 
-// Get statistics for search results
+// Get statistics for search results. Accepts the same filters as
+// searchProfessionals; without any it covers every professional.
 exports.getSearchStats = async (req, res, next) => {
   try {
+    const search = await professionalSearch.buildSearch(req.query);
+    const match = professionalSearch.toMatchStage(search.query);
+
     const stats = await User.aggregate([
+      match,
       {
         $group: {
           _id: '$role',
           count: { $sum: 1 },
           avgFlightHours: { $avg: '$totalFlightHours' },
-          avgExperience: {
-            $avg: {
-              $divide: [
-                { $subtract: [new Date(), '$createdAt'] },
-                365 * 24 * 60 * 60 * 1000 // Convert to years
-              ]
-            }
-          }
+          avgVerifiedFlightHours: { $avg: { $ifNull: ['$verifiedFlightHours', 0] } },
+          // Years of merged work history, not account age
+          avgExperience: { $avg: '$experience.totalYears' }
         }
       }
     ]);
 
     const certificationStats = await User.aggregate([
+      match,
       { $unwind: '$certifications' },
       {
         $group: {
@@ -244,63 +282,101 @@ exports.getSearchStats = async (req, res, next) => {
       }
     ]);
 
+    // Professionals currently current on each type, by day and at night
+    const now = new Date();
+    const currencyStats = await User.aggregate([
+      match,
+      { $unwind: '$currency.byType' },
+      { $match: { 'currency.byType.expiresOn': { $gt: now } } },
+      {
+        $group: {
+          _id: '$currency.byType.aircraftType',
+          current: { $sum: 1 },
+          nightCurrent: {
+            $sum: { $cond: [{ $gt: ['$currency.byType.nightExpiresOn', now] }, 1, 0] }
+          }
+        }
+      },
+      { $sort: { current: -1 } }
+    ]);
+
     res.status(200).json({
       success: true,
+      ...(search.textMatches && { textMatches: search.textMatches }),
       roleStats: stats,
-      certificationStats
+      certificationStats,
+      currencyStats
     });
   } catch (error) {
     next(error);
   }
 };
 
-// Suggest similar professionals
+// Rank every other professional by weighted similarity to a user. Weights
+// come from the defaults, an optional saved match profile and the weights
+// parameter, e.g. weights=typeHours:0.4,location:0.
 exports.getSimilarProfessionals = async (req, res, next) => {
   try {
     const { userId } = req.params;
+    const { profile, cursor, radiusKm, availableFrom, availableTo, includeStandby, minScore } = req.query;
+    const limit = pagination.parseLimit(req.query.limit);
+    const sortKey = 'similarity';
 
-    const user = await User.findById(userId);
+    const user = await User.findById(userId).select('-password').lean();
     if (!user) {
       throw new APIError('User not found', 404);
     }
 
-    // Find professionals with similar skills and aircraft types
-    const similarProfessionals = await User.find({
-      _id: { $ne: userId },
-      $or: [
-        { skills: { $in: user.skills } },
-        { aircraftTypes: { $in: user.aircraftTypes } },
-        { role: user.role }
-      ]
-    })
-    .select('-password')
-    .limit(5)
-    .lean();
-
-    // Calculate similarity score
-    const enhancedResults = similarProfessionals.map(professional => {
-      const skillsMatch = professional.skills
-        .filter(skill => user.skills.includes(skill)).length;
-      const aircraftMatch = professional.aircraftTypes
-        .filter(type => user.aircraftTypes.includes(type)).length;
-      
-      const similarityScore = 
-        (skillsMatch / user.skills.length) * 0.4 +
-        (aircraftMatch / user.aircraftTypes.length) * 0.4 +
-        (professional.role === user.role ? 0.2 : 0);
+    let matchProfile = null;
+    if (profile) {
+      matchProfile = await MatchProfile.findOne({ _id: profile, user: req.user.id }).lean();
+      if (!matchProfile) {
+        throw new APIError('Match profile not found', 404);
+      }
+    }
 
-      return {
-        ...professional,
-        similarityScore
-      };
+    const weights = matching.resolveWeights(matchProfile?.weights, req.query.weights);
+    const radius = Number(radiusKm || matchProfile?.radiusKm || 0) || undefined;
+    if (radiusKm && !(radius > 0)) {
+      throw new APIError('radiusKm must be a positive number', 400);
+    }
+
+    const after = pagination.decodeCursor(cursor, sortKey);
+    const ranked = await matching.rankSimilar(user, {
+      weights,
+      radiusKm: radius,
+      availableFrom,
+      availableTo,
+      includeStandby: includeStandby === 'true',
+      minScore: Number(minScore) || 0
     });
 
-    // Sort by similarity score
-    enhancedResults.sort((a, b) => b.similarityScore - a.similarityScore);
+    // Keys sort ascending, so the best score gets the lowest key
+    const page = pagination.pageRanked(
+      ranked.map(match => ({ id: match.id, key: -match.score })),
+      limit,
+      sortKey,
+      after
+    );
+
+    const professionals = await User.find({ _id: { $in: page.ids } })
+      .select('-password')
+      .lean();
+    const byId = new Map(professionals.map(professional => [String(professional._id), professional]));
+    const matches = new Map(ranked.map(match => [match.id, match]));
 
     res.status(200).json({
       success: true,
-      professionals: enhancedResults
+      count: ranked.length,
+      nextCursor: page.nextCursor,
+      weights,
+      professionals: page.ids
+        .filter(id => byId.has(id))
+        .map(id => ({
+          ...byId.get(id),
+          similarityScore: matches.get(id).score,
+          explanation: matches.get(id).explanation
+        }))
     });
   } catch (error) {
     next(error);
@@ -0,0 +1,71 @@
+const TaxRuleSet = require('../models/taxRuleSetModel');
+const { APIError } = require('../middlewares/errorHandler');
+const taxEngine = require('../services/taxEngine');
+
+// List tax rule sets, optionally for one residency
+exports.getTaxRuleSets = async (req, res, next) => {
+  try {
+    const { country } = req.query;
+    const query = country ? { country: country.toUpperCase() } : {};
+
+    const ruleSets = await TaxRuleSet.find(query)
+      .sort({ country: 1, effectiveFrom: -1, version: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: ruleSets.length,
+      ruleSets
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get the rule set in force for a residency at a date (defaults to today)
+exports.getApplicableTaxRuleSet = async (req, res, next) => {
+  try {
+    const date = req.query.date ? new Date(req.query.date) : new Date();
+    const ruleSet = await taxEngine.findRuleSet(req.params.country.toUpperCase(), date);
+
+    res.status(200).json({
+      success: true,
+      ruleSet
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Create a new version of a residency's rule set. Existing versions are kept
+// so previously generated payroll can still be traced to its rules.
+exports.createTaxRuleSet = async (req, res, next) => {
+  try {
+    if (req.user.role !== 'admin') {
+      throw new APIError('Not authorized to manage tax rules', 403);
+    }
+
+    const country = String(req.body.country || '').toUpperCase();
+    if (!country) {
+      throw new APIError('Country is required', 400);
+    }
+
+    const latest = await TaxRuleSet.findOne({ country }).sort({ version: -1 });
+
+    const ruleSet = await TaxRuleSet.create({
+      ...req.body,
+      country,
+      version: latest ? latest.version + 1 : 1,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      ruleSet
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return next(new APIError('Another version of this rule set was created at the same time; try again', 409));
+    }
+    next(error);
+  }
+};
\ No newline at end of file
@@ -0,0 +1,299 @@
+const WorkHistory = require('../models/workHistoryModel');
+const RegisteredEmployer = require('../models/registeredEmployerModel');
+const { APIError } = require('../middlewares/errorHandler');
+const verification = require('../services/workHistoryVerification');
+
+const EMPLOYER_FIELDS = ['name', 'aliases', 'domains', 'accounts'];
+
+const assertAdmin = (user) => {
+  if (user.role !== 'admin') {
+    throw new APIError('Not authorized to manage employer verification', 403);
+  }
+};
+
+// Entry as shown to an employer: enough to check it, nothing else
+const forVerifier = (workHistory) => ({
+  _id: workHistory._id,
+  employer: workHistory.employer,
+  position: workHistory.position,
+  period: workHistory.period,
+  flightRecords: {
+    totalHours: workHistory.flightRecords?.totalHours || 0,
+    aircraftTypes: workHistory.flightRecords?.aircraftTypes || []
+  },
+  requestedAt: workHistory.verification?.requestedAt
+});
+
+const findOwnEntry = async (req) => {
+  const workHistory = await WorkHistory.findOne({ _id: req.params.id, user: req.user.id });
+  if (!workHistory) {
+    throw new APIError('Work history entry not found', 404);
+  }
+  return workHistory;
+};
+
+// Ask the employer to verify one of the professional's entries
+exports.requestVerification = async (req, res, next) => {
+  try {
+    const workHistory = await findOwnEntry(req);
+    await verification.requestVerification(workHistory, req.user, {
+      employerAccount: req.body.employerAccount,
+      email: req.body.email,
+      note: req.body.note
+    });
+
+    res.status(200).json({
+      success: true,
+      verification: verification.describe(workHistory)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Verification status and history of one of the professional's entries
+exports.getVerification = async (req, res, next) => {
+  try {
+    const workHistory = await findOwnEntry(req);
+
+    res.status(200).json({
+      success: true,
+      verification: verification.describe(workHistory)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Entries awaiting a decision from the signed-in employer account
+exports.getPendingVerifications = async (req, res, next) => {
+  try {
+    const entries = await WorkHistory.find({
+      'verification.status': 'pending',
+      'verification.confirmed': { $ne: false },
+      'verification.verifier.account': req.user.id
+    })
+      .populate('user', 'name')
+      .sort({ 'verification.requestedAt': 1 });
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      verifications: entries.map(entry => ({ ...forVerifier(entry), professional: entry.user }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Approve, dispute or amend an entry as the employer account it was sent to
+exports.decideVerification = async (req, res, next) => {
+  try {
+    const workHistory = await WorkHistory.findById(req.params.id);
+    if (!workHistory) {
+      throw new APIError('Work history entry not found', 404);
+    }
+
+    const account = workHistory.verification?.verifier?.account;
+    if (req.user.role !== 'admin' && String(account) !== String(req.user.id)) {
+      throw new APIError('Not authorized to verify this entry', 403);
+    }
+
+    await verification.decide(workHistory, { user: req.user.id }, req.body);
+
+    res.status(200).json({
+      success: true,
+      verification: verification.describe(workHistory)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Entry behind a one-time link, for employers without an account
+exports.getLinkVerification = async (req, res, next) => {
+  try {
+    const workHistory = await verification.findByToken(req.params.token);
+
+    res.status(200).json({
+      success: true,
+      verification: forVerifier(workHistory)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Decide through a one-time link; the link stops working afterwards
+exports.decideByLink = async (req, res, next) => {
+  try {
+    const workHistory = await verification.findByToken(req.params.token);
+    await verification.decide(workHistory, {
+      email: workHistory.verification.verifier.email,
+      name: req.body.verifierName
+    }, req.body);
+
+    res.status(200).json({
+      success: true,
+      status: workHistory.verification.status
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Requests whose verifier is not registered for the employer, for admins to
+// confirm or reject
+exports.getUnconfirmedVerifications = async (req, res, next) => {
+  try {
+    assertAdmin(req.user);
+
+    const entries = await WorkHistory.find({
+      'verification.status': 'pending',
+      'verification.confirmed': false
+    })
+      .populate('user', 'name email')
+      .sort({ 'verification.requestedAt': 1 });
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      verifications: entries.map(entry => ({
+        ...forVerifier(entry),
+        professional: entry.user,
+        verifier: entry.verification.verifier
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const findEntry = async (id) => {
+  const workHistory = await WorkHistory.findById(id);
+  if (!workHistory) {
+    throw new APIError('Work history entry not found', 404);
+  }
+  return workHistory;
+};
+
+// Confirm an unregistered verifier; the request is sent to them
+exports.confirmVerifier = async (req, res, next) => {
+  try {
+    assertAdmin(req.user);
+
+    const workHistory = await findEntry(req.params.id);
+    await verification.confirmVerifier(workHistory, req.user, { note: req.body.note });
+
+    res.status(200).json({
+      success: true,
+      verification: verification.describe(workHistory)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Reject an unregistered verifier
+exports.rejectVerifier = async (req, res, next) => {
+  try {
+    assertAdmin(req.user);
+
+    const workHistory = await findEntry(req.params.id);
+    await verification.rejectVerifier(workHistory, req.user, { note: req.body.note });
+
+    res.status(200).json({
+      success: true,
+      verification: verification.describe(workHistory)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Registered employers and who may verify for them
+exports.getRegisteredEmployers = async (req, res, next) => {
+  try {
+    assertAdmin(req.user);
+
+    const employers = await RegisteredEmployer.find()
+      .populate('accounts', 'name email')
+      .sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: employers.length,
+      employers
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Register an employer
+exports.createRegisteredEmployer = async (req, res, next) => {
+  try {
+    assertAdmin(req.user);
+
+    const employer = await RegisteredEmployer.create({
+      ...EMPLOYER_FIELDS
+        .filter(field => req.body[field] !== undefined)
+        .reduce((fields, field) => ({ ...fields, [field]: req.body[field] }), {}),
+      updatedBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      employer
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Update a registered employer. Saved rather than updated in place so the
+// names it is matched by stay in sync.
+exports.updateRegisteredEmployer = async (req, res, next) => {
+  try {
+    assertAdmin(req.user);
+
+    const employer = await RegisteredEmployer.findById(req.params.employerId);
+    if (!employer) {
+      throw new APIError('Registered employer not found', 404);
+    }
+
+    EMPLOYER_FIELDS
+      .filter(field => req.body[field] !== undefined)
+      .forEach((field) => {
+        employer[field] = req.body[field];
+      });
+    employer.updatedBy = req.user.id;
+    await employer.save();
+
+    res.status(200).json({
+      success: true,
+      employer
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Remove a registered employer. Requests already sent are not affected.
+exports.deleteRegisteredEmployer = async (req, res, next) => {
+  try {
+    assertAdmin(req.user);
+
+    const employer = await RegisteredEmployer.findByIdAndDelete(req.params.employerId);
+    if (!employer) {
+      throw new APIError('Registered employer not found', 404);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Registered employer deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,15 +1,47 @@
 const WorkHistory = require('../models/workHistoryModel');
+const LogbookEntry = require('../models/logbookEntryModel');
+const LogbookBalance = require('../models/logbookBalanceModel');
 const User = require('../models/userModel');
 const { APIError } = require('../middlewares/errorHandler');
 const { cleanupUploadedFiles } = require('../middlewares/uploadMiddleware');
+const aircraftCatalog = require('../services/aircraftCatalog');
+const experience = require('../services/experience');
+const logbook = require('../services/logbook');
+const currency = require('../services/currency');
+const verification = require('../services/workHistoryVerification');
+
+// Fields the professional sets directly. Anything else, such as the
+// verification status, only changes through its own workflow.
+const EDITABLE_FIELDS = [
+  'employer', 'position', 'period', 'flightRecords', 'description',
+  'responsibilities', 'location', 'skills', 'references'
+];
+
+const readEditableFields = (body) => EDITABLE_FIELDS
+  .filter(field => body[field] !== undefined)
+  .reduce((fields, field) => ({ ...fields, [field]: body[field] }), {});
+
+// Store catalog designators instead of free-form aircraft names
+const normalizeFlightRecords = async (flightRecords) => {
+  if (!Array.isArray(flightRecords?.aircraftTypes)) return flightRecords;
+
+  await aircraftCatalog.load();
+  return {
+    ...flightRecords,
+    aircraftTypes: aircraftCatalog.normalizeAircraftRecords(flightRecords.aircraftTypes)
+  };
+};
 
 // Create work history entry
 exports.createWorkHistory = async (req, res, next) => {
   try {
     const workHistoryData = {
-      ...req.body,
+      ...readEditableFields(req.body),
       user: req.user.id
     };
+    if (workHistoryData.flightRecords) {
+      workHistoryData.flightRecords = await normalizeFlightRecords(workHistoryData.flightRecords);
+    }
 
     // Handle document uploads if any
     if (req.files) {
@@ -28,6 +60,7 @@ exports.createWorkHistory = async (req, res, next) => {
         $inc: { totalFlightHours: workHistoryData.flightRecords.totalHours }
       });
     }
+    await experience.recalculate(req.user.id);
 
     res.status(201).json({
       success: true,
@@ -82,7 +115,10 @@ exports.getWorkHistory = async (req, res, next) => {
 // Update work history entry
 exports.updateWorkHistory = async (req, res, next) => {
   try {
-    const updateData = { ...req.body };
+    const updateData = readEditableFields(req.body);
+    if (updateData.flightRecords) {
+      updateData.flightRecords = await normalizeFlightRecords(updateData.flightRecords);
+    }
 
     // Handle document uploads if any
     if (req.files) {
@@ -106,6 +142,13 @@ exports.updateWorkHistory = async (req, res, next) => {
       throw new APIError('Work history entry not found', 404);
     }
 
+    if (updateData.flightRecords && await logbook.usesLogbook(originalWorkHistory._id)) {
+      if (req.files) {
+        cleanupUploadedFiles(req.files);
+      }
+      throw new APIError('Flight records for this entry are derived from its logbook', 409);
+    }
+
     // Update work history
     const workHistory = await WorkHistory.findOneAndUpdate(
       { _id: req.params.id, user: req.user.id },
@@ -124,10 +167,12 @@ exports.updateWorkHistory = async (req, res, next) => {
         });
       }
     }
+    await experience.recalculate(req.user.id);
+    const reset = await verification.reset(workHistory._id, 'Entry edited by the professional');
 
     res.status(200).json({
       success: true,
-      workHistory
+      workHistory: reset || workHistory
     });
   } catch (error) {
     if (req.files) {
@@ -156,7 +201,12 @@ exports.deleteWorkHistory = async (req, res, next) => {
       });
     }
 
+    await LogbookEntry.deleteMany({ workHistory: workHistory._id });
+    await LogbookBalance.deleteOne({ workHistory: workHistory._id });
     await workHistory.remove();
+    await experience.recalculate(req.user.id);
+    await currency.recalculate(req.user.id);
+    await verification.refreshVerifiedHours(req.user.id);
 
     res.status(200).json({
       success: true,
@@ -167,16 +217,23 @@ exports.deleteWorkHistory = async (req, res, next) => {
   }
 };
 
-// Add flight record to work history
+// Add aggregate flight hours to a work history entry without a logbook
 exports.addFlightRecord = async (req, res, next) => {
   try {
     const { aircraftType, hours, routes } = req.body;
 
+    if (await logbook.usesLogbook(req.params.id)) {
+      throw new APIError('Flight records for this entry are derived from its logbook; add a logbook entry instead', 409);
+    }
+
+    await aircraftCatalog.load();
+    const aircraft = aircraftCatalog.normalizeName(aircraftType);
+
     const workHistory = await WorkHistory.findOneAndUpdate(
       { _id: req.params.id, user: req.user.id },
       {
         $push: {
-          'flightRecords.aircraftTypes': { aircraft: aircraftType, hours },
+          'flightRecords.aircraftTypes': { aircraft, hours },
           'flightRecords.routes': routes
         },
         $inc: { 'flightRecords.totalHours': hours }
@@ -192,6 +249,7 @@ exports.addFlightRecord = async (req, res, next) => {
     await User.findByIdAndUpdate(req.user.id, {
       $inc: { totalFlightHours: hours }
     });
+    await experience.recalculate(req.user.id);
 
     res.status(200).json({
       success: true,
@@ -277,6 +335,18 @@ exports.getWorkHistoryStats = async (req, res, next) => {
           _id: null,
           totalEmployers: { $sum: 1 },
           totalFlightHours: { $sum: '$flightRecords.totalHours' },
+          verifiedFlightHours: {
+            $sum: {
+              $cond: [
+                { $eq: ['$verification.status', 'verified'] },
+                '$flightRecords.totalHours',
+                0
+              ]
+            }
+          },
+          verifiedEntries: {
+            $sum: { $cond: [{ $eq: ['$verification.status', 'verified'] }, 1, 0] }
+          },
           avgRating: { $avg: '$performance.ratings.score' },
           totalAchievements: { $sum: { $size: '$achievements' } }
         }
@@ -288,9 +358,24 @@ exports.getWorkHistoryStats = async (req, res, next) => {
       stats: stats[0] || {
         totalEmployers: 0,
         totalFlightHours: 0,
+        verifiedFlightHours: 0,
+        verifiedEntries: 0,
         avgRating: 0,
         totalAchievements: 0
-      }
+      },
+      currency: await currency.forUser(req.user.id)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Recency and currency per aircraft type, at night and on instruments
+exports.getCurrency = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      currency: await currency.forUser(req.user.id)
     });
   } catch (error) {
     next(error);
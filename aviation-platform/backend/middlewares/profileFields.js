@@ -0,0 +1,33 @@
+const aircraftCatalog = require('../services/aircraftCatalog');
+const airports = require('../services/airports');
+const { APIError } = require('./errorHandler');
+
+// Normalize profile fields before the profile update stores them, so that
+// profiles hold the same values searches match on
+exports.normalizeProfileFields = async (req, res, next) => {
+  try {
+    if (Array.isArray(req.body.aircraftTypes)) {
+      // Catalog designators instead of free-form aircraft names
+      await aircraftCatalog.load();
+      req.body.aircraftTypes = [...new Set(req.body.aircraftTypes.map(aircraftCatalog.normalizeName))];
+    }
+
+    if (req.body.baseAirport !== undefined) {
+      // Codes or city names resolve to the airport's IATA code; an empty
+      // value clears the base airport
+      if (req.body.baseAirport) {
+        const airport = airports.findAirport(req.body.baseAirport);
+        if (!airport) {
+          throw new APIError(`Unknown airport: ${req.body.baseAirport}`, 400);
+        }
+        req.body.baseAirport = airport.iata || airport.icao;
+      } else {
+        req.body.baseAirport = null;
+      }
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+const ENGINE_CLASSES = ['single_piston', 'multi_piston', 'single_turboprop', 'multi_turboprop', 'jet', 'helicopter'];
+const CATEGORIES = ['narrowbody', 'widebody', 'regional', 'business', 'general_aviation', 'rotorcraft'];
+
+// Managed aircraft type catalog. Profiles and work history store the ICAO
+// designator; family and type rating group let searches span related types.
+const aircraftTypeSchema = new mongoose.Schema({
+  designator: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  manufacturer: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  model: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  family: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  typeRatingGroup: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  engineClass: {
+    type: String,
+    enum: ENGINE_CLASSES,
+    required: true
+  },
+  category: {
+    type: String,
+    enum: CATEGORIES,
+    required: true
+  },
+  // Marketing names and variant spellings that resolve to this designator
+  aliases: [{
+    type: String,
+    trim: true
+  }],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+aircraftTypeSchema.index({ family: 1 });
+aircraftTypeSchema.index({ typeRatingGroup: 1 });
+
+const AircraftType = mongoose.model('AircraftType', aircraftTypeSchema);
+AircraftType.ENGINE_CLASSES = ENGINE_CLASSES;
+AircraftType.CATEGORIES = CATEGORIES;
+
+module.exports = AircraftType;
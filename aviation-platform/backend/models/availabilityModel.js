@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+const KINDS = ['available', 'standby', 'blocked', 'leave'];
+
+// One window on a professional's availability calendar. Dates are whole UTC
+// days and endDate is inclusive. Where windows overlap, leave and blocked win
+// over standby, and standby over available.
+const availabilitySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: KINDS,
+    required: true
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true
+  },
+  note: String
+}, {
+  timestamps: true
+});
+
+availabilitySchema.pre('validate', function (next) {
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'End date must not be before start date');
+  }
+  next();
+});
+
+availabilitySchema.index({ user: 1, startDate: 1 });
+availabilitySchema.index({ startDate: 1, endDate: 1 });
+
+const Availability = mongoose.model('Availability', availabilitySchema);
+Availability.KINDS = KINDS;
+
+module.exports = Availability;
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+const MEASURES = ['flight', 'duty'];
+const PERIODS = ['rollingDays', 'rollingMonths', 'calendarMonth', 'calendarYear'];
+
+// Flight and duty time limitations. Each limit caps flight or duty hours over
+// a rolling or calendar period; rest rules set the minimum rest between duty
+// periods. Duty is derived from logged flights plus report and release time.
+const ftlRuleSetSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: String,
+  // Used when no rule set is asked for
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  limits: [{
+    _id: false,
+    measure: { type: String, enum: MEASURES, required: true },
+    period: { type: String, enum: PERIODS, required: true },
+    // Days or months for rolling periods
+    length: { type: Number, min: 1 },
+    maxHours: { type: Number, required: true, min: 0 }
+  }],
+  rest: {
+    minHours: { type: Number, min: 0, default: 12 },
+    // Rest must also be at least as long as the preceding duty period
+    atLeastPrecedingDuty: { type: Boolean, default: true }
+  },
+  duty: {
+    reportMinutes: { type: Number, min: 0, default: 60 },
+    releaseMinutes: { type: Number, min: 0, default: 30 },
+    // Flights separated by less than this belong to the same duty period
+    splitHours: { type: Number, min: 0, default: 4 }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+ftlRuleSetSchema.pre('validate', function (next) {
+  (this.limits || []).forEach((limit, index) => {
+    if (['rollingDays', 'rollingMonths'].includes(limit.period) && !limit.length) {
+      this.invalidate(`limits.${index}.length`, 'Rolling periods need a length');
+    }
+  });
+  next();
+});
+
+const FtlRuleSet = mongoose.model('FtlRuleSet', ftlRuleSetSchema);
+FtlRuleSet.MEASURES = MEASURES;
+FtlRuleSet.PERIODS = PERIODS;
+
+module.exports = FtlRuleSet;
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// Flight hours a work history entry already had when its first logbook entry
+// was added. Logbook totals are added on top, so switching to a logbook keeps
+// the hours recorded before it.
+const logbookBalanceSchema = new mongoose.Schema({
+  workHistory: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WorkHistory',
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  totalHours: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  aircraftTypes: [{
+    _id: false,
+    aircraft: String,
+    hours: Number
+  }]
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('LogbookBalance', logbookBalanceSchema);
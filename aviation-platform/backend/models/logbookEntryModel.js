@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Time fields that are parts of the block time, in hours
+const TIME_FIELDS = ['picTime', 'sicTime', 'dualTime', 'instructionTime', 'nightTime', 'ifrTime'];
+
+const icao = {
+  type: String,
+  required: true,
+  uppercase: true,
+  trim: true,
+  match: [/^[A-Z0-9]{4}$/, 'Must be a four-letter ICAO code']
+};
+
+const hours = {
+  type: Number,
+  min: 0,
+  default: 0
+};
+
+// One flight in a professional's logbook, filed under the work history
+// entry it was flown for. Block time is derived from the block off/on times;
+// the work history flight totals are derived from these entries.
+const logbookEntrySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  workHistory: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WorkHistory',
+    required: true
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  // Catalog designator
+  aircraftType: {
+    type: String,
+    required: true
+  },
+  registration: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  departure: icao,
+  arrival: icao,
+  blockOff: {
+    type: Date,
+    required: true
+  },
+  blockOn: {
+    type: Date,
+    required: true
+  },
+  blockTime: hours,
+  picTime: hours,
+  sicTime: hours,
+  dualTime: hours,
+  instructionTime: hours,
+  nightTime: hours,
+  ifrTime: hours,
+  landings: {
+    day: { type: Number, min: 0, default: 0 },
+    night: { type: Number, min: 0, default: 0 }
+  },
+  approaches: [{
+    _id: false,
+    type: { type: String, required: true, trim: true },
+    count: { type: Number, min: 1, default: 1 }
+  }],
+  remarks: String
+}, {
+  timestamps: true
+});
+
+logbookEntrySchema.pre('validate', function (next) {
+  if (this.blockOff && this.blockOn) {
+    if (this.blockOn <= this.blockOff) {
+      this.invalidate('blockOn', 'Block on must be after block off');
+    } else {
+      this.blockTime = Math.round((this.blockOn - this.blockOff) / HOUR_MS * 100) / 100;
+
+      TIME_FIELDS
+        .filter(field => this[field] > this.blockTime)
+        .forEach(field => this.invalidate(field, `${field} must not exceed the block time`));
+      if (this.picTime + this.sicTime + this.dualTime > this.blockTime) {
+        this.invalidate('picTime', 'PIC, SIC and dual time together must not exceed the block time');
+      }
+    }
+  }
+  next();
+});
+
+logbookEntrySchema.index({ workHistory: 1, date: -1 });
+logbookEntrySchema.index({ user: 1, date: -1 });
+logbookEntrySchema.index({ user: 1, aircraftType: 1, date: -1 });
+// FTL checks stream flights by user in block-off order
+logbookEntrySchema.index({ user: 1, blockOff: 1 });
+
+const LogbookEntry = mongoose.model('LogbookEntry', logbookEntrySchema);
+LogbookEntry.TIME_FIELDS = TIME_FIELDS;
+
+module.exports = LogbookEntry;
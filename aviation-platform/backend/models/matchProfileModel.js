@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Named set of matching weights, used to rank similar professionals
+const matchProfileSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Weight per matching dimension; dimensions left out use the defaults
+  weights: {
+    type: Map,
+    of: {
+      type: Number,
+      min: 0
+    },
+    default: {}
+  },
+  // Distance at which the location score reaches zero
+  radiusKm: {
+    type: Number,
+    min: 1
+  }
+}, {
+  timestamps: true
+});
+
+matchProfileSchema.index({ user: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('MatchProfile', matchProfileSchema);
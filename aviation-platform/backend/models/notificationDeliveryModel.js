@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// Delivery log: one document per notification and channel, retried until
+// it is sent or runs out of attempts
+const notificationDeliverySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  channel: {
+    type: String,
+    enum: ['email', 'webhook', 'inApp'],
+    required: true
+  },
+  // Stops the same notification being sent twice, e.g. by recurring checks
+  dedupeKey: String,
+  // Destination overriding the user's preferences, e.g. a saved search's webhook
+  target: String,
+  message: {
+    subject: String,
+    body: String,
+    data: mongoose.Schema.Types.Mixed
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sent', 'retrying', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: String,
+  nextAttemptAt: Date,
+  sentAt: Date
+}, {
+  timestamps: true
+});
+
+notificationDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+// Only deliveries with a dedupeKey are unique; a sparse compound index would
+// still index every delivery by channel
+notificationDeliverySchema.index(
+  { dedupeKey: 1, channel: 1 },
+  { unique: true, partialFilterExpression: { dedupeKey: { $exists: true } } }
+);
+
+module.exports = mongoose.model('NotificationDelivery', notificationDeliverySchema);
\ No newline at end of file
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// In-app inbox message
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  title: String,
+  body: String,
+  data: mongoose.Schema.Types.Mixed,
+  readAt: Date
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
\ No newline at end of file
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Per-event message template. Templates for a specific channel take
+// precedence over the event's default template.
+const notificationTemplateSchema = new mongoose.Schema({
+  event: {
+    type: String,
+    required: true
+  },
+  channel: {
+    type: String,
+    enum: ['default', 'email', 'webhook', 'inApp'],
+    default: 'default'
+  },
+  subject: {
+    type: String,
+    required: true
+  },
+  body: {
+    type: String,
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+notificationTemplateSchema.index({ event: 1, channel: 1 }, { unique: true });
+
+module.exports = mongoose.model('NotificationTemplate', notificationTemplateSchema);
\ No newline at end of file
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// Pay terms between an employer and a crew member. Monthly figures are
+// prorated to the length of the pay period by the pay calculator.
+const payContractSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  employer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  title: String,
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  hourlyRates: [{
+    aircraftType: { type: String, required: true },
+    rate: { type: Number, required: true, min: 0 }
+  }],
+  defaultHourlyRate: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  guaranteedMinimum: {
+    monthlyAmount: { type: Number, default: 0, min: 0 }
+  },
+  overtime: {
+    monthlyThresholdHours: Number,
+    multiplier: { type: Number, default: 1.5, min: 1 }
+  },
+  perDiem: {
+    dailyRate: { type: Number, default: 0, min: 0 }
+  },
+  effectiveFrom: {
+    type: Date,
+    required: true
+  },
+  effectiveTo: Date,
+  status: {
+    type: String,
+    enum: ['active', 'ended'],
+    default: 'active'
+  }
+}, {
+  timestamps: true
+});
+
+// Active contract covering the given date
+payContractSchema.statics.findActiveFor = function (userId, date) {
+  return this.findOne({
+    user: userId,
+    status: 'active',
+    effectiveFrom: { $lte: date },
+    $or: [{ effectiveTo: null }, { effectiveTo: { $gte: date } }]
+  }).sort({ effectiveFrom: -1 });
+};
+
+module.exports = mongoose.model('PayContract', payContractSchema);
\ No newline at end of file
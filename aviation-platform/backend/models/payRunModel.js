@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// A pay run covers every crew member under contract with an employer for one
+// period: draft (calculated, previewable) -> approved -> processing ->
+// completed or partially_failed. A partially failed run can be re-approved.
+const payRunSchema = new mongoose.Schema({
+  employer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  period: {
+    startDate: { type: Date, required: true },
+    endDate: { type: Date, required: true }
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'approved', 'processing', 'completed', 'partially_failed'],
+    default: 'draft'
+  },
+  records: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PayrollRecord'
+  }],
+  // Totals per payout currency
+  totals: [{
+    _id: false,
+    currency: String,
+    crewCount: Number,
+    grossAmount: Number,
+    deductions: Number,
+    netAmount: Number,
+    payoutAmount: Number
+  }],
+  // Crew members that could not be calculated or need attention before approval
+  exceptions: [{
+    _id: false,
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    payrollRecord: { type: mongoose.Schema.Types.ObjectId, ref: 'PayrollRecord' },
+    severity: { type: String, enum: ['error', 'warning'] },
+    message: String
+  }],
+  // Outcome of each record once submitted for payment
+  results: [{
+    _id: false,
+    payrollRecord: { type: mongoose.Schema.Types.ObjectId, ref: 'PayrollRecord' },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    status: { type: String, enum: ['paid', 'failed', 'skipped'] },
+    reference: String,
+    failureReason: String,
+    processedAt: Date
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedAt: Date,
+  submittedAt: Date,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+payRunSchema.index({ employer: 1, 'period.startDate': -1 });
+
+module.exports = mongoose.model('PayRun', payRunSchema);
\ No newline at end of file
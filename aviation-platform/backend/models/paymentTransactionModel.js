@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const paymentTransactionSchema = new mongoose.Schema({
+  // Unique per user, see the index below
+  idempotencyKey: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  payrollRecord: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PayrollRecord',
+    required: true,
+    index: true
+  },
+  // Set while a payment is processing or paid so a record can only be paid once
+  activePayroll: {
+    type: mongoose.Schema.Types.ObjectId,
+    unique: true,
+    sparse: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  amount: Number,
+  currency: String,
+  status: {
+    type: String,
+    enum: ['processing', 'paid', 'failed'],
+    default: 'processing'
+  },
+  reference: String,
+  failureReason: String,
+  providerResponse: mongoose.Schema.Types.Mixed,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+paymentTransactionSchema.index({ user: 1, idempotencyKey: 1 }, { unique: true });
+paymentTransactionSchema.index({ status: 1, updatedAt: 1 });
+
+module.exports = mongoose.model('PaymentTransaction', paymentTransactionSchema);
\ No newline at end of file
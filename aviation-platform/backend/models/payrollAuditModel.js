@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Append-only audit trail of every change to a payroll record
+const payrollAuditSchema = new mongoose.Schema({
+  payrollRecord: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PayrollRecord',
+    required: true,
+    index: true
+  },
+  action: {
+    type: String,
+    enum: ['created', 'updated', 'status_changed'],
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reason: String,
+  changes: [{
+    _id: false,
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }]
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Audit entries are never edited or removed
+const rejectChange = function (next) {
+  next(new Error('Payroll audit entries cannot be changed'));
+};
+['updateOne', 'updateMany', 'findOneAndUpdate', 'deleteOne', 'deleteMany', 'findOneAndDelete'].forEach((operation) => {
+  payrollAuditSchema.pre(operation, rejectChange);
+});
+
+module.exports = mongoose.model('PayrollAudit', payrollAuditSchema);
\ No newline at end of file
@@ -0,0 +1,271 @@
+const mongoose = require('mongoose');
+const { APIError } = require('../middlewares/errorHandler');
+const PayrollAudit = require('./payrollAuditModel');
+
+const PAYROLL_TYPES = ['salary', 'bonus', 'allowance', 'adjustment'];
+const PAYROLL_STATUSES = ['pending', 'approved', 'paid', 'failed', 'reversed'];
+const ADJUSTMENT_KINDS = ['back_pay', 'clawback', 'bonus_correction', 'reversal'];
+
+// Amounts are fixed once a record exists; corrections are new adjustment records
+const IMMUTABLE_FIELDS = [
+  'user', 'type', 'period', 'flightHours', 'earnings', 'deductions', 'taxRules',
+  'contract', 'payRun', 'lineItems', 'grossAmount', 'netAmount', 'currency',
+  'payoutCurrency', 'payoutAmount', 'exchangeRate', 'adjusts', 'adjustmentKind', 'recoveries'
+];
+
+// Allowed lifecycle transitions: pending -> approved -> paid/failed/reversed
+const STATUS_TRANSITIONS = {
+  pending: ['approved'],
+  approved: ['paid', 'failed'],
+  paid: ['reversed'],
+  failed: ['approved', 'reversed'],
+  reversed: []
+};
+
+const payrollRecordSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  type: {
+    type: String,
+    enum: PAYROLL_TYPES,
+    default: 'salary'
+  },
+  period: {
+    startDate: { type: Date, required: true },
+    endDate: { type: Date, required: true }
+  },
+  flightHours: {
+    type: Number,
+    default: 0
+  },
+  earnings: {
+    base: { type: Number, default: 0 },
+    overtime: { type: Number, default: 0 },
+    allowances: { type: Number, default: 0 },
+    bonuses: { type: Number, default: 0 }
+  },
+  deductions: {
+    tax: { type: Number, default: 0 },
+    insurance: { type: Number, default: 0 },
+    pension: { type: Number, default: 0 },
+    other: { type: Number, default: 0 }
+  },
+  // Tax rule set the deductions were calculated with
+  taxRules: {
+    ruleSet: { type: mongoose.Schema.Types.ObjectId, ref: 'TaxRuleSet' },
+    country: String,
+    version: Number,
+    taxableIncome: Number,
+    exemptAllowances: Number
+  },
+  contract: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PayContract'
+  },
+  payRun: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PayRun',
+    index: true
+  },
+  // Adjustment records point at the record they correct
+  adjusts: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PayrollRecord',
+    index: true
+  },
+  adjustmentKind: {
+    type: String,
+    enum: ADJUSTMENT_KINDS
+  },
+  // Negative adjustments recovered through deductions.other on this record
+  recoveries: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PayrollRecord'
+  }],
+  // How each earnings amount was derived
+  lineItems: [{
+    _id: false,
+    category: { type: String, enum: ['base', 'overtime', 'allowances', 'bonuses'] },
+    description: String,
+    aircraftType: String,
+    quantity: Number,
+    unit: String,
+    rate: Number,
+    amount: Number
+  }],
+  grossAmount: {
+    type: Number,
+    default: 0
+  },
+  netAmount: {
+    type: Number,
+    default: 0
+  },
+  // Currency the pay is computed in (the contract currency)
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  // Currency the net amount is paid out in, with the rate used to convert it
+  payoutCurrency: String,
+  payoutAmount: {
+    type: Number,
+    default: 0
+  },
+  exchangeRate: {
+    from: String,
+    to: String,
+    rate: Number,
+    source: String,
+    asOf: Date,
+    retrievedAt: Date
+  },
+  status: {
+    type: String,
+    enum: PAYROLL_STATUSES,
+    default: 'pending',
+    index: true
+  },
+  statusHistory: [{
+    status: { type: String, enum: PAYROLL_STATUSES },
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    changedAt: { type: Date, default: Date.now },
+    reason: String
+  }],
+  paymentMethod: String,
+  paymentDetails: mongoose.Schema.Types.Mixed,
+  transactionId: String,
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedAt: Date,
+  paidAt: Date
+}, {
+  timestamps: true
+});
+
+payrollRecordSchema.index({ user: 1, 'period.startDate': -1 });
+
+// Keep gross and net amounts in sync with the earnings and deductions
+payrollRecordSchema.pre('validate', function (next) {
+  const { base, overtime, allowances, bonuses } = this.earnings;
+  const { tax, insurance, pension, other } = this.deductions;
+
+  this.grossAmount = base + overtime + allowances + bonuses;
+  this.netAmount = this.grossAmount - (tax + insurance + pension + other);
+
+  if (!this.payoutCurrency) this.payoutCurrency = this.currency;
+  const rate = this.payoutCurrency === this.currency ? 1 : this.exchangeRate?.rate;
+  this.payoutAmount = Math.round(this.netAmount * rate * 100) / 100;
+
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ status: this.status, changedBy: this.user });
+  }
+
+  next();
+});
+
+// Remember the stored values so changes can be audited on save
+payrollRecordSchema.post('init', function () {
+  this.$locals.original = this.toObject({ depopulate: true });
+});
+
+// Reject changes to amounts and record what changed for the audit trail
+payrollRecordSchema.pre('save', function (next) {
+  if (this.isNew) {
+    this.$locals.auditEntry = { action: 'created', changes: [] };
+    return next();
+  }
+
+  const changedFields = this.modifiedPaths().filter(path => !path.includes('.'));
+  const immutableChanges = changedFields.filter(field => IMMUTABLE_FIELDS.includes(field));
+  if (immutableChanges.length > 0) {
+    return next(new APIError(
+      `Payroll amounts cannot be changed (${immutableChanges.join(', ')}); issue an adjustment instead`,
+      409
+    ));
+  }
+
+  const current = this.toObject({ depopulate: true });
+  const original = this.$locals.original || {};
+  const changes = changedFields
+    .filter(field => field !== 'statusHistory' && field !== 'updatedAt')
+    .map(field => ({ field, before: original[field], after: current[field] }));
+
+  this.$locals.auditEntry = changes.length > 0
+    ? { action: changedFields.includes('status') ? 'status_changed' : 'updated', changes }
+    : null;
+  next();
+});
+
+payrollRecordSchema.post('save', async function () {
+  const entry = this.$locals.auditEntry;
+  if (!entry) return;
+
+  // Written in the record's transaction when it is saved with a session
+  const { actor, reason } = this.$locals.auditContext || {};
+  await PayrollAudit.create([{
+    payrollRecord: this._id,
+    action: entry.action,
+    actor: actor || (entry.action === 'created' ? this.user : undefined),
+    reason,
+    changes: entry.action === 'created'
+      ? [{ field: 'record', after: this.toObject({ depopulate: true }) }]
+      : entry.changes
+  }], { session: this.$session() });
+
+  this.$locals.original = this.toObject({ depopulate: true });
+  this.$locals.auditEntry = null;
+  this.$locals.auditContext = null;
+});
+
+// Who is making the next save and why, for the audit trail
+payrollRecordSchema.methods.setAuditContext = function (actor, reason) {
+  this.$locals.auditContext = { actor, reason };
+  return this;
+};
+
+// Save the record and then its audit entry. Given a session, both are
+// written in the caller's transaction; without one they are plain writes, so
+// everyday payroll works on a standalone MongoDB server.
+payrollRecordSchema.methods.saveWithAudit = function ({ session } = {}) {
+  return this.save(session ? { session } : undefined);
+};
+
+payrollRecordSchema.methods.canTransitionTo = function (status) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Move the record through its lifecycle, recording who changed it and why
+payrollRecordSchema.methods.transitionTo = function (status, changedBy, reason) {
+  if (!this.canTransitionTo(status)) {
+    throw new APIError(`Cannot change payroll status from ${this.status} to ${status}`, 409);
+  }
+
+  this.status = status;
+  this.statusHistory.push({ status, changedBy, reason });
+  this.setAuditContext(changedBy, reason);
+
+  if (status === 'approved') {
+    this.approvedBy = changedBy;
+    this.approvedAt = new Date();
+  }
+  if (status === 'paid') {
+    this.paidAt = new Date();
+  }
+
+  return this;
+};
+
+const PayrollRecord = mongoose.model('PayrollRecord', payrollRecordSchema);
+
+PayrollRecord.TYPES = PAYROLL_TYPES;
+PayrollRecord.STATUSES = PAYROLL_STATUSES;
+PayrollRecord.ADJUSTMENT_KINDS = ADJUSTMENT_KINDS;
+
+module.exports = PayrollRecord;
\ No newline at end of file
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const normalizeName = (name) => String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+// Employers that can verify work history, managed by admins. An entry's
+// employer name is matched against the name and aliases; only the listed
+// accounts and addresses at the listed email domains may verify for it.
+const registeredEmployerSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Other names professionals use for the employer, e.g. trading names
+  aliases: [{
+    type: String,
+    trim: true
+  }],
+  domains: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
+  accounts: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Name and aliases as matched, kept in sync on save
+  matchNames: {
+    type: [String],
+    select: false
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+registeredEmployerSchema.index({ matchNames: 1 });
+
+registeredEmployerSchema.pre('save', function (next) {
+  this.matchNames = [...new Set([this.name, ...(this.aliases || [])].map(normalizeName))];
+  next();
+});
+
+// Registered employer for a work history entry's employer name
+registeredEmployerSchema.statics.findByName = function (name) {
+  return this.findOne({ matchNames: normalizeName(name) });
+};
+
+module.exports = mongoose.model('RegisteredEmployer', registeredEmployerSchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+const STATUSES = ['open', 'filled', 'closed'];
+
+// A position to staff. Required certifications, hours, languages, base and
+// dates are hard requirements; preferred certifications only affect ranking.
+const requisitionSchema = new mongoose.Schema({
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: String,
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'open'
+  },
+  role: {
+    type: String,
+    required: true
+  },
+  requiredCertifications: [String],
+  preferredCertifications: [String],
+  minTotalHours: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Minimum logged hours per aircraft type, by catalog designator
+  typeHours: [{
+    _id: false,
+    aircraftType: { type: String, required: true },
+    minHours: { type: Number, min: 0, default: 0 }
+  }],
+  languages: [String],
+  // Airport code or city; candidates must be based within radiusKm
+  base: String,
+  radiusKm: {
+    type: Number,
+    min: 1
+  },
+  // Candidates must be available for the whole period
+  startDate: Date,
+  endDate: Date
+}, {
+  timestamps: true
+});
+
+requisitionSchema.pre('validate', function (next) {
+  if (this.endDate && !this.startDate) {
+    this.invalidate('startDate', 'Start date is required with an end date');
+  }
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'End date must not be before start date');
+  }
+  next();
+});
+
+requisitionSchema.index({ createdBy: 1, status: 1 });
+
+const Requisition = mongoose.model('Requisition', requisitionSchema);
+Requisition.STATUSES = STATUSES;
+
+module.exports = Requisition;
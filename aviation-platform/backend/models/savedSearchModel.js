@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// A named professional search. The alert job re-runs it and records who
+// newly matches since the previous run.
+const savedSearchSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Filter parameters as accepted by /search/professionals
+  filters: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  sortBy: String,
+  sortOrder: {
+    type: String,
+    enum: ['asc', 'desc'],
+    default: 'desc'
+  },
+  alerts: {
+    enabled: { type: Boolean, default: true },
+    webhookUrl: String
+  },
+  // Matching users already notified about, bounded by
+  // config.savedSearches.maxNotifiedIds
+  notifiedIds: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    select: false
+  },
+  newMatches: [{
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    matchedAt: Date,
+    seenAt: Date
+  }],
+  lastRunAt: Date,
+  lastError: String
+}, {
+  timestamps: true
+});
+
+savedSearchSchema.index({ user: 1, name: 1 }, { unique: true });
+savedSearchSchema.index({ 'alerts.enabled': 1, lastRunAt: 1 });
+
+module.exports = mongoose.model('SavedSearch', savedSearchSchema);
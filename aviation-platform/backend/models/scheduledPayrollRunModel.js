@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// One scheduled payroll draft per user and pay period. These documents are
+// the scheduler's persisted state: upcoming periods are kept as scheduled and
+// the latest period tells the scheduler where to resume after a restart.
+const scheduledPayrollRunSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  frequency: String,
+  period: {
+    startDate: { type: Date, required: true },
+    endDate: { type: Date, required: true }
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'completed', 'skipped', 'failed'],
+    default: 'scheduled'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  payrollRecord: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PayrollRecord'
+  },
+  error: String,
+  // Why no draft was generated, e.g. a pay run already paid the period
+  reason: String,
+  lastAttemptAt: Date,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+scheduledPayrollRunSchema.index({ user: 1, 'period.startDate': 1 }, { unique: true });
+scheduledPayrollRunSchema.index({ status: 1, 'period.endDate': -1 });
+
+module.exports = mongoose.model('ScheduledPayrollRun', scheduledPayrollRunSchema);
\ No newline at end of file
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// Versioned tax and deduction rules for one tax residency. Amounts are annual
+// and expressed in the rule set currency; the tax engine prorates them per period.
+const taxRuleSetSchema = new mongoose.Schema({
+  country: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  effectiveFrom: {
+    type: Date,
+    required: true
+  },
+  effectiveTo: Date,
+  currency: String,
+  taxBrackets: [{
+    upTo: Number, // Upper bound of the bracket, omitted for the top bracket
+    rate: { type: Number, required: true, min: 0, max: 1 }
+  }],
+  socialInsurance: {
+    rate: { type: Number, default: 0, min: 0, max: 1 },
+    annualCap: Number
+  },
+  pension: {
+    employeeRate: { type: Number, default: 0, min: 0, max: 1 },
+    annualCap: Number,
+    taxDeductible: { type: Boolean, default: false }
+  },
+  allowanceExemption: {
+    rate: { type: Number, default: 0, min: 0, max: 1 },
+    annualCap: Number
+  },
+  notes: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+taxRuleSetSchema.index({ country: 1, version: 1 }, { unique: true });
+taxRuleSetSchema.index({ country: 1, effectiveFrom: -1 });
+
+module.exports = mongoose.model('TaxRuleSet', taxRuleSetSchema);
\ No newline at end of file
@@ -0,0 +1,52 @@
+const airports = require('../services/airports');
+
+// Fields that features outside the core profile store on the user. The User
+// schema applies this plugin (userSchema.plugin(require('./userFields'))) so
+// the paths are declared on the schema before the model is compiled.
+module.exports = (schema) => {
+  schema.add({
+    // IATA code of the airport the professional is based at (services/airports)
+    baseAirport: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      validate: {
+        validator: (code) => !code || Boolean(airports.findAirport(code)),
+        message: props => `${props.value} is not a known airport code`
+      }
+    },
+    // Merged work history periods, kept current by services/experience
+    experience: {
+      totalYears: Number,
+      byRole: [{ _id: false, role: String, years: Number }],
+      byAircraftType: [{ _id: false, aircraftType: String, years: Number }],
+      firstStartDate: Date,
+      ongoing: Boolean,
+      calculatedAt: Date
+    },
+    // Recency expiry dates from the logbook, kept by services/currency
+    currency: {
+      byType: [{
+        _id: false,
+        aircraftType: String,
+        takeoffs: Number,
+        landings: Number,
+        nightLandings: Number,
+        lastFlight: Date,
+        expiresOn: Date,
+        nightExpiresOn: Date
+      }],
+      instrument: {
+        approaches: Number,
+        expiresOn: Date
+      },
+      calculatedAt: Date
+    },
+    // Flight hours of employer-verified work history, kept by
+    // services/workHistoryVerification
+    verifiedFlightHours: {
+      type: Number,
+      default: 0
+    }
+  });
+};
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const aircraftTypeController = require('../controllers/aircraftTypeController');
+const auth = require('../middlewares/authMiddleware');
+
+// Apply authentication middleware to all routes
+router.use(auth);
+
+// Catalog lookups
+router.get('/', aircraftTypeController.getAircraftTypes);
+router.get('/resolve', aircraftTypeController.resolveAircraftType);
+
+// Catalog management (admin)
+router.post('/', aircraftTypeController.createAircraftType);
+router.post('/seed', aircraftTypeController.seedAircraftTypes);
+router.post('/migrate', aircraftTypeController.migrateAircraftTypes);
+router.put('/:designator', aircraftTypeController.updateAircraftType);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const availabilityController = require('../controllers/availabilityController');
+const auth = require('../middlewares/authMiddleware');
+
+// Apply authentication middleware to all routes
+router.use(auth);
+
+// Own calendar
+router.get('/', availabilityController.getMyAvailability);
+router.post('/', availabilityController.createAvailability);
+router.put('/:id', availabilityController.updateAvailability);
+router.delete('/:id', availabilityController.deleteAvailability);
+
+// Other professionals' calendars
+router.get('/users/:userId', availabilityController.getUserAvailability);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const ftlController = require('../controllers/ftlController');
+const auth = require('../middlewares/authMiddleware');
+
+// Apply authentication middleware to all routes
+router.use(auth);
+
+// Rule sets
+router.get('/rule-sets', ftlController.getRuleSets);
+router.post('/rule-sets', ftlController.createRuleSet);
+router.put('/rule-sets/:code', ftlController.updateRuleSet);
+
+// Own compliance
+router.get('/status', ftlController.getStatus);
+router.get('/forecast', ftlController.getForecast);
+
+// Other professionals' compliance, e.g. when rostering
+router.get('/users/:userId/status', ftlController.getStatus);
+router.get('/users/:userId/forecast', ftlController.getForecast);
+
+module.exports = router;
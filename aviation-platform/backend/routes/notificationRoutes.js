@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const notificationController = require('../controllers/notificationController');
+const auth = require('../middlewares/authMiddleware');
+
+// Apply authentication middleware to all routes
+router.use(auth);
+
+// In-app inbox
+router.get('/', notificationController.getNotifications);
+router.put('/read-all', notificationController.markAllAsRead);
+
+// Delivery log
+router.get('/deliveries', notificationController.getDeliveries);
+
+// Templates (admin)
+router.get('/templates', notificationController.getTemplates);
+router.put('/templates/:event', notificationController.saveTemplate);
+
+router.put('/:id/read', notificationController.markAsRead);
+
+module.exports = router;
\ No newline at end of file
@@ -1,6 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const payrollController = require('../controllers/payrollController');
+const taxRuleController = require('../controllers/taxRuleController');
+const payContractController = require('../controllers/payContractController');
+const payRunController = require('../controllers/payRunController');
 const auth = require('../middlewares/authMiddleware');
 
 // Apply authentication middleware to all routes
@@ -13,9 +16,39 @@ router.put('/preferences', payrollController.updatePaymentPreferences);
 // Payroll generation and processing
 router.post('/generate', payrollController.generatePayroll);
 router.post('/process-payment', payrollController.processPayment);
+router.get('/scheduled-runs', payrollController.getScheduledRuns);
 
 // Payment history and statistics
 router.get('/history', payrollController.getPaymentHistory);
 router.get('/stats', payrollController.getPaymentStats);
+router.get('/export', payrollController.exportPayroll);
+
+// Tax and deduction rule sets
+router.get('/tax-rules', taxRuleController.getTaxRuleSets);
+router.post('/tax-rules', taxRuleController.createTaxRuleSet);
+router.get('/tax-rules/:country/current', taxRuleController.getApplicableTaxRuleSet);
+
+// Pay contracts
+router.get('/contracts', payContractController.getContracts);
+router.post('/contracts', payContractController.createContract);
+router.put('/contracts/:id', payContractController.updateContract);
+
+// Employer pay runs
+router.get('/runs', payRunController.getPayRuns);
+router.post('/runs', payRunController.createPayRun);
+router.get('/runs/:id', payRunController.getPayRun);
+router.put('/runs/:id/approve', payRunController.approvePayRun);
+router.post('/runs/:id/submit', payRunController.submitPayRun);
+router.get('/runs/:id/export', payRunController.exportPayRun);
+
+// Individual payroll records
+router.get('/:id', payrollController.getPayrollRecord);
+router.get('/:id/payslip', payrollController.getPayslip);
+router.put('/:id/approve', payrollController.approvePayroll);
+
+// Corrections and audit trail
+router.post('/:id/adjustments', payrollController.createAdjustment);
+router.post('/:id/reverse', payrollController.reversePayment);
+router.get('/:id/audit', payrollController.getPayrollAudit);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const requisitionController = require('../controllers/requisitionController');
+const auth = require('../middlewares/authMiddleware');
+
+// Apply authentication middleware to all routes
+router.use(auth);
+
+// Requisitions
+router.get('/', requisitionController.getRequisitions);
+router.post('/', requisitionController.createRequisition);
+router.get('/:id', requisitionController.getRequisition);
+router.put('/:id', requisitionController.updateRequisition);
+router.delete('/:id', requisitionController.deleteRequisition);
+
+// Ranked candidates with requirement breakdown and gap analysis
+router.get('/:id/shortlist', requisitionController.getShortlist);
+
+module.exports = router;
@@ -1,7 +1,17 @@
 const express = require('express');
 const router = express.Router();
 const searchController = require('../controllers/searchController');
+const savedSearchController = require('../controllers/savedSearchController');
+const matchProfileController = require('../controllers/matchProfileController');
 const auth = require('../middlewares/authMiddleware');
+const aircraftTypeRoutes = require('./aircraftTypeRoutes');
+const requisitionRoutes = require('./requisitionRoutes');
+
+// Aircraft type catalog (authenticated by the sub-router)
+router.use('/aircraft-types', aircraftTypeRoutes);
+
+// Job requisitions and their shortlists (authenticated by the sub-router)
+router.use('/requisitions', requisitionRoutes);
 
 // Apply authentication middleware to all routes
 router.use(auth);
@@ -9,17 +19,33 @@ router.use(auth);
 // Advanced search endpoints
 router.get('/professionals', searchController.searchProfessionals);
 
+// Saved searches and new-match alerts
+router.get('/saved', savedSearchController.getSavedSearches);
+router.post('/saved', savedSearchController.createSavedSearch);
+router.put('/saved/:id', savedSearchController.updateSavedSearch);
+router.delete('/saved/:id', savedSearchController.deleteSavedSearch);
+router.get('/saved/:id/results', savedSearchController.runSavedSearch);
+router.get('/saved/:id/new-matches', savedSearchController.getNewMatches);
+router.put('/saved/:id/new-matches/seen', savedSearchController.markMatchesSeen);
+
 // Search by specific criteria
 router.get('/aircraft-type/:aircraftType', searchController.searchByAircraftType);
 router.get('/certification/:certification', searchController.searchByCertification);
 
+// Airport lookup for location filters
+router.get('/airports', searchController.getAirports);
+
 // Get available positions
 router.get('/positions', searchController.getAvailablePositions);
 
 // Search statistics
 router.get('/stats', searchController.getSearchStats);
 
-// Similar professionals
+// Similar professionals, with saved matching weights
 router.get('/similar/:userId', searchController.getSimilarProfessionals);
+router.get('/match-profiles', matchProfileController.getMatchProfiles);
+router.post('/match-profiles', matchProfileController.createMatchProfile);
+router.put('/match-profiles/:id', matchProfileController.updateMatchProfile);
+router.delete('/match-profiles/:id', matchProfileController.deleteMatchProfile);
 
 module.exports = router;
\ No newline at end of file
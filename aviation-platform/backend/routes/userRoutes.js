@@ -3,17 +3,22 @@ const router = express.Router();
 const userController = require('../controllers/userController');
 const { uploadSingle } = require('../middlewares/uploadMiddleware');
 const auth = require('../middlewares/authMiddleware');
+const { normalizeProfileFields } = require('../middlewares/profileFields');
+const availabilityRoutes = require('./availabilityRoutes');
 
 // Public routes
 router.post('/register', userController.register);
 router.post('/login', userController.login);
 
+// Availability calendar (authenticated by the sub-router)
+router.use('/availability', availabilityRoutes);
+
 // Protected routes
 router.use(auth); // Apply authentication middleware to all routes below
 
 // Profile management
 router.get('/profile', userController.getProfile);
-router.put('/profile', userController.updateProfile);
+router.put('/profile', normalizeProfileFields, userController.updateProfile);
 router.put('/profile/avatar', uploadSingle('avatar'), userController.updateAvatar);
 router.put('/password', userController.updatePassword);
 router.delete('/account', userController.deleteAccount);
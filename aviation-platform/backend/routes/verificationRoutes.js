@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const verificationController = require('../controllers/verificationController');
+const auth = require('../middlewares/authMiddleware');
+
+// One-time links emailed to employers; the token is the credential
+router.get('/links/:token', verificationController.getLinkVerification);
+router.post('/links/:token', verificationController.decideByLink);
+
+// Apply authentication middleware to the remaining routes
+router.use(auth);
+
+// Employer accounts
+router.get('/pending', verificationController.getPendingVerifications);
+router.post('/:id/decision', verificationController.decideVerification);
+
+// Admins: registered employers and verifiers awaiting confirmation
+router.get('/employers', verificationController.getRegisteredEmployers);
+router.post('/employers', verificationController.createRegisteredEmployer);
+router.put('/employers/:employerId', verificationController.updateRegisteredEmployer);
+router.delete('/employers/:employerId', verificationController.deleteRegisteredEmployer);
+router.get('/unconfirmed', verificationController.getUnconfirmedVerifications);
+router.post('/:id/confirm', verificationController.confirmVerifier);
+router.post('/:id/reject', verificationController.rejectVerifier);
+
+module.exports = router;
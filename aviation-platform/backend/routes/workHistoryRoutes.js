@@ -1,8 +1,18 @@
 const express = require('express');
 const router = express.Router();
 const workHistoryController = require('../controllers/workHistoryController');
-const { uploadMultiple } = require('../middlewares/uploadMiddleware');
+const logbookController = require('../controllers/logbookController');
+const verificationController = require('../controllers/verificationController');
+const { uploadSingle, uploadMultiple } = require('../middlewares/uploadMiddleware');
 const auth = require('../middlewares/authMiddleware');
+const ftlRoutes = require('./ftlRoutes');
+const verificationRoutes = require('./verificationRoutes');
+
+// Flight and duty time limits (authenticated by the sub-router)
+router.use('/ftl', ftlRoutes);
+
+// Employer side of verification; one-time links work without signing in
+router.use('/verifications', verificationRoutes);
 
 // Apply authentication middleware to all routes
 router.use(auth);
@@ -16,6 +26,8 @@ router.post(
 
 router.get('/', workHistoryController.getAllWorkHistory);
 router.get('/stats', workHistoryController.getWorkHistoryStats);
+router.get('/currency', workHistoryController.getCurrency);
+router.get('/logbook-import/presets', logbookController.getImportPresets);
 router.get('/:id', workHistoryController.getWorkHistory);
 
 router.put(
@@ -32,6 +44,18 @@ router.post(
   workHistoryController.addFlightRecord
 );
 
+// Logbook entries; flight totals are derived from these
+router.get('/:id/logbook', logbookController.getLogbookEntries);
+router.post('/:id/logbook', logbookController.createLogbookEntry);
+router.post('/:id/logbook/import', uploadSingle('file'), logbookController.importLogbook);
+router.get('/:id/logbook/:entryId', logbookController.getLogbookEntry);
+router.put('/:id/logbook/:entryId', logbookController.updateLogbookEntry);
+router.delete('/:id/logbook/:entryId', logbookController.deleteLogbookEntry);
+
+// Employer verification
+router.get('/:id/verification', verificationController.getVerification);
+router.post('/:id/verification', verificationController.requestVerification);
+
 // Achievements
 router.post(
   '/:id/achievements',
@@ -0,0 +1,235 @@
+const fs = require('fs');
+const path = require('path');
+const AircraftType = require('../models/aircraftTypeModel');
+const User = require('../models/userModel');
+const WorkHistory = require('../models/workHistoryModel');
+const config = require('../config/config');
+const { APIError } = require('../middlewares/errorHandler');
+const { tokenize } = require('./search/text');
+const experience = require('./experience');
+
+const SCOPES = ['type', 'family', 'typeRating'];
+const SCOPE_FIELDS = { family: 'family', typeRating: 'typeRatingGroup' };
+
+// Longest name, in tokens ("Boeing 737 MAX 8")
+const MAX_ALIAS_TOKENS = 4;
+const DEFAULT_TTL_MS = 5 * 60 * 1000;
+
+// Names are keyed by their tokens joined without separators, so "ATR 72",
+// "ATR-72" and "ATR72" all land on the same key
+const nameKey = (name) => tokenize(name).join('');
+
+let catalog = null;
+let loadedAt = 0;
+
+const bundledTypes = () => JSON.parse(
+  fs.readFileSync(path.join(__dirname, '..', 'data', 'aircraftTypes.json'), 'utf8')
+).types;
+
+const compile = (types) => {
+  const byDesignator = new Map();
+  const lookup = new Map();
+
+  types.forEach((type) => {
+    byDesignator.set(type.designator, type);
+    [type.designator, type.model, ...(type.aliases || [])].forEach((name) => {
+      lookup.set(nameKey(name), type.designator);
+    });
+  });
+
+  return { types: byDesignator, lookup };
+};
+
+// Until the first load, lookups use the bundled catalog
+const current = () => {
+  if (!catalog) catalog = compile(bundledTypes());
+  return catalog;
+};
+
+// Load the managed catalog. Entries in the collection override bundled ones
+// with the same designator.
+exports.load = async ({ force = false } = {}) => {
+  const ttl = config.aircraftCatalog?.cacheTtlMs || DEFAULT_TTL_MS;
+  if (catalog && loadedAt && !force && Date.now() - loadedAt < ttl) return catalog;
+
+  const stored = await AircraftType.find().lean();
+  const storedDesignators = new Set(stored.map(type => type.designator));
+  catalog = compile([
+    ...bundledTypes().filter(type => !storedDesignators.has(type.designator)),
+    ...stored
+  ]);
+  loadedAt = Date.now();
+  return catalog;
+};
+
+exports.invalidate = () => {
+  loadedAt = 0;
+};
+
+exports.getTypes = () => [...current().types.values()];
+
+// Designators mentioned in tokenized free text, with the token span each was
+// found at. The longest name wins at each position, so "A320 neo" is A20N.
+exports.findDesignators = (tokens) => {
+  const { lookup } = current();
+  const matches = [];
+
+  let start = 0;
+  while (start < tokens.length) {
+    let match = null;
+    for (let length = Math.min(MAX_ALIAS_TOKENS, tokens.length - start); length > 0 && !match; length--) {
+      const designator = lookup.get(tokens.slice(start, start + length).join(''));
+      if (designator) match = { designator, start, end: start + length };
+    }
+
+    if (match) {
+      matches.push(match);
+      start = match.end;
+    } else {
+      start += 1;
+    }
+  }
+
+  return matches;
+};
+
+// Catalog entry for a free-form aircraft name, or null when it is not recognized
+exports.resolve = (name) => {
+  const { types, lookup } = current();
+  const designator = lookup.get(nameKey(name)) ||
+    exports.findDesignators(tokenize(name))[0]?.designator;
+  return designator ? types.get(designator) : null;
+};
+
+// Designator for a free-form name; unrecognized names are kept as typed
+exports.normalizeName = (name) => {
+  if (typeof name !== 'string') return name;
+  return exports.resolve(name)?.designator || name.trim();
+};
+
+// Designators covered by a name at the given scope. For family and typeRating
+// the name may be a type ("A321" -> the A320 family) or the group itself ("B737").
+exports.designatorsFor = (name, scope = 'type') => {
+  if (!SCOPES.includes(scope)) {
+    throw new APIError(`Unsupported scope. Supported scopes: ${SCOPES.join(', ')}`, 400);
+  }
+
+  const resolved = exports.resolve(name);
+  if (scope === 'type') return resolved ? [resolved.designator] : [];
+
+  const field = SCOPE_FIELDS[scope];
+  const groupKey = nameKey(resolved ? resolved[field] : name);
+
+  return exports.getTypes()
+    .filter(type => nameKey(type[field]) === groupKey)
+    .map(type => type.designator);
+};
+
+// Add bundled types missing from the collection; existing entries are left as edited
+exports.seed = async (actor) => {
+  const result = await AircraftType.bulkWrite(bundledTypes().map(type => ({
+    updateOne: {
+      filter: { designator: type.designator },
+      update: { $setOnInsert: { ...type, updatedBy: actor } },
+      upsert: true
+    }
+  })));
+
+  exports.invalidate();
+  return result.upsertedCount;
+};
+
+const normalizeList = (names, unresolved) => [...new Set((names || []).map((name) => {
+  const designator = exports.normalizeName(name);
+  if (!exports.resolve(name)) {
+    unresolved.set(designator, (unresolved.get(designator) || 0) + 1);
+  }
+  return designator;
+}))];
+
+// Work history aircraft rows with names replaced by designators. Rows whose
+// names resolve to the same designator are merged and their hours added up.
+exports.normalizeAircraftRecords = (records, resolveName = exports.normalizeName) => {
+  const byDesignator = new Map();
+  (records || []).forEach((record) => {
+    const aircraft = resolveName(record.aircraft);
+    const existing = byDesignator.get(aircraft);
+    if (existing) {
+      existing.hours = (existing.hours || 0) + (record.hours || 0);
+    } else {
+      byDesignator.set(aircraft, { ...record, aircraft });
+    }
+  });
+  return [...byDesignator.values()];
+};
+
+// Rewrite free-form aircraft names on profiles and work history to designators.
+// With dryRun nothing is written; the report shows what would change.
+exports.migrateExistingData = async ({ dryRun = false } = {}) => {
+  await exports.load({ force: true });
+
+  const unresolved = new Map();
+  const report = {
+    dryRun,
+    users: { scanned: 0, updated: 0 },
+    workHistory: { scanned: 0, updated: 0 }
+  };
+
+  const userUpdates = [];
+  const users = User.find({ 'aircraftTypes.0': { $exists: true } })
+    .select('aircraftTypes')
+    .lean()
+    .cursor();
+  for await (const user of users) {
+    report.users.scanned += 1;
+    const aircraftTypes = normalizeList(user.aircraftTypes, unresolved);
+    if (aircraftTypes.join('|') !== user.aircraftTypes.join('|')) {
+      userUpdates.push({ updateOne: { filter: { _id: user._id }, update: { $set: { aircraftTypes } } } });
+    }
+  }
+
+  const historyUpdates = [];
+  const historyUsers = new Set();
+  const histories = WorkHistory.find({ 'flightRecords.aircraftTypes.0': { $exists: true } })
+    .select('user flightRecords.aircraftTypes')
+    .lean()
+    .cursor();
+  for await (const history of histories) {
+    report.workHistory.scanned += 1;
+    const records = history.flightRecords.aircraftTypes;
+    const normalized = exports.normalizeAircraftRecords(
+      records,
+      (name) => normalizeList([name], unresolved)[0]
+    );
+    if (normalized.length !== records.length ||
+      normalized.some((record, index) => record.aircraft !== records[index].aircraft)) {
+      historyUpdates.push({
+        updateOne: {
+          filter: { _id: history._id },
+          update: { $set: { 'flightRecords.aircraftTypes': normalized } }
+        }
+      });
+      historyUsers.add(String(history.user));
+    }
+  }
+
+  report.users.updated = userUpdates.length;
+  report.workHistory.updated = historyUpdates.length;
+  report.unresolved = [...unresolved.entries()]
+    .map(([name, count]) => ({ name, count }))
+    .sort((a, b) => b.count - a.count);
+
+  if (!dryRun) {
+    if (userUpdates.length > 0) await User.bulkWrite(userUpdates);
+    if (historyUpdates.length > 0) await WorkHistory.bulkWrite(historyUpdates);
+
+    // Per-type experience is keyed by designator
+    for (const userId of historyUsers) {
+      await experience.recalculate(userId);
+    }
+  }
+
+  return report;
+};
+
+exports.SCOPES = SCOPES;
@@ -0,0 +1,69 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+const { normalize } = require('./search/text');
+
+const EARTH_RADIUS_KM = 6371;
+
+let airports;
+
+const loadAirports = () => {
+  if (!airports) {
+    const filePath = config.airports?.filePath ||
+      path.join(__dirname, '..', 'data', 'airports.json');
+    airports = JSON.parse(fs.readFileSync(filePath, 'utf8')).airports;
+  }
+  return airports;
+};
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Great-circle distance between two points with lat/lon in degrees
+exports.distanceKm = (a, b) => {
+  const dLat = toRadians(b.lat - a.lat);
+  const dLon = toRadians(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+};
+
+// Airport for an IATA or ICAO code, or a city or airport name
+exports.findAirport = (value) => {
+  if (!value) return null;
+
+  const code = String(value).trim().toUpperCase();
+  const name = normalize(value).trim();
+
+  return loadAirports().find(airport => airport.iata === code || airport.icao === code) ||
+    loadAirports().find(airport => normalize(airport.city) === name || normalize(airport.name) === name) ||
+    null;
+};
+
+// Airports within a radius of a center airport, nearest first
+exports.airportsNear = (center, radiusKm) => loadAirports()
+  .map(airport => ({ airport, distanceKm: exports.distanceKm(center, airport) }))
+  .filter(({ distanceKm }) => distanceKm <= radiusKm)
+  .sort((a, b) => a.distanceKm - b.distanceKm);
+
+exports.airportsIn = ({ country, region }) => loadAirports().filter(airport =>
+  (!country || airport.country === country.toUpperCase()) &&
+  (!region || normalize(airport.region) === normalize(region)));
+
+// Strings a profile may use to name these airports: codes and cities
+exports.locationKeys = (list) => [...new Set(list.flatMap(airport => [airport.iata, airport.icao, airport.city]))];
+
+// Autocomplete by code prefix or city/name substring
+exports.searchAirports = (q, limit = 10) => {
+  const code = String(q || '').trim().toUpperCase();
+  const name = normalize(q).trim();
+  if (!name) return [];
+
+  return loadAirports()
+    .filter(airport => airport.iata.startsWith(code) ||
+      airport.icao.startsWith(code) ||
+      normalize(airport.city).includes(name) ||
+      normalize(airport.name).includes(name))
+    .slice(0, limit);
+};
+
+exports.getRegions = () => [...new Set(loadAirports().map(airport => airport.region))];
@@ -0,0 +1,114 @@
+const Availability = require('../models/availabilityModel');
+const User = require('../models/userModel');
+const { APIError } = require('../middlewares/errorHandler');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_WINDOW_DAYS = 366;
+
+// Higher wins where windows overlap
+const PRECEDENCE = { available: 1, standby: 2, blocked: 3, leave: 3 };
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  return Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate());
+};
+
+// Validate a requested date range; both ends are inclusive whole days
+exports.parseWindow = (from, to) => {
+  const start = new Date(from);
+  const end = new Date(to || from);
+  if (isNaN(start) || isNaN(end)) {
+    throw new APIError('Invalid availability dates', 400);
+  }
+  if (end < start) {
+    throw new APIError('availableTo must not be before availableFrom', 400);
+  }
+
+  const window = { startDate: new Date(startOfDay(start)), endDate: new Date(startOfDay(end)) };
+  if ((window.endDate - window.startDate) / DAY_MS + 1 > MAX_WINDOW_DAYS) {
+    throw new APIError(`Availability windows are limited to ${MAX_WINDOW_DAYS} days`, 400);
+  }
+  return window;
+};
+
+// Status of each day in the window: available, standby, blocked, leave, or
+// null where nothing is published
+exports.dayStatuses = (entries, window) => {
+  const first = startOfDay(window.startDate);
+  const days = Array((startOfDay(window.endDate) - first) / DAY_MS + 1).fill(null);
+
+  entries.forEach((entry) => {
+    const from = Math.max(0, (startOfDay(entry.startDate) - first) / DAY_MS);
+    const to = Math.min(days.length - 1, (startOfDay(entry.endDate) - first) / DAY_MS);
+    for (let day = from; day <= to; day++) {
+      if (!days[day] || PRECEDENCE[entry.kind] > PRECEDENCE[days[day]]) {
+        days[day] = entry.kind;
+      }
+    }
+  });
+
+  return days;
+};
+
+// How much of the window a professional is free for. Standby days only count
+// as free when includeStandby is set; unpublished days never do.
+exports.summarize = (entries, window, { includeStandby = false } = {}) => {
+  const days = exports.dayStatuses(entries, window);
+  const count = (kinds) => days.filter(status => kinds.includes(status)).length;
+
+  const availableDays = count(includeStandby ? ['available', 'standby'] : ['available']);
+  return {
+    totalDays: days.length,
+    availableDays,
+    standbyDays: count(['standby']),
+    blockedDays: count(['blocked', 'leave']),
+    unpublishedDays: count([null]),
+    overlap: Math.round(availableDays / days.length * 1000) / 1000
+  };
+};
+
+// Profiles still relying on the isAvailable flag from before calendars: the
+// flag counts as free for the whole window, but only for users who have never
+// published a calendar entry
+const findFlaggedAvailable = async (window) => {
+  const publishers = await Availability.distinct('user');
+  const users = await User.find({ isAvailable: true, _id: { $nin: publishers } }).select('_id').lean();
+
+  const totalDays = (startOfDay(window.endDate) - startOfDay(window.startDate)) / DAY_MS + 1;
+  return users.map(user => [String(user._id), {
+    totalDays,
+    availableDays: totalDays,
+    standbyDays: 0,
+    blockedDays: 0,
+    unpublishedDays: 0,
+    overlap: 1,
+    source: 'isAvailable'
+  }]);
+};
+
+// Summaries for everyone with at least one free day in the window, keyed by
+// user id. includeFlagged adds users with the legacy isAvailable flag and no calendar.
+exports.findCoverage = async (window, options = {}) => {
+  const entries = await Availability.find({
+    startDate: { $lte: window.endDate },
+    endDate: { $gte: window.startDate }
+  }).lean();
+
+  const byUser = new Map();
+  entries.forEach((entry) => {
+    const id = String(entry.user);
+    if (!byUser.has(id)) byUser.set(id, []);
+    byUser.get(id).push(entry);
+  });
+
+  const coverage = new Map();
+  byUser.forEach((userEntries, id) => {
+    const summary = exports.summarize(userEntries, window, options);
+    if (summary.availableDays > 0) coverage.set(id, summary);
+  });
+
+  if (options.includeFlagged) {
+    (await findFlaggedAvailable(window)).forEach(([id, summary]) => coverage.set(id, summary));
+  }
+  return coverage;
+};
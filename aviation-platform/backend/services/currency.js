@@ -0,0 +1,131 @@
+const User = require('../models/userModel');
+const LogbookEntry = require('../models/logbookEntryModel');
+const config = require('../config/config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Recency requirements: takeoffs and landings on type, night landings and
+// instrument approaches within the lookback periods
+const DEFAULT_RULES = {
+  lookbackDays: 90,
+  minTakeoffs: 3,
+  minLandings: 3,
+  minNightLandings: 3,
+  instrumentMonths: 6,
+  minApproaches: 6
+};
+
+const rules = () => ({ ...DEFAULT_RULES, ...config.currency });
+
+const monthsBefore = (date, months) => {
+  const result = new Date(date);
+  result.setUTCMonth(result.getUTCMonth() - months);
+  return result;
+};
+
+const monthsAfter = (date, months) => monthsBefore(date, -months);
+
+// When currency from these events lapses: validity counts from the event
+// that brings the total up to the minimum, most recent first
+const lapsesOn = (events, minimum, validFor) => {
+  let total = 0;
+  const sorted = [...events].sort((a, b) => b.date - a.date);
+  for (const event of sorted) {
+    total += event.count;
+    if (total >= minimum) return validFor(event.date);
+  }
+  return null;
+};
+
+const earliest = (...dates) => (dates.includes(null) ? null : new Date(Math.min(...dates)));
+
+// Currency from logbook entries. Each flight is one takeoff.
+exports.summarize = (entries, now = new Date()) => {
+  const {
+    lookbackDays, minTakeoffs, minLandings, minNightLandings, instrumentMonths, minApproaches
+  } = rules();
+  const since = new Date(now.getTime() - lookbackDays * DAY_MS);
+  const validFor = date => new Date(new Date(date).getTime() + lookbackDays * DAY_MS);
+
+  const recent = entries.filter(entry => new Date(entry.date) >= since && new Date(entry.date) <= now);
+  const byType = new Map();
+  recent.forEach((entry) => {
+    if (!byType.has(entry.aircraftType)) byType.set(entry.aircraftType, []);
+    byType.get(entry.aircraftType).push(entry);
+  });
+
+  const types = [...byType.entries()].map(([aircraftType, flights]) => {
+    const events = (count) => flights.map(flight => ({ date: new Date(flight.date), count: count(flight) }));
+    const landings = flight => (flight.landings?.day || 0) + (flight.landings?.night || 0);
+    const nightLandings = flight => flight.landings?.night || 0;
+
+    const expiresOn = earliest(
+      lapsesOn(events(() => 1), minTakeoffs, validFor),
+      lapsesOn(events(landings), minLandings, validFor)
+    );
+    const nightExpiresOn = lapsesOn(events(nightLandings), minNightLandings, validFor);
+
+    return {
+      aircraftType,
+      takeoffs: flights.length,
+      landings: flights.reduce((sum, flight) => sum + landings(flight), 0),
+      nightLandings: flights.reduce((sum, flight) => sum + nightLandings(flight), 0),
+      lastFlight: new Date(Math.max(...flights.map(flight => new Date(flight.date)))),
+      current: Boolean(expiresOn),
+      expiresOn,
+      nightCurrent: Boolean(nightExpiresOn),
+      nightExpiresOn
+    };
+  }).sort((a, b) => b.lastFlight - a.lastFlight);
+
+  const instrumentSince = monthsBefore(now, instrumentMonths);
+  const approachEvents = entries
+    .filter(entry => new Date(entry.date) >= instrumentSince && new Date(entry.date) <= now)
+    .map(entry => ({
+      date: new Date(entry.date),
+      count: (entry.approaches || []).reduce((sum, approach) => sum + approach.count, 0)
+    }))
+    .filter(event => event.count > 0);
+  const instrumentExpiresOn = lapsesOn(approachEvents, minApproaches, date => monthsAfter(date, instrumentMonths));
+
+  return {
+    byType: types,
+    instrument: {
+      approaches: approachEvents.reduce((sum, event) => sum + event.count, 0),
+      current: Boolean(instrumentExpiresOn),
+      expiresOn: instrumentExpiresOn
+    },
+    rules: rules(),
+    calculatedAt: now
+  };
+};
+
+// Live currency for a professional from their logbook
+exports.forUser = async (userId, now = new Date(), { session } = {}) => {
+  const { lookbackDays, instrumentMonths } = rules();
+  const since = new Date(Math.min(
+    now.getTime() - lookbackDays * DAY_MS,
+    monthsBefore(now, instrumentMonths).getTime()
+  ));
+
+  const entries = await LogbookEntry.find({ user: userId, date: { $gte: since, $lte: now } })
+    .select('date aircraftType landings approaches')
+    .session(session || null)
+    .lean();
+  return exports.summarize(entries, now);
+};
+
+// Store the summary on the user, for profiles and search. Only expiry dates
+// are kept, not current flags: compared with the time of reading they stay
+// correct as currency lapses, so the summary only changes with the logbook.
+exports.recalculate = async (userId, { session } = {}) => {
+  const summary = await exports.forUser(userId, new Date(), { session });
+
+  const stored = {
+    byType: summary.byType.map(({ current, nightCurrent, ...type }) => type),
+    instrument: { approaches: summary.instrument.approaches, expiresOn: summary.instrument.expiresOn },
+    calculatedAt: summary.calculatedAt
+  };
+  await User.updateOne({ _id: userId }, { $set: { currency: stored } }, { session });
+  return summary;
+};
@@ -0,0 +1,109 @@
+// Minimal PDF 1.4 writer for text documents such as payslips. Supports the
+// standard Helvetica and Courier fonts, so no font files need to be embedded.
+// Courier is monospaced, which makes right-aligned amount columns exact.
+
+const PAGE_WIDTH = 595; // A4 in points
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+
+const FONTS = {
+  regular: { key: 'F1', name: 'Helvetica' },
+  bold: { key: 'F2', name: 'Helvetica-Bold' },
+  mono: { key: 'F3', name: 'Courier' },
+  monoBold: { key: 'F4', name: 'Courier-Bold' }
+};
+
+const COURIER_CHAR_WIDTH = 0.6; // em units per character
+
+// PDF strings use WinAnsi here; anything outside Latin-1 is replaced
+const escapeText = (text) => String(text ?? '')
+  .replace(/[^\x20-\xff]/g, '?')
+  .replace(/\\/g, '\\\\')
+  .replace(/\(/g, '\\(')
+  .replace(/\)/g, '\\)');
+
+const fontFor = ({ mono, bold }) => {
+  if (mono) return bold ? FONTS.monoBold : FONTS.mono;
+  return bold ? FONTS.bold : FONTS.regular;
+};
+
+// Lines are { size, bold, mono, gap, segments: [{ text, x, align }] } or
+// { rule: true } for a horizontal line. Right alignment needs a mono line.
+const layout = (lines) => {
+  const pages = [[]];
+  let y = PAGE_HEIGHT - MARGIN;
+
+  lines.forEach((line) => {
+    const size = line.size || 10;
+    const height = line.rule ? 8 : size * 1.4 + (line.gap || 0);
+
+    if (y - height < MARGIN) {
+      pages.push([]);
+      y = PAGE_HEIGHT - MARGIN;
+    }
+    y -= height;
+
+    const page = pages[pages.length - 1];
+
+    if (line.rule) {
+      page.push(`0.5 w ${MARGIN} ${y + 4} m ${PAGE_WIDTH - MARGIN} ${y + 4} l S`);
+      return;
+    }
+
+    const font = fontFor(line);
+    (line.segments || [{ text: line.text }]).forEach(({ text, x = MARGIN, align }) => {
+      const value = String(text ?? '');
+      const left = align === 'right'
+        ? x - value.length * size * COURIER_CHAR_WIDTH
+        : x;
+      page.push(`BT /${font.key} ${size} Tf ${left.toFixed(2)} ${y.toFixed(2)} Td (${escapeText(value)}) Tj ET`);
+    });
+  });
+
+  return pages;
+};
+
+// Render lines into a PDF and return it as a Buffer
+exports.renderPdf = (lines, { title } = {}) => {
+  const pages = layout(lines);
+  const objects = [];
+  const addObject = (body) => {
+    objects.push(body);
+    return objects.length;
+  };
+
+  const catalogId = addObject(null);
+  const pagesId = addObject(null);
+  const fontIds = Object.values(FONTS).map(font =>
+    [font.key, addObject(`<< /Type /Font /Subtype /Type1 /BaseFont /${font.name} /Encoding /WinAnsiEncoding >>`)]);
+  const fontResources = fontIds.map(([key, id]) => `/${key} ${id} 0 R`).join(' ');
+
+  const pageIds = pages.map((commands) => {
+    const stream = commands.join('\n');
+    const contentId = addObject(`<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`);
+    return addObject(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << ${fontResources} >> >> /Contents ${contentId} 0 R >>`);
+  });
+
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+  const infoId = addObject(`<< /Title (${escapeText(title)}) /Producer (Aviation Platform) >>`);
+
+  let output = '%PDF-1.4\n';
+  const offsets = objects.map((body, index) => {
+    const offset = Buffer.byteLength(output, 'latin1');
+    output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = Buffer.byteLength(output, 'latin1');
+  output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\n`;
+  output += `startxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(output, 'latin1');
+};
+
+exports.PAGE_WIDTH = PAGE_WIDTH;
+exports.MARGIN = MARGIN;
\ No newline at end of file
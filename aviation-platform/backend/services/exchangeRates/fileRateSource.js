@@ -0,0 +1,49 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../../config/config');
+
+// Offline rate source backed by a JSON table of dated snapshots:
+// { base, snapshots: [{ date, rates: { [currency]: units per base } }] }
+let table;
+
+const loadTable = () => {
+  if (!table) {
+    const filePath = config.exchangeRates?.filePath ||
+      path.join(__dirname, '..', '..', 'data', 'exchangeRates.json');
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+    table = {
+      base: data.base,
+      snapshots: data.snapshots
+        .map(snapshot => ({ ...snapshot, date: new Date(snapshot.date) }))
+        .sort((a, b) => a.date - b.date)
+    };
+  }
+  return table;
+};
+
+exports.name = 'file';
+
+// Latest snapshot on or before the date. Dates before the first snapshot use
+// the first one; asOf shows which snapshot that was.
+exports.getRate = async (from, to, date = new Date()) => {
+  const { snapshots } = loadTable();
+  const snapshot = [...snapshots].reverse().find(entry => entry.date <= date) || snapshots[0];
+
+  if (!snapshot) {
+    throw new Error(`No exchange rates available on ${date.toISOString().substr(0, 10)}`);
+  }
+  if (!snapshot.rates[from] || !snapshot.rates[to]) {
+    throw new Error(`No exchange rate from ${from} to ${to}`);
+  }
+
+  return {
+    rate: snapshot.rates[to] / snapshot.rates[from],
+    asOf: snapshot.date
+  };
+};
+
+// Drop the cached table so edits to the file are picked up
+exports.reload = () => {
+  table = undefined;
+};
\ No newline at end of file
@@ -0,0 +1,56 @@
+const config = require('../../config/config');
+const { APIError } = require('../../middlewares/errorHandler');
+const fileRateSource = require('./fileRateSource');
+
+// Rate sources implement getRate(from, to, date) -> { rate, asOf }
+const sources = {
+  [fileRateSource.name]: fileRateSource
+};
+
+exports.getRateSource = (name = config.exchangeRates?.source || 'file') => {
+  const source = sources[name];
+  if (!source) {
+    throw new Error(`Unknown exchange rate source: ${name}`);
+  }
+  return source;
+};
+
+exports.registerRateSource = (source) => {
+  sources[source.name] = source;
+};
+
+// Rate snapshot suitable for storing on a payroll record
+exports.getRateSnapshot = async (from, to, date = new Date()) => {
+  if (from === to) {
+    return { from, to, rate: 1, source: 'identity', asOf: date, retrievedAt: new Date() };
+  }
+
+  const source = exports.getRateSource();
+  try {
+    const { rate, asOf } = await source.getRate(from, to, date);
+    return { from, to, rate, source: source.name, asOf, retrievedAt: new Date() };
+  } catch (error) {
+    throw new APIError(`Exchange rate unavailable: ${error.message}`, 422);
+  }
+};
+
+// Convert amounts into one currency. An amount carrying its record's stored
+// rate into that currency is converted at that rate; others use the rate in
+// force at their date, never today's, cached per pair and day for the
+// duration of a call.
+exports.createConverter = (to) => {
+  const rates = new Map();
+
+  return async (amount, from, { date = new Date(), storedRate } = {}) => {
+    if (from === to) return amount;
+    if (storedRate?.rate && storedRate.from === from && storedRate.to === to) {
+      return amount * storedRate.rate;
+    }
+
+    const key = `${from}:${new Date(date).toISOString().substr(0, 10)}`;
+    if (!rates.has(key)) {
+      rates.set(key, (await exports.getRateSnapshot(from, to, new Date(date))).rate);
+    }
+    return amount * rates.get(key);
+  };
+};
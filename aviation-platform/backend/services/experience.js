@@ -0,0 +1,118 @@
+const User = require('../models/userModel');
+const WorkHistory = require('../models/workHistoryModel');
+const config = require('../config/config');
+const jobs = require('./jobs');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_MS = 365.25 * DAY_MS;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Merge overlapping or touching [start, end] ranges, so concurrent positions
+// count once
+exports.mergePeriods = (periods) => periods
+  .filter(period => period.start < period.end)
+  .sort((a, b) => a.start - b.start)
+  .reduce((merged, period) => {
+    const last = merged[merged.length - 1];
+    if (last && period.start <= last.end) {
+      last.end = Math.max(last.end, period.end);
+    } else {
+      merged.push({ ...period });
+    }
+    return merged;
+  }, []);
+
+const yearsIn = (periods) => round(exports.mergePeriods(periods)
+  .reduce((total, period) => total + period.end - period.start, 0) / YEAR_MS);
+
+const groupYears = (entries, keyName) => {
+  const groups = new Map();
+  entries.forEach(({ key, period }) => {
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(period);
+  });
+
+  return [...groups.entries()]
+    .map(([key, periods]) => ({ [keyName]: key, years: yearsIn(periods) }))
+    .filter(entry => entry.years > 0)
+    .sort((a, b) => b.years - a.years);
+};
+
+// Experience summary from work history periods. Positions without an end
+// date run until now. Each role and aircraft type has its own merged total;
+// a period counts toward every type flown in that position.
+exports.summarize = (histories, now = new Date()) => {
+  const entries = histories
+    .filter(history => history.period?.startDate)
+    .map(history => ({
+      history,
+      period: {
+        start: new Date(history.period.startDate).getTime(),
+        end: Math.min(new Date(history.period.endDate || now).getTime(), now.getTime())
+      }
+    }));
+
+  const roles = entries
+    .filter(({ history }) => history.position?.title)
+    .map(({ history, period }) => ({ key: history.position.title.trim(), period }));
+
+  const aircraftTypes = entries.flatMap(({ history, period }) => [...new Set(
+    (history.flightRecords?.aircraftTypes || []).map(record => record.aircraft).filter(Boolean)
+  )].map(aircraft => ({ key: aircraft, period })));
+
+  return {
+    totalYears: yearsIn(entries.map(entry => entry.period)),
+    byRole: groupYears(roles, 'role'),
+    byAircraftType: groupYears(aircraftTypes, 'aircraftType'),
+    firstStartDate: entries.length > 0
+      ? new Date(Math.min(...entries.map(entry => entry.period.start)))
+      : null,
+    ongoing: entries.some(({ history }) => !history.period.endDate || new Date(history.period.endDate) > now),
+    calculatedAt: now
+  };
+};
+
+// Recompute and store a user's summary; called whenever their work history
+// changes, inside the caller's transaction when given a session
+exports.recalculate = async (userId, now = new Date(), { session } = {}) => {
+  const histories = await WorkHistory.find({ user: userId })
+    .select('period position.title flightRecords.aircraftTypes.aircraft')
+    .session(session || null)
+    .lean();
+
+  const summary = exports.summarize(histories, now);
+  await User.updateOne({ _id: userId }, { $set: { experience: summary } }, { session });
+  return summary;
+};
+
+// Summaries with an ongoing position grow every day; refresh those last
+// calculated before today, and fill in users who have none yet
+exports.refreshStale = async (now = new Date()) => {
+  const startOfToday = new Date(Math.floor(now.getTime() / DAY_MS) * DAY_MS);
+  const users = User.find({
+    $or: [
+      { 'experience.calculatedAt': { $exists: false } },
+      { 'experience.ongoing': true, 'experience.calculatedAt': { $lt: startOfToday } }
+    ]
+  })
+    .select('_id')
+    .lean()
+    .cursor();
+
+  let refreshed = 0;
+  for await (const user of users) {
+    await exports.recalculate(user._id, now);
+    refreshed += 1;
+  }
+  return refreshed;
+};
+
+const job = jobs.create('experience', async () => ({ refreshed: await exports.refreshStale() }));
+
+// Start the background job that keeps ongoing experience current
+exports.start = (intervalMs = config.experience?.refreshIntervalMs || 6 * 60 * 60 * 1000) => job.start(intervalMs);
+
+exports.stop = job.stop;
+
+exports.status = job.status;
@@ -0,0 +1,313 @@
+const FtlRuleSet = require('../models/ftlRuleSetModel');
+const LogbookEntry = require('../models/logbookEntryModel');
+const config = require('../config/config');
+const { APIError } = require('../middlewares/errorHandler');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const DEFAULT_WARNING_RATIO = 0.9;
+// Rest violations older than this no longer affect the status
+const REST_LOOKBACK_DAYS = 28;
+const MAX_FORECAST_DAYS = 365;
+
+// Used until an admin marks a stored rule set as the default
+const DEFAULT_RULE_SET = {
+  code: 'STANDARD',
+  name: 'Standard flight and duty limits',
+  limits: [
+    { measure: 'flight', period: 'rollingDays', length: 28, maxHours: 100 },
+    { measure: 'flight', period: 'calendarYear', maxHours: 900 },
+    { measure: 'flight', period: 'rollingMonths', length: 12, maxHours: 1000 },
+    { measure: 'duty', period: 'rollingDays', length: 7, maxHours: 60 },
+    { measure: 'duty', period: 'rollingDays', length: 28, maxHours: 190 }
+  ],
+  rest: { minHours: 12, atLeastPrecedingDuty: true },
+  duty: { reportMinutes: 60, releaseMinutes: 30, splitHours: 4 }
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Rule set by code, or the default one
+exports.findRuleSet = async (code) => {
+  if (code) {
+    const ruleSet = await FtlRuleSet.findOne({ code: String(code).toUpperCase() }).lean();
+    if (!ruleSet) {
+      throw new APIError(`Unknown FTL rule set: ${code}`, 404);
+    }
+    return ruleSet;
+  }
+
+  return (await FtlRuleSet.findOne({ isDefault: true }).lean()) ||
+    config.ftl?.defaultRuleSet ||
+    DEFAULT_RULE_SET;
+};
+
+// Start of the period a limit covers when measured at the given time
+const windowStart = (limit, at) => {
+  const date = new Date(at);
+  switch (limit.period) {
+    case 'rollingDays':
+      return at - limit.length * DAY_MS;
+    case 'rollingMonths':
+      date.setUTCMonth(date.getUTCMonth() - limit.length);
+      return date.getTime();
+    case 'calendarMonth':
+      return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1);
+    default:
+      return Date.UTC(date.getUTCFullYear(), 0, 1);
+  }
+};
+
+// Earliest time any rule looks back to from the given time
+const lookbackStart = (ruleSet, at) => Math.min(
+  at - REST_LOOKBACK_DAYS * DAY_MS,
+  ...ruleSet.limits.map(limit => windowStart(limit, at))
+);
+
+const toFlight = (entry) => ({
+  start: new Date(entry.blockOff).getTime(),
+  end: new Date(entry.blockOn).getTime(),
+  hours: entry.blockTime
+});
+
+// Group flights into duty periods: report time before the first flight,
+// release time after the last, and flights closer than splitHours together
+exports.dutyPeriods = (flights, ruleSet) => {
+  const { reportMinutes = 60, releaseMinutes = 30, splitHours = 4 } = ruleSet.duty || {};
+
+  const duties = [];
+  [...flights].sort((a, b) => a.start - b.start).forEach((flight) => {
+    const start = flight.start - reportMinutes * 60 * 1000;
+    const end = flight.end + releaseMinutes * 60 * 1000;
+    const last = duties[duties.length - 1];
+
+    if (last && start - last.end < splitHours * HOUR_MS) {
+      last.end = Math.max(last.end, end);
+      last.flightHours += flight.hours;
+    } else {
+      duties.push({ start, end, flightHours: flight.hours });
+    }
+  });
+
+  return duties.map(duty => ({ ...duty, hours: (duty.end - duty.start) / HOUR_MS }));
+};
+
+// Hours of the items falling between from and to, prorating items that cross either end
+const hoursBetween = (items, from, to) => items.reduce((sum, item) => {
+  const overlap = Math.min(item.end, to) - Math.max(item.start, from);
+  if (overlap <= 0) return sum;
+  return sum + item.hours * (item.end > item.start ? overlap / (item.end - item.start) : 1);
+}, 0);
+
+const requiredRest = (ruleSet, duty) => Math.max(
+  ruleSet.rest?.minHours || 0,
+  ruleSet.rest?.atLeastPrecedingDuty ? duty.hours : 0
+);
+
+// Rest periods shorter than the rules allow, between duties ending after since
+const restViolations = (duties, ruleSet, since) => duties.slice(1)
+  .map((duty, index) => {
+    const previous = duties[index];
+    return {
+      restStart: new Date(previous.end),
+      restEnd: new Date(duty.start),
+      restHours: round((duty.start - previous.end) / HOUR_MS),
+      requiredHours: round(requiredRest(ruleSet, previous))
+    };
+  })
+  .filter(rest => rest.restEnd.getTime() >= since && rest.restHours < rest.requiredHours);
+
+const limitUsage = (limit, flights, duties, at) => {
+  const used = hoursBetween(limit.measure === 'flight' ? flights : duties, windowStart(limit, at), at);
+  return {
+    measure: limit.measure,
+    period: limit.period,
+    ...(limit.length && { length: limit.length }),
+    maxHours: limit.maxHours,
+    usedHours: round(used),
+    remainingHours: round(Math.max(limit.maxHours - used, 0)),
+    utilization: limit.maxHours > 0 ? round(used / limit.maxHours) : 1
+  };
+};
+
+// Compliance of a set of flights at a point in time
+exports.evaluate = (flights, ruleSet, at = Date.now()) => {
+  const past = flights.filter(flight => flight.start <= at);
+  const duties = exports.dutyPeriods(past, ruleSet);
+  const warningRatio = config.ftl?.warningRatio || DEFAULT_WARNING_RATIO;
+
+  const limits = ruleSet.limits.map((limit) => {
+    const usage = limitUsage(limit, past, duties, at);
+    const status = usage.usedHours > limit.maxHours
+      ? 'breach'
+      : usage.utilization >= warningRatio ? 'warning' : 'compliant';
+    return { ...usage, status };
+  });
+
+  const violations = restViolations(duties, ruleSet, at - REST_LOOKBACK_DAYS * DAY_MS);
+  const lastDuty = duties[duties.length - 1];
+  const restUntil = lastDuty ? lastDuty.end + requiredRest(ruleSet, lastDuty) * HOUR_MS : null;
+
+  let status = 'compliant';
+  if (limits.some(limit => limit.status === 'breach') || violations.length > 0) {
+    status = 'breach';
+  } else if (limits.some(limit => limit.status === 'warning')) {
+    status = 'warning';
+  }
+
+  return {
+    ruleSet: ruleSet.code,
+    evaluatedAt: new Date(at),
+    status,
+    limits,
+    rest: {
+      lastDutyEnd: lastDuty ? new Date(lastDuty.end) : null,
+      restRequiredUntil: restUntil && restUntil > at ? new Date(restUntil) : null,
+      violations
+    }
+  };
+};
+
+// Whether flying a block of hours starting at start would break a limit or
+// cut short the rest owed after the previous duty
+exports.wouldBreach = (flights, ruleSet, { start, hours }) => {
+  const assignment = { start, end: start + hours * HOUR_MS, hours };
+  const before = flights.filter(flight => flight.start < start);
+  const lastDuty = exports.dutyPeriods(before, ruleSet).pop();
+  const { reportMinutes = 60 } = ruleSet.duty || {};
+
+  if (lastDuty) {
+    const restHours = (start - reportMinutes * 60 * 1000 - lastDuty.end) / HOUR_MS;
+    if (restHours >= 0 && restHours < requiredRest(ruleSet, lastDuty) &&
+      restHours >= (ruleSet.duty?.splitHours ?? 4)) {
+      return true;
+    }
+  }
+
+  const withAssignment = [...before, assignment];
+  const duties = exports.dutyPeriods(withAssignment, ruleSet);
+  return ruleSet.limits.some(limit =>
+    limitUsage(limit, withAssignment, duties, assignment.end).usedHours > limit.maxHours);
+};
+
+const loadFlights = (query, from, to) => LogbookEntry.find({
+  ...query,
+  blockOn: { $gte: new Date(from) },
+  blockOff: { $lte: new Date(to) }
+})
+  .select('user blockOff blockOn blockTime')
+  .sort({ blockOff: 1 })
+  .lean();
+
+// Compliance status of one professional
+exports.getStatus = async (userId, { ruleSet: code, at } = {}) => {
+  const ruleSet = await exports.findRuleSet(code);
+  const time = at ? new Date(at).getTime() : Date.now();
+  if (isNaN(time)) {
+    throw new APIError('Invalid date', 400);
+  }
+
+  const entries = await loadFlights({ user: userId }, lookbackStart(ruleSet, time), time);
+  return exports.evaluate(entries.map(toFlight), ruleSet, time);
+};
+
+// When each limit would be reached if the professional keeps flying at their
+// average daily rate over the last 28 days, and how much headroom is left at
+// the horizon if they stop flying now
+exports.forecast = async (userId, { ruleSet: code, days = 28 } = {}) => {
+  const horizon = Math.min(Math.max(parseInt(days) || 28, 1), MAX_FORECAST_DAYS);
+  const ruleSet = await exports.findRuleSet(code);
+  const now = Date.now();
+
+  const entries = await loadFlights({ user: userId }, lookbackStart(ruleSet, now), now);
+  const flights = entries.map(toFlight);
+  const duties = exports.dutyPeriods(flights, ruleSet);
+
+  const recentFrom = now - 28 * DAY_MS;
+  const dailyRate = {
+    flight: hoursBetween(flights, recentFrom, now) / 28,
+    duty: hoursBetween(duties, recentFrom, now) / 28
+  };
+
+  const limits = ruleSet.limits.map((limit) => {
+    const items = limit.measure === 'flight' ? flights : duties;
+    let projectedLimitDate = null;
+
+    for (let day = 1; day <= horizon && !projectedLimitDate; day++) {
+      const at = now + day * DAY_MS;
+      const from = windowStart(limit, at);
+      const projected = dailyRate[limit.measure] * (at - Math.max(now, from)) / DAY_MS;
+      if (hoursBetween(items, from, now) + projected > limit.maxHours) {
+        projectedLimitDate = new Date(at);
+      }
+    }
+
+    const horizonAt = now + horizon * DAY_MS;
+    return {
+      ...limitUsage(limit, flights, duties, now),
+      dailyRate: round(dailyRate[limit.measure]),
+      projectedLimitDate,
+      remainingAtHorizonIfIdle: round(Math.max(
+        limit.maxHours - hoursBetween(items, windowStart(limit, horizonAt), now),
+        0
+      ))
+    };
+  });
+
+  return {
+    ruleSet: ruleSet.code,
+    horizonDays: horizon,
+    limits: limits.sort((a, b) =>
+      (a.projectedLimitDate || Infinity) - (b.projectedLimitDate || Infinity) ||
+      a.remainingHours - b.remainingHours)
+  };
+};
+
+// Professionals who would breach a limit if assigned a block of hours at
+// start. Everyone breaches when the block alone exceeds a limit. Flights are
+// streamed in user order so only one professional's are held at a time;
+// userIds limits the check to those candidates.
+exports.findBreaching = async ({ hours, start = new Date(), ruleSet: code, userIds } = {}) => {
+  const ruleSet = await exports.findRuleSet(code);
+  const assignment = { start: new Date(start).getTime(), hours: Number(hours) };
+  const end = assignment.start + assignment.hours * HOUR_MS;
+
+  if (exports.wouldBreach([], ruleSet, assignment)) {
+    return { everyone: true, userIds: [] };
+  }
+  if (userIds && userIds.length === 0) {
+    return { everyone: false, userIds: [] };
+  }
+
+  const cursor = LogbookEntry.find({
+    ...(userIds && { user: { $in: userIds } }),
+    blockOn: { $gte: new Date(lookbackStart(ruleSet, end)) },
+    blockOff: { $lte: new Date(assignment.start) }
+  })
+    .select('user blockOff blockOn blockTime')
+    .sort({ user: 1, blockOff: 1 })
+    .lean()
+    .cursor();
+
+  const breaching = [];
+  let current = null;
+  let flights = [];
+  const checkCurrent = () => {
+    if (current && exports.wouldBreach(flights, ruleSet, assignment)) breaching.push(current);
+  };
+
+  for await (const entry of cursor) {
+    const id = String(entry.user);
+    if (id !== current) {
+      checkCurrent();
+      current = id;
+      flights = [];
+    }
+    flights.push(toFlight(entry));
+  }
+  checkCurrent();
+
+  return { everyone: false, userIds: breaching };
+};
+
+exports.DEFAULT_RULE_SET = DEFAULT_RULE_SET;
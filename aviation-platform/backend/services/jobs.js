@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const config = require('../config/config');
+
+// Background jobs run inside the API process. A job runs once the database
+// connection is open and then on its interval, never overlapping itself.
+// Failures are kept on the job and reported through status() instead of
+// being logged, so admin endpoints can show them.
+const jobs = new Map();
+
+exports.create = (name, run) => {
+  const job = {
+    name,
+    timer: null,
+    running: false,
+    lastRunAt: null,
+    lastResult: null,
+    lastError: null
+  };
+
+  const tick = async () => {
+    if (job.running) return;
+    job.running = true;
+    try {
+      job.lastResult = await run();
+      job.lastError = null;
+    } catch (error) {
+      job.lastError = { message: error.message, at: new Date() };
+    } finally {
+      job.lastRunAt = new Date();
+      job.running = false;
+    }
+  };
+
+  // Jobs can be switched off, e.g. for scripts that share the route modules
+  const start = (intervalMs) => {
+    if (job.timer || config.jobs?.enabled === false) return;
+    job.timer = setInterval(tick, intervalMs);
+    job.timer.unref();
+
+    if (mongoose.connection.readyState === 1) {
+      tick();
+    } else {
+      mongoose.connection.once('connected', tick);
+    }
+  };
+
+  const stop = () => {
+    clearInterval(job.timer);
+    job.timer = null;
+    mongoose.connection.removeListener('connected', tick);
+  };
+
+  const status = () => ({
+    name,
+    started: Boolean(job.timer),
+    running: job.running,
+    lastRunAt: job.lastRunAt,
+    lastResult: job.lastResult,
+    lastError: job.lastError
+  });
+
+  jobs.set(name, status);
+  return { start, stop, status, tick };
+};
+
+// Status of every job, for admin endpoints
+exports.status = () => [...jobs.values()].map(status => status());
+
+// Services that run a job, each exporting start()
+const JOB_SERVICES = ['./payrollScheduler', './notifications', './savedSearchAlerts', './experience'];
+
+// Start every job once, from the server entry point. Route modules never
+// start jobs, so tests and scripts can load them without timers.
+exports.startAll = () => JOB_SERVICES.forEach((service) => require(service).start());
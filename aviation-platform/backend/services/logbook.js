@@ -0,0 +1,76 @@
+const LogbookEntry = require('../models/logbookEntryModel');
+const LogbookBalance = require('../models/logbookBalanceModel');
+const WorkHistory = require('../models/workHistoryModel');
+const User = require('../models/userModel');
+const experience = require('./experience');
+const currency = require('./currency');
+const verification = require('./workHistoryVerification');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Work history entries with logbook entries take their flight totals from them
+exports.usesLogbook = (workHistoryId) => LogbookEntry.exists({ workHistory: workHistoryId });
+
+// Call before adding the first logbook entry to a work history entry: the
+// hours it already has are carried forward as the logbook's opening balance
+exports.startLogbook = async (workHistory, { session } = {}) => {
+  if (await LogbookEntry.exists({ workHistory: workHistory._id }).session(session || null)) return null;
+
+  return LogbookBalance.findOneAndUpdate(
+    { workHistory: workHistory._id },
+    {
+      $setOnInsert: {
+        user: workHistory.user,
+        totalHours: workHistory.flightRecords?.totalHours || 0,
+        aircraftTypes: (workHistory.flightRecords?.aircraftTypes || [])
+          .map(type => ({ aircraft: type.aircraft, hours: type.hours || 0 }))
+      }
+    },
+    { upsert: true, new: true, session }
+  );
+};
+
+// Derive a work history entry's total and per-type hours from its opening
+// balance plus its logbook, keeping the user's total flight hours, experience
+// and currency in step. Pass a session to run inside a transaction.
+exports.recalculateTotals = async (workHistory, { session } = {}) => {
+  const [totals, balance] = await Promise.all([
+    LogbookEntry.aggregate([
+      { $match: { workHistory: workHistory._id } },
+      { $group: { _id: '$aircraftType', hours: { $sum: '$blockTime' } } }
+    ]).session(session || null),
+    LogbookBalance.findOne({ workHistory: workHistory._id }).session(session || null).lean()
+  ]);
+
+  const hoursByType = new Map();
+  [
+    ...(balance?.aircraftTypes || []).map(type => [type.aircraft, type.hours]),
+    ...totals.map(total => [total._id, total.hours])
+  ].forEach(([aircraft, hours]) => hoursByType.set(aircraft, (hoursByType.get(aircraft) || 0) + hours));
+
+  const aircraftTypes = [...hoursByType.entries()]
+    .map(([aircraft, hours]) => ({ aircraft, hours: round(hours) }))
+    .sort((a, b) => b.hours - a.hours);
+  // Per-type hours may not add up to the carried-forward total
+  const totalHours = round((balance?.totalHours || 0) +
+    totals.reduce((sum, total) => sum + total.hours, 0));
+  const difference = round(totalHours - (workHistory.flightRecords?.totalHours || 0));
+
+  const updated = await WorkHistory.findByIdAndUpdate(
+    workHistory._id,
+    { $set: { 'flightRecords.totalHours': totalHours, 'flightRecords.aircraftTypes': aircraftTypes } },
+    { new: true, session }
+  );
+
+  if (difference !== 0) {
+    await User.findByIdAndUpdate(workHistory.user, {
+      $inc: { totalFlightHours: difference }
+    }, { session });
+    // Verified hours no longer match the logbook
+    await verification.reset(workHistory._id, 'Flight hours changed in the logbook', { session });
+  }
+  await experience.recalculate(workHistory.user, new Date(), { session });
+  await currency.recalculate(workHistory.user, { session });
+
+  return updated;
+};
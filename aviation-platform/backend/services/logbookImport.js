@@ -0,0 +1,338 @@
+const LogbookEntry = require('../models/logbookEntryModel');
+const { APIError } = require('../middlewares/errorHandler');
+const { parseCsv } = require('./documents/csv');
+const aircraftCatalog = require('./aircraftCatalog');
+const logbook = require('./logbook');
+const transactions = require('./transactions');
+
+const MAX_ROWS = 5000;
+const DATE_FORMATS = ['YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY'];
+
+// Logbook fields a CSV column can map to
+const FIELDS = [
+  'date', 'aircraftType', 'registration', 'departure', 'arrival', 'blockOff', 'blockOn',
+  ...LogbookEntry.TIME_FIELDS, 'dayLandings', 'nightLandings', 'approaches', 'remarks'
+];
+const REQUIRED_FIELDS = ['date', 'aircraftType', 'registration', 'departure', 'arrival', 'blockOff', 'blockOn'];
+
+// Column headers of common logbook layouts, by field
+const PRESETS = {
+  generic: {
+    name: 'Generic (field names as headers)',
+    dateFormat: 'YYYY-MM-DD',
+    columns: FIELDS.reduce((columns, field) => ({ ...columns, [field]: field }), {})
+  },
+  easa: {
+    name: 'EASA paper logbook layout',
+    dateFormat: 'DD/MM/YYYY',
+    columns: {
+      date: 'Date',
+      departure: 'Departure Place',
+      blockOff: 'Departure Time',
+      arrival: 'Arrival Place',
+      blockOn: 'Arrival Time',
+      aircraftType: 'Aircraft Type',
+      registration: 'Registration',
+      picTime: 'PIC',
+      sicTime: 'Co-pilot',
+      dualTime: 'Dual',
+      instructionTime: 'Instructor',
+      nightTime: 'Night',
+      ifrTime: 'IFR',
+      dayLandings: 'Landings Day',
+      nightLandings: 'Landings Night',
+      remarks: 'Remarks'
+    }
+  },
+  foreflight: {
+    name: 'ForeFlight flights export',
+    dateFormat: 'YYYY-MM-DD',
+    columns: {
+      date: 'Date',
+      registration: 'AircraftID',
+      aircraftType: 'TypeCode',
+      departure: 'From',
+      arrival: 'To',
+      blockOff: 'TimeOut',
+      blockOn: 'TimeIn',
+      picTime: 'PIC',
+      sicTime: 'SIC',
+      dualTime: 'DualReceived',
+      instructionTime: 'DualGiven',
+      nightTime: 'Night',
+      ifrTime: 'ActualInstrument',
+      dayLandings: 'DayLandingsFullStop',
+      nightLandings: 'NightLandingsFullStop',
+      remarks: 'PilotComments'
+    }
+  },
+  logten: {
+    name: 'LogTen Pro export',
+    dateFormat: 'YYYY-MM-DD',
+    columns: {
+      date: 'Date',
+      registration: 'Aircraft ID',
+      aircraftType: 'Aircraft Type',
+      departure: 'From',
+      arrival: 'To',
+      blockOff: 'Out',
+      blockOn: 'In',
+      picTime: 'PIC',
+      sicTime: 'SIC',
+      dualTime: 'Dual Received',
+      instructionTime: 'Dual Given',
+      nightTime: 'Night',
+      ifrTime: 'IFR',
+      dayLandings: 'Day Landings',
+      nightLandings: 'Night Landings',
+      approaches: 'Approaches',
+      remarks: 'Remarks'
+    }
+  }
+};
+
+const headerKey = (header) => String(header).trim().toLowerCase();
+
+// Preset with the most of its headers present in the file
+const detectPreset = (headers) => {
+  const present = new Set(headers.map(headerKey));
+  return Object.keys(PRESETS)
+    .map(key => ({
+      key,
+      hits: Object.values(PRESETS[key].columns).filter(header => present.has(headerKey(header))).length
+    }))
+    .sort((a, b) => b.hits - a.hits)[0].key;
+};
+
+// Field -> column index, from the preset with per-field overrides
+const resolveMapping = (headers, preset, overrides = {}) => {
+  Object.keys(overrides).forEach((field) => {
+    if (!FIELDS.includes(field)) {
+      throw new APIError(`Unknown logbook field in mapping: ${field}`, 400);
+    }
+  });
+
+  const columns = { ...PRESETS[preset].columns, ...overrides };
+  const indexes = new Map(headers.map((header, index) => [headerKey(header), index]));
+
+  return FIELDS.reduce((mapping, field) => {
+    const index = columns[field] ? indexes.get(headerKey(columns[field])) : undefined;
+    return index === undefined ? mapping : { ...mapping, [field]: index };
+  }, {});
+};
+
+const parseDate = (value, format) => {
+  const text = value.trim();
+  let parts = null;
+  if (format === 'YYYY-MM-DD') {
+    const match = /^(\d{4})-(\d{1,2})-(\d{1,2})/.exec(text);
+    parts = match && [match[1], match[2], match[3]];
+  } else {
+    const match = /^(\d{1,2})[/.](\d{1,2})[/.](\d{4})$/.exec(text);
+    parts = match && (format === 'DD/MM/YYYY'
+      ? [match[3], match[2], match[1]]
+      : [match[3], match[1], match[2]]);
+  }
+  if (!parts) return null;
+
+  const date = new Date(Date.UTC(Number(parts[0]), Number(parts[1]) - 1, Number(parts[2])));
+  return date.getUTCDate() === Number(parts[2]) ? date : null;
+};
+
+// A block time: a full timestamp, or HH:MM / HHMM UTC on the flight date
+const parseTime = (value, date) => {
+  const text = value.trim();
+  const clock = /^(\d{1,2}):?(\d{2})$/.exec(text);
+  if (clock && date) {
+    const [hours, minutes] = [Number(clock[1]), Number(clock[2])];
+    if (hours > 23 || minutes > 59) return null;
+    return new Date(date.getTime() + (hours * 60 + minutes) * 60 * 1000);
+  }
+
+  const timestamp = /\d{4}-\d{2}-\d{2}T/.test(text) ? new Date(text) : null;
+  return timestamp && !isNaN(timestamp) ? timestamp : null;
+};
+
+// Decimal hours ("1.5") or hours and minutes ("1:30")
+const parseDuration = (value) => {
+  const text = value.trim();
+  if (text === '') return 0;
+
+  const clock = /^(\d+):(\d{2})$/.exec(text);
+  if (clock) return Math.round((Number(clock[1]) + Number(clock[2]) / 60) * 100) / 100;
+
+  const hours = Number(text);
+  return Number.isFinite(hours) ? hours : null;
+};
+
+const parseCount = (value) => {
+  const text = value.trim();
+  if (text === '') return 0;
+  return /^\d+$/.test(text) ? Number(text) : null;
+};
+
+// Turn one CSV row into logbook entry fields, collecting what could not be read
+const readRow = (cells, mapping, dateFormat) => {
+  const errors = [];
+  const cell = field => (mapping[field] === undefined ? '' : String(cells[mapping[field]] ?? ''));
+
+  const date = parseDate(cell('date'), dateFormat);
+  if (!date) errors.push(`Invalid date "${cell('date')}" for format ${dateFormat}`);
+
+  const fields = {
+    date,
+    aircraftType: cell('aircraftType').trim() ? aircraftCatalog.normalizeName(cell('aircraftType')) : undefined,
+    registration: cell('registration').trim() || undefined,
+    departure: cell('departure').trim() || undefined,
+    arrival: cell('arrival').trim() || undefined,
+    remarks: cell('remarks').trim() || undefined
+  };
+
+  ['blockOff', 'blockOn'].forEach((field) => {
+    fields[field] = parseTime(cell(field), date);
+    // Clock times cannot be read without a date, which is already reported
+    if (!fields[field] && cell(field).trim() && date) errors.push(`Invalid ${field} time "${cell(field)}"`);
+  });
+  // Clock times past midnight land on the next day
+  if (fields.blockOff && fields.blockOn && fields.blockOn <= fields.blockOff &&
+    /^\d{1,2}:?\d{2}$/.test(cell('blockOn').trim())) {
+    fields.blockOn = new Date(fields.blockOn.getTime() + 24 * 60 * 60 * 1000);
+  }
+
+  LogbookEntry.TIME_FIELDS.forEach((field) => {
+    fields[field] = parseDuration(cell(field));
+    if (fields[field] === null) errors.push(`Invalid ${field} "${cell(field)}"`);
+  });
+
+  const landings = { day: parseCount(cell('dayLandings')), night: parseCount(cell('nightLandings')) };
+  if (landings.day === null || landings.night === null) errors.push('Landings must be whole numbers');
+  fields.landings = landings;
+
+  const approaches = parseCount(cell('approaches'));
+  if (approaches === null) errors.push('Approaches must be a whole number');
+  fields.approaches = approaches > 0 ? [{ type: 'unspecified', count: approaches }] : [];
+
+  return { fields, errors };
+};
+
+const duplicateKey = (entry) => [
+  entry.registration,
+  entry.departure,
+  entry.arrival,
+  entry.blockOff.toISOString()
+].join('|');
+
+// Parse, map and validate a CSV logbook for a work history entry. Nothing is
+// written; each row comes back valid, invalid (with errors) or duplicate.
+exports.preview = async (workHistory, { csv, preset, mapping, dateFormat } = {}) => {
+  if (!csv || typeof csv !== 'string') {
+    throw new APIError('CSV content is required', 400);
+  }
+  if (preset && !PRESETS[preset]) {
+    throw new APIError(`Unknown preset. Supported presets: ${Object.keys(PRESETS).join(', ')}`, 400);
+  }
+
+  const [headers, ...rows] = parseCsv(csv);
+  if (!headers || rows.length === 0) {
+    throw new APIError('The CSV has no data rows', 400);
+  }
+  if (rows.length > MAX_ROWS) {
+    throw new APIError(`Imports are limited to ${MAX_ROWS} rows`, 400);
+  }
+
+  const presetKey = preset || detectPreset(headers);
+  const format = dateFormat || PRESETS[presetKey].dateFormat;
+  if (!DATE_FORMATS.includes(format)) {
+    throw new APIError(`Unsupported dateFormat. Supported formats: ${DATE_FORMATS.join(', ')}`, 400);
+  }
+
+  const columns = resolveMapping(headers, presetKey, mapping);
+  const missing = REQUIRED_FIELDS.filter(field => columns[field] === undefined);
+  if (missing.length > 0) {
+    throw new APIError(`No column mapped for: ${missing.join(', ')}`, 400);
+  }
+
+  await aircraftCatalog.load();
+
+  const results = [];
+  for (const [index, cells] of rows.entries()) {
+    const { fields, errors } = readRow(cells, columns, format);
+    const entry = new LogbookEntry({ ...fields, user: workHistory.user, workHistory: workHistory._id });
+
+    if (errors.length === 0) {
+      try {
+        await entry.validate();
+      } catch (error) {
+        errors.push(...Object.values(error.errors || {}).map(fieldError => fieldError.message));
+      }
+    }
+
+    // Row numbers count the header, as a spreadsheet shows them
+    results.push({ row: index + 2, status: errors.length > 0 ? 'invalid' : 'valid', errors, entry });
+  }
+
+  // Duplicates of entries already logged anywhere by the user, or earlier in the file
+  const valid = results.filter(result => result.status === 'valid');
+  const existing = await LogbookEntry.find({
+    user: workHistory.user,
+    blockOff: { $in: valid.map(result => result.entry.blockOff) }
+  })
+    .select('registration departure arrival blockOff')
+    .lean();
+  const seen = new Set(existing.map(duplicateKey));
+
+  valid.forEach((result) => {
+    const key = duplicateKey(result.entry);
+    if (seen.has(key)) {
+      result.status = 'duplicate';
+      result.errors.push('Already in the logbook');
+    }
+    seen.add(key);
+  });
+
+  const count = status => results.filter(result => result.status === status).length;
+  return {
+    preset: presetKey,
+    dateFormat: format,
+    headers,
+    mapping: Object.fromEntries(Object.entries(columns).map(([field, index]) => [field, headers[index]])),
+    unmappedColumns: headers.filter((header, index) => !Object.values(columns).includes(index)),
+    summary: {
+      rows: results.length,
+      valid: count('valid'),
+      invalid: count('invalid'),
+      duplicate: count('duplicate')
+    },
+    rows: results
+  };
+};
+
+// Insert the valid rows of a preview and recalculate the work history totals
+// in one transaction, so a failed import leaves nothing behind
+exports.commit = async (workHistory, preview) => {
+  const entries = preview.rows
+    .filter(result => result.status === 'valid')
+    .map(result => result.entry);
+  if (entries.length === 0) {
+    throw new APIError('No new valid rows to import', 400);
+  }
+
+  // Transactions need a replica set; without one this fails with a 503
+  // explaining that, and nothing is written
+  const updated = await transactions.withTransaction(async (session) => {
+    await logbook.startLogbook(workHistory, { session });
+    await LogbookEntry.insertMany(entries, { session });
+    return logbook.recalculateTotals(workHistory, { session });
+  });
+  return { imported: entries.length, flightRecords: updated.flightRecords };
+};
+
+exports.getPresets = () => Object.entries(PRESETS).map(([key, preset]) => ({
+  key,
+  name: preset.name,
+  dateFormat: preset.dateFormat,
+  columns: preset.columns
+}));
+
+exports.FIELDS = FIELDS;
+exports.DATE_FORMATS = DATE_FORMATS;
@@ -0,0 +1,30 @@
+const nodemailer = require('nodemailer');
+const config = require('../../../config/config');
+
+let transporter;
+
+const getTransporter = () => {
+  if (!transporter) {
+    const smtp = config.smtp || {};
+    transporter = nodemailer.createTransport({
+      host: smtp.host,
+      port: smtp.port || 587,
+      secure: smtp.secure || false,
+      auth: smtp.user ? { user: smtp.user, pass: smtp.password } : undefined
+    });
+  }
+  return transporter;
+};
+
+exports.name = 'email';
+
+exports.isAvailable = (user) => Boolean(user.email && config.smtp?.host);
+
+exports.send = async (user, message) => {
+  await getTransporter().sendMail({
+    from: config.smtp?.from || 'no-reply@aviation-platform.local',
+    to: user.email,
+    subject: message.subject,
+    text: message.body
+  });
+};
\ No newline at end of file
@@ -0,0 +1,15 @@
+const Notification = require('../../../models/notificationModel');
+
+exports.name = 'inApp';
+
+exports.isAvailable = () => true;
+
+exports.send = async (user, message) => {
+  await Notification.create({
+    user: user._id,
+    event: message.event,
+    title: message.subject,
+    body: message.body,
+    data: message.data
+  });
+};
\ No newline at end of file
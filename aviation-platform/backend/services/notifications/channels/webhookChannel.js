@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+const https = require('https');
+const net = require('net');
+const config = require('../../../config/config');
+const webhookTargets = require('../webhookTargets');
+
+const TIMEOUT_MS = 10000;
+
+exports.name = 'webhook';
+
+exports.isAvailable = (user, preferences) => Boolean(preferences.webhookUrl);
+
+// https only, no redirects, and every address connected to must be public,
+// including URLs saved before these checks existed
+const post = (webhookUrl, headers, payload) => new Promise((resolve, reject) => {
+  const url = new URL(webhookUrl);
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  if (url.protocol !== 'https:') {
+    return reject(new Error('Webhook URL must use https'));
+  }
+  if (net.isIP(hostname) && webhookTargets.isPrivateAddress(hostname)) {
+    return reject(new Error('Webhook URL points at a private address'));
+  }
+
+  const request = https.request(url, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Length': Buffer.byteLength(payload) },
+    lookup: webhookTargets.lookup,
+    timeout: TIMEOUT_MS
+  }, (response) => {
+    response.resume();
+    if (response.statusCode >= 200 && response.statusCode < 300) {
+      resolve();
+    } else {
+      reject(new Error(`Webhook responded with ${response.statusCode}`));
+    }
+  });
+
+  request.on('timeout', () => request.destroy(new Error('Webhook timed out')));
+  request.on('error', reject);
+  request.end(payload);
+});
+
+// POST the message as JSON. The body is signed with HMAC-SHA256 so receivers
+// can check it came from us.
+exports.send = async (user, message, preferences) => {
+  const payload = JSON.stringify({
+    event: message.event,
+    subject: message.subject,
+    body: message.body,
+    data: message.data,
+    sentAt: new Date().toISOString()
+  });
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (config.webhooks?.signingSecret) {
+    headers['X-Signature'] = crypto
+      .createHmac('sha256', config.webhooks.signingSecret)
+      .update(payload)
+      .digest('hex');
+  }
+
+  await post(preferences.webhookUrl, headers, payload);
+};
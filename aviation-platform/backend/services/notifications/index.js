@@ -0,0 +1,187 @@
+const User = require('../../models/userModel');
+const NotificationDelivery = require('../../models/notificationDeliveryModel');
+const config = require('../../config/config');
+const jobs = require('../jobs');
+const templates = require('./templates');
+const emailChannel = require('./channels/emailChannel');
+const webhookChannel = require('./channels/webhookChannel');
+const inAppChannel = require('./channels/inAppChannel');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_MS = 60 * 1000;
+const CERTIFICATION_WARNING_DAYS = 30;
+
+const channels = {
+  [emailChannel.name]: emailChannel,
+  [webhookChannel.name]: webhookChannel,
+  [inAppChannel.name]: inAppChannel
+};
+
+// payroll.notificationPreferences: { email, webhook, inApp, webhookUrl, events }
+// Channels are on unless set to false; events[event] === false mutes an event.
+const resolvePreferences = (user) => {
+  const preferences = user.payroll?.notificationPreferences || {};
+  return {
+    channels: Object.keys(channels).filter(channel => preferences[channel] !== false),
+    events: preferences.events || {},
+    webhookUrl: preferences.webhookUrl
+  };
+};
+
+const attemptDelivery = async (delivery, user) => {
+  const preferences = resolvePreferences(user);
+  if (delivery.target) preferences.webhookUrl = delivery.target;
+  delivery.attempts += 1;
+
+  try {
+    await channels[delivery.channel].send(
+      user,
+      { event: delivery.event, ...delivery.toObject().message },
+      preferences
+    );
+    delivery.status = 'sent';
+    delivery.sentAt = new Date();
+    delivery.lastError = undefined;
+    delivery.nextAttemptAt = undefined;
+  } catch (error) {
+    delivery.lastError = error.message;
+    if (delivery.attempts >= MAX_ATTEMPTS) {
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = undefined;
+    } else {
+      delivery.status = 'retrying';
+      delivery.nextAttemptAt = new Date(Date.now() + RETRY_BASE_MS * 2 ** (delivery.attempts - 1));
+    }
+  }
+
+  await delivery.save();
+  return delivery;
+};
+
+// Send an event to a user on every channel their preferences allow. A
+// webhookUrl option sends the webhook there instead of the user's own URL,
+// even when their webhook channel is off.
+exports.notify = async (userId, event, data = {}, { dedupeKey, webhookUrl } = {}) => {
+  const user = await User.findById(userId).select('name email payroll.notificationPreferences');
+  if (!user) return [];
+
+  const preferences = resolvePreferences(user);
+  if (preferences.events[event] === false) return [];
+
+  const channelNames = webhookUrl
+    ? [...new Set([...preferences.channels, webhookChannel.name])]
+    : preferences.channels;
+
+  const deliveries = [];
+  for (const channelName of channelNames) {
+    const target = channelName === webhookChannel.name ? webhookUrl : undefined;
+    if (!channels[channelName].isAvailable(user, target ? { ...preferences, webhookUrl: target } : preferences)) continue;
+
+    const message = await templates.render(event, channelName, { ...data, user: { name: user.name } });
+
+    let delivery;
+    try {
+      delivery = await NotificationDelivery.create({
+        user: user._id,
+        event,
+        channel: channelName,
+        dedupeKey,
+        target,
+        message: { ...message, data }
+      });
+    } catch (error) {
+      if (dedupeKey && error.code === 11000) continue; // Already sent
+      throw error;
+    }
+
+    deliveries.push(await attemptDelivery(delivery, user));
+  }
+  return deliveries;
+};
+
+// Last failure of a background notification, reported by status()
+let lastBackgroundError = null;
+
+// Fire-and-forget variant for request handlers: a notification problem must
+// never fail the operation that triggered it
+exports.notifyInBackground = (userId, event, data, options) => {
+  exports.notify(userId, event, data, options).catch((error) => {
+    lastBackgroundError = { event, user: userId, message: error.message, at: new Date() };
+  });
+};
+
+// Email someone without an account, such as an employer asked to verify a
+// work history entry. There is no delivery record to retry, so failures throw.
+exports.emailAddress = async (email, event, data = {}) => {
+  const recipient = { email };
+  if (!emailChannel.isAvailable(recipient)) {
+    throw new Error('Email delivery is not configured');
+  }
+
+  const message = await templates.render(event, emailChannel.name, data);
+  await emailChannel.send(recipient, { event, ...message });
+};
+
+// Retry deliveries whose backoff has elapsed
+exports.retryDeliveries = async (now = new Date()) => {
+  const deliveries = await NotificationDelivery.find({
+    status: 'retrying',
+    nextAttemptAt: { $lte: now }
+  }).limit(100);
+
+  for (const delivery of deliveries) {
+    const user = await User.findById(delivery.user).select('name email payroll.notificationPreferences');
+    if (user) {
+      await attemptDelivery(delivery, user);
+    } else {
+      delivery.status = 'failed';
+      delivery.lastError = 'User not found';
+      await delivery.save();
+    }
+  }
+  return deliveries.length;
+};
+
+// Warn users about certifications expiring within the warning window, once per certification
+exports.notifyExpiringCertifications = async (now = new Date()) => {
+  const until = new Date(now.getTime() + CERTIFICATION_WARNING_DAYS * DAY_MS);
+  const users = await User.find({
+    certifications: { $elemMatch: { expiryDate: { $gte: now, $lte: until } } }
+  }).select('certifications');
+
+  for (const user of users) {
+    for (const certification of user.certifications) {
+      const expiryDate = certification.expiryDate && new Date(certification.expiryDate);
+      if (!expiryDate || expiryDate < now || expiryDate > until) continue;
+
+      await exports.notify(user._id, templates.EVENTS.CERTIFICATION_EXPIRING, {
+        certification: certification.name,
+        expiryDate: expiryDate.toISOString().substr(0, 10),
+        daysLeft: Math.ceil((expiryDate - now) / DAY_MS)
+      }, {
+        dedupeKey: `${templates.EVENTS.CERTIFICATION_EXPIRING}:${certification._id}:${expiryDate.toISOString()}`
+      });
+    }
+  }
+};
+
+const job = jobs.create('notifications', async () => {
+  const retried = await exports.retryDeliveries();
+  await exports.notifyExpiringCertifications();
+  return { retried };
+});
+
+// Start the background worker that retries failed deliveries and sends
+// certification expiry warnings
+exports.start = (intervalMs = config.notifications?.intervalMs || 5 * 60 * 1000) => job.start(intervalMs);
+
+exports.stop = job.stop;
+
+exports.status = () => ({ ...job.status(), lastBackgroundError });
+
+exports.registerChannel = (channel) => {
+  channels[channel.name] = channel;
+};
+
+exports.EVENTS = templates.EVENTS;
\ No newline at end of file
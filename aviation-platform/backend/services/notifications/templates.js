@@ -0,0 +1,79 @@
+const NotificationTemplate = require('../../models/notificationTemplateModel');
+
+const EVENTS = {
+  PAYMENT_PROCESSED: 'payment_processed',
+  PAYMENT_FAILED: 'payment_failed',
+  PAYSLIP_AVAILABLE: 'payslip_available',
+  CERTIFICATION_EXPIRING: 'certification_expiring',
+  WORK_HISTORY_VERIFIED: 'work_history_verified',
+  WORK_HISTORY_DISPUTED: 'work_history_disputed',
+  WORK_HISTORY_VERIFICATION_REQUESTED: 'work_history_verification_requested',
+  WORK_HISTORY_VERIFIER_REJECTED: 'work_history_verifier_rejected',
+  SAVED_SEARCH_MATCHES: 'saved_search_matches'
+};
+
+// Built-in templates used until an admin stores their own for an event
+const DEFAULT_TEMPLATES = {
+  [EVENTS.PAYMENT_PROCESSED]: {
+    subject: 'Payment of {{amount}} {{currency}} sent',
+    body: 'Hi {{user.name}}, your pay for {{periodStart}} to {{periodEnd}} has been sent. Reference: {{reference}}.'
+  },
+  [EVENTS.PAYMENT_FAILED]: {
+    subject: 'Payment for {{periodStart}} to {{periodEnd}} failed',
+    body: 'Hi {{user.name}}, we could not send your pay of {{amount}} {{currency}}: {{reason}}. Please check your bank details.'
+  },
+  [EVENTS.PAYSLIP_AVAILABLE]: {
+    subject: 'Your payslip for {{periodStart}} to {{periodEnd}} is available',
+    body: 'Hi {{user.name}}, your payslip is ready. Net amount: {{amount}} {{currency}}.'
+  },
+  [EVENTS.CERTIFICATION_EXPIRING]: {
+    subject: 'Your {{certification}} certification expires on {{expiryDate}}',
+    body: 'Hi {{user.name}}, your {{certification}} certification expires in {{daysLeft}} days. Renew it to stay available for assignments.'
+  },
+  [EVENTS.WORK_HISTORY_VERIFIED]: {
+    subject: 'Work history at {{employer}} verified',
+    body: 'Hi {{user.name}}, {{employer}} has verified your work history entry.'
+  },
+  [EVENTS.WORK_HISTORY_DISPUTED]: {
+    subject: 'Work history at {{employer}} disputed',
+    body: 'Hi {{user.name}}, {{employer}} has disputed your work history entry: {{note}}'
+  },
+  [EVENTS.WORK_HISTORY_VERIFICATION_REQUESTED]: {
+    subject: '{{professional}} asks you to verify their work history',
+    body: '{{professional}} lists {{position}} at {{employer}} from {{startDate}} to {{endDate}} with {{hours}} flight hours. Approve, dispute or amend the entry at {{link}}.'
+  },
+  [EVENTS.WORK_HISTORY_VERIFIER_REJECTED]: {
+    subject: 'Verification request for {{employer}} declined',
+    body: 'Hi {{user.name}}, {{verifier}} could not be confirmed as a verifier for {{employer}}. Ask someone at the employer to verify the entry instead. Reason: {{note}}'
+  },
+  [EVENTS.SAVED_SEARCH_MATCHES]: {
+    subject: '{{count}} new matches for "{{search}}"',
+    body: 'Hi {{user.name}}, {{count}} professionals newly match your saved search "{{search}}".'
+  }
+};
+
+// Replace {{path.to.value}} placeholders with values from the data
+const interpolate = (template, data) => template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, key) => {
+  const value = key.split('.').reduce((current, part) => (current == null ? undefined : current[part]), data);
+  return value == null ? '' : String(value);
+});
+
+// Render the template for an event and channel
+exports.render = async (event, channel, data) => {
+  const stored = await NotificationTemplate.find({ event, channel: { $in: [channel, 'default'] } }).lean();
+  const template = stored.find(entry => entry.channel === channel) ||
+    stored.find(entry => entry.channel === 'default') ||
+    DEFAULT_TEMPLATES[event];
+
+  if (!template) {
+    throw new Error(`No notification template for event ${event}`);
+  }
+
+  return {
+    subject: interpolate(template.subject, data),
+    body: interpolate(template.body, data)
+  };
+};
+
+exports.EVENTS = EVENTS;
+exports.DEFAULT_TEMPLATES = DEFAULT_TEMPLATES;
\ No newline at end of file
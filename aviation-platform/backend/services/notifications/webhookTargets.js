@@ -0,0 +1,84 @@
+const dns = require('dns');
+const net = require('net');
+
+// Addresses a webhook must never reach: loopback, private networks,
+// link-local (including cloud metadata at 169.254.169.254), carrier-grade
+// NAT, multicast and reserved ranges. IPv4-mapped IPv6 addresses are
+// checked against the IPv4 ranges.
+const BLOCKED = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, 'ipv6'));
+
+exports.isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  if (!family) return true;
+  return BLOCKED.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+// dns.lookup replacement for outgoing webhook requests. Checking the address
+// actually connected to stops a hostname that passed validation from being
+// re-pointed at an internal address later.
+exports.lookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(({ address }) => exports.isPrivateAddress(address));
+    if (blocked) {
+      return callback(new Error(`Webhook host ${hostname} resolves to a private address`));
+    }
+
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// Why a URL cannot be used as a webhook target, or null when it can. Only
+// https URLs whose host resolves to public addresses are accepted.
+exports.checkWebhookUrl = async (value) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return 'webhookUrl must be a valid URL';
+  }
+
+  if (url.protocol !== 'https:') {
+    return 'webhookUrl must be an https URL';
+  }
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  if (net.isIP(hostname)) {
+    addresses = [hostname];
+  } else {
+    try {
+      addresses = (await dns.promises.lookup(hostname, { all: true })).map(({ address }) => address);
+    } catch (error) {
+      return `webhookUrl host ${hostname} could not be resolved`;
+    }
+  }
+
+  if (addresses.some(exports.isPrivateAddress)) {
+    return 'webhookUrl must not point at a private or internal address';
+  }
+  return null;
+};
@@ -0,0 +1,162 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAYS_PER_MONTH = 365 / 12;
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const normalizeType = (aircraftType) => String(aircraftType || '').trim().toUpperCase();
+
+const periodDays = ({ startDate, endDate }) =>
+  Math.max(1, Math.round((new Date(endDate) - new Date(startDate)) / DAY_MS) + 1);
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  return Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate());
+};
+
+// Hours per aircraft type and days on duty inside a pay period. Logbook
+// entries count when dated in the period, and their days are the days on
+// duty. Work history without a logbook only has totals for the whole
+// employment, so those hours are prorated by the share of the employment
+// that falls in the period; they add no duty days. Hours not attributed to
+// a type are reported under ''.
+exports.periodActivity = ({ workHistory = [], logbookEntries = [], logbookWorkHistoryIds = new Set() }, period, now = new Date()) => {
+  const periodStart = startOfDay(period.startDate);
+  const periodEnd = startOfDay(period.endDate) + DAY_MS;
+  const hoursByType = new Map();
+  const addHours = (aircraftType, hours) => {
+    const key = normalizeType(aircraftType);
+    hoursByType.set(key, (hoursByType.get(key) || 0) + hours);
+  };
+
+  const dutyDays = new Set();
+  logbookEntries.forEach((entry) => {
+    const day = startOfDay(entry.date);
+    if (day < periodStart || day >= periodEnd) return;
+
+    addHours(entry.aircraftType, entry.blockTime || 0);
+    dutyDays.add(day);
+  });
+
+  workHistory
+    .filter(record => !logbookWorkHistoryIds.has(String(record._id)))
+    .forEach((record) => {
+      const start = new Date(record.period?.startDate).getTime();
+      const end = Math.min(
+        record.period?.endDate ? startOfDay(record.period.endDate) + DAY_MS : now.getTime(),
+        now.getTime()
+      );
+      const overlap = Math.min(end, periodEnd) - Math.max(start, periodStart);
+      if (!(end > start) || overlap <= 0) return;
+
+      const share = overlap / (end - start);
+      const flightRecords = record.flightRecords || {};
+      let attributed = 0;
+
+      (flightRecords.aircraftTypes || []).forEach(({ aircraft, hours }) => {
+        addHours(aircraft, (hours || 0) * share);
+        attributed += hours || 0;
+      });
+
+      const unattributed = (flightRecords.totalHours || 0) - attributed;
+      if (unattributed > 0) {
+        addHours('', unattributed * share);
+      }
+    });
+
+  hoursByType.forEach((hours, aircraftType) => hoursByType.set(aircraftType, round(hours)));
+  return { hoursByType, dutyDays: dutyDays.size };
+};
+
+// Compute contract earnings for a period's activity (see periodActivity)
+// with a line item for every amount
+exports.calculatePay = (contract, { hoursByType, dutyDays }, period) => {
+  const monthShare = periodDays(period) / DAYS_PER_MONTH;
+  const lineItems = [];
+
+  const rates = new Map(contract.hourlyRates.map(({ aircraftType, rate }) => [normalizeType(aircraftType), rate]));
+
+  // Flight pay per aircraft type
+  let flightHours = 0;
+  let flightPay = 0;
+  hoursByType.forEach((hours, aircraftType) => {
+    if (hours <= 0) return;
+
+    const rate = rates.has(aircraftType) ? rates.get(aircraftType) : contract.defaultHourlyRate;
+    const amount = round(hours * rate);
+
+    flightHours += hours;
+    flightPay += amount;
+    lineItems.push({
+      category: 'base',
+      description: aircraftType
+        ? `Flight hours on ${aircraftType}`
+        : 'Flight hours without aircraft type',
+      aircraftType: aircraftType || undefined,
+      quantity: hours,
+      unit: 'hours',
+      rate,
+      amount
+    });
+  });
+
+  // Guaranteed minimum top-up
+  const guarantee = round((contract.guaranteedMinimum?.monthlyAmount || 0) * monthShare);
+  let base = flightPay;
+  if (guarantee > flightPay) {
+    const amount = round(guarantee - flightPay);
+    base += amount;
+    lineItems.push({
+      category: 'base',
+      description: 'Guaranteed minimum top-up',
+      quantity: 1,
+      unit: 'period',
+      rate: guarantee,
+      amount
+    });
+  }
+
+  // Overtime premium on hours above the prorated threshold, at the average hourly rate
+  let overtime = 0;
+  const threshold = contract.overtime?.monthlyThresholdHours;
+  if (threshold != null && flightHours > 0) {
+    const overtimeHours = flightHours - threshold * monthShare;
+    if (overtimeHours > 0) {
+      const averageRate = flightPay / flightHours;
+      const rate = round(averageRate * (contract.overtime.multiplier - 1));
+      overtime = round(overtimeHours * rate);
+      lineItems.push({
+        category: 'overtime',
+        description: `Overtime premium above ${round(threshold * monthShare)} hours`,
+        quantity: round(overtimeHours),
+        unit: 'hours',
+        rate,
+        amount: overtime
+      });
+    }
+  }
+
+  // Per diem for days flown
+  let allowances = 0;
+  const dailyRate = contract.perDiem?.dailyRate || 0;
+  if (dailyRate > 0 && dutyDays > 0) {
+    allowances = round(dutyDays * dailyRate);
+    lineItems.push({
+      category: 'allowances',
+      description: 'Per diem',
+      quantity: dutyDays,
+      unit: 'days',
+      rate: dailyRate,
+      amount: allowances
+    });
+  }
+
+  return {
+    flightHours,
+    earnings: {
+      base: round(base),
+      overtime,
+      allowances
+    },
+    lineItems
+  };
+};
\ No newline at end of file
@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+const PaymentTransaction = require('../models/paymentTransactionModel');
+const PayrollRecord = require('../models/payrollRecordModel');
+const User = require('../models/userModel');
+const config = require('../config/config');
+const { getPaymentProvider, buildInstruction } = require('./payments');
+const notifications = require('./notifications');
+const payrollAdjustments = require('./payrollAdjustments');
+
+// A transaction still processing after this long was interrupted, e.g. by a crash
+const DEFAULT_PROCESSING_TIMEOUT_MS = 15 * 60 * 1000;
+
+const formatDate = (date) => new Date(date).toISOString().substr(0, 10);
+
+// Message data describing a payroll payment
+exports.paymentNotificationData = (payrollRecord, extra = {}) => ({
+  payrollId: String(payrollRecord._id),
+  amount: Number(payrollRecord.payoutAmount || 0).toFixed(2),
+  currency: payrollRecord.payoutCurrency,
+  periodStart: formatDate(payrollRecord.period.startDate),
+  periodEnd: formatDate(payrollRecord.period.endDate),
+  ...extra
+});
+
+// Record a provider outcome on the transaction and its payroll record. The
+// record is saved first and only moved on while still approved, so applying
+// an outcome again finishes a payment that was interrupted half way.
+const applyOutcome = async (transaction, payrollRecord, outcome, { actorId, paymentMethod } = {}) => {
+  if (payrollRecord.status === 'approved') {
+    payrollRecord.paymentMethod = paymentMethod || payrollRecord.paymentMethod;
+
+    if (outcome.status === 'failed') {
+      payrollRecord.transitionTo('failed', actorId, outcome.failureReason);
+    } else {
+      payrollRecord.transactionId = outcome.reference;
+      payrollRecord.transitionTo('paid', actorId);
+    }
+    await payrollRecord.saveWithAudit();
+
+    if (outcome.status === 'paid' && payrollRecord.recoveries.length > 0) {
+      await payrollAdjustments.settleRecoveries(payrollRecord, actorId);
+    }
+
+    notifications.notifyInBackground(
+      payrollRecord.user,
+      outcome.status === 'failed' ? notifications.EVENTS.PAYMENT_FAILED : notifications.EVENTS.PAYMENT_PROCESSED,
+      exports.paymentNotificationData(payrollRecord, {
+        reference: outcome.reference,
+        reason: outcome.failureReason
+      })
+    );
+  }
+
+  transaction.status = outcome.status;
+  transaction.reference = outcome.reference;
+  transaction.failureReason = outcome.failureReason;
+  transaction.providerResponse = outcome;
+  transaction.completedAt = new Date();
+  if (outcome.status === 'failed') {
+    transaction.activePayroll = undefined;
+  }
+  await transaction.save();
+};
+
+// Settle transactions left processing for longer than the timeout. The
+// provider is asked whether it received the instruction: if it did, its
+// outcome is applied; if not, the transaction is removed so the record can
+// be paid again. Providers that cannot tell leave the transaction for a
+// manual decision.
+exports.reconcileStale = async (query = {}, now = new Date()) => {
+  const timeoutMs = config.payments?.processingTimeoutMs || DEFAULT_PROCESSING_TIMEOUT_MS;
+  const transactions = await PaymentTransaction.find({
+    ...query,
+    status: 'processing',
+    updatedAt: { $lt: new Date(now.getTime() - timeoutMs) }
+  });
+
+  let reconciled = 0;
+  for (const transaction of transactions) {
+    const provider = getPaymentProvider(transaction.provider);
+    if (!provider.lookup) continue;
+
+    const payrollRecord = await PayrollRecord.findById(transaction.payrollRecord);
+    const user = await User.findById(transaction.user);
+    if (!payrollRecord || !user) continue;
+
+    const outcome = await provider.lookup(buildInstruction(payrollRecord, user, transaction));
+    if (outcome) {
+      await applyOutcome(transaction, payrollRecord, outcome);
+    } else {
+      await transaction.deleteOne();
+    }
+    reconciled += 1;
+  }
+  return reconciled;
+};
+
+// Pay approved payroll records through the configured provider as one batch.
+// Entries are { payrollRecord, user, idempotencyKey, paymentMethod }. Returns
+// one result per entry, in order: { payrollRecord, transaction, status,
+// reference, failureReason } where status is paid, failed or skipped.
+exports.payPayrollRecords = async (entries, actorId) => {
+  const provider = getPaymentProvider();
+  const results = entries.map(({ payrollRecord }) => ({ payrollRecord, status: 'skipped' }));
+
+  await exports.reconcileStale({ payrollRecord: { $in: entries.map(entry => entry.payrollRecord._id) } });
+
+  // The unique activePayroll index stops two concurrent payments of one record
+  try {
+    for (const [index, entry] of entries.entries()) {
+      try {
+        results[index].transaction = await PaymentTransaction.create({
+          idempotencyKey: entry.idempotencyKey || crypto.randomUUID(),
+          user: entry.payrollRecord.user,
+          payrollRecord: entry.payrollRecord._id,
+          activePayroll: entry.payrollRecord._id,
+          provider: provider.name,
+          amount: entry.payrollRecord.payoutAmount,
+          currency: entry.payrollRecord.payoutCurrency
+        });
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+        results[index].failureReason = 'Payment for this payroll record is already in progress';
+      }
+    }
+  } catch (error) {
+    // Nothing has been sent yet: release the records for another attempt
+    await PaymentTransaction.deleteMany({
+      _id: { $in: results.filter(result => result.transaction).map(result => result.transaction._id) }
+    });
+    throw error;
+  }
+
+  const pending = results
+    .map((result, index) => ({ result, entry: entries[index] }))
+    .filter(({ result }) => result.transaction);
+
+  if (pending.length === 0) return results;
+
+  let outcomes;
+  try {
+    outcomes = await provider.payBatch(pending.map(({ entry, result }) =>
+      buildInstruction(entry.payrollRecord, entry.user, result.transaction)));
+  } catch (error) {
+    outcomes = pending.map(() => ({ status: 'failed', reference: null, failureReason: error.message }));
+  }
+
+  // The provider has the payments now. A record that cannot be updated keeps
+  // its transaction processing until reconcileStale picks it up.
+  let firstError = null;
+  for (const [index, { entry, result }] of pending.entries()) {
+    const outcome = outcomes[index];
+
+    try {
+      await applyOutcome(result.transaction, result.payrollRecord, outcome, {
+        actorId,
+        paymentMethod: entry.paymentMethod || entry.user.payroll?.paymentMethod
+      });
+    } catch (error) {
+      firstError = firstError || error;
+    }
+
+    Object.assign(result, {
+      status: outcome.status,
+      reference: outcome.reference,
+      failureReason: outcome.failureReason
+    });
+  }
+
+  if (firstError) throw firstError;
+  return results;
+};
@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('../../config/config');
+
+// Writes ISO 20022 pain.001.001.03 credit transfer files for upload to the bank.
+// A payment counts as paid once its instruction is in a written batch file.
+// Each payment also gets a small index file naming its batch file, so lookups
+// do not read every batch.
+const settings = () => ({
+  outputDir: path.resolve(config.payments?.bankFile?.outputDir || 'storage/bank-files'),
+  debtor: config.payments?.bankFile?.debtor || {}
+});
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// ISO 20022 identifiers are limited to 35 characters
+const identifier = (...parts) => crypto
+  .createHash('sha256')
+  .update(parts.join('|'))
+  .digest('hex')
+  .substr(0, 35)
+  .toUpperCase();
+
+const formatAmount = (amount) => Number(amount).toFixed(2);
+
+const validate = (instruction) => {
+  if (!(instruction.amount > 0)) return 'Payment amount must be greater than zero';
+  if (!instruction.creditor?.iban) return 'Creditor IBAN is missing';
+  if (!instruction.creditor?.name) return 'Creditor name is missing';
+  return null;
+};
+
+const buildTransaction = (instruction, endToEndId) => `
+      <CdtTrfTxInf>
+        <PmtId>
+          <EndToEndId>${endToEndId}</EndToEndId>
+        </PmtId>
+        <Amt>
+          <InstdAmt Ccy="${escapeXml(instruction.currency)}">${formatAmount(instruction.amount)}</InstdAmt>
+        </Amt>${instruction.creditor.bic ? `
+        <CdtrAgt>
+          <FinInstnId>
+            <BIC>${escapeXml(instruction.creditor.bic)}</BIC>
+          </FinInstnId>
+        </CdtrAgt>` : ''}
+        <Cdtr>
+          <Nm>${escapeXml(String(instruction.creditor.name).substr(0, 70))}</Nm>
+        </Cdtr>
+        <CdtrAcct>
+          <Id>
+            <IBAN>${escapeXml(instruction.creditor.iban)}</IBAN>
+          </Id>
+        </CdtrAcct>
+        <RmtInf>
+          <Ustrd>${escapeXml(String(instruction.remittanceInfo ?? '').substr(0, 140))}</Ustrd>
+        </RmtInf>
+      </CdtTrfTxInf>`;
+
+const buildDocument = ({ messageId, createdAt, transactions, debtor }) => {
+  const controlSum = transactions
+    .reduce((total, { instruction }) => total + Number(formatAmount(instruction.amount)), 0);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<Document xmlns="urn:iso:std:iso:20022:tech:xsd:pain.001.001.03">
+  <CstmrCdtTrfInitn>
+    <GrpHdr>
+      <MsgId>${messageId}</MsgId>
+      <CreDtTm>${createdAt.toISOString().substr(0, 19)}</CreDtTm>
+      <NbOfTxs>${transactions.length}</NbOfTxs>
+      <CtrlSum>${formatAmount(controlSum)}</CtrlSum>
+      <InitgPty>
+        <Nm>${escapeXml(debtor.name)}</Nm>
+      </InitgPty>
+    </GrpHdr>
+    <PmtInf>
+      <PmtInfId>${messageId}</PmtInfId>
+      <PmtMtd>TRF</PmtMtd>
+      <NbOfTxs>${transactions.length}</NbOfTxs>
+      <CtrlSum>${formatAmount(controlSum)}</CtrlSum>
+      <ReqdExctnDt>${createdAt.toISOString().substr(0, 10)}</ReqdExctnDt>
+      <Dbtr>
+        <Nm>${escapeXml(debtor.name)}</Nm>
+      </Dbtr>
+      <DbtrAcct>
+        <Id>
+          <IBAN>${escapeXml(debtor.iban)}</IBAN>
+        </Id>
+      </DbtrAcct>
+      <DbtrAgt>
+        <FinInstnId>
+          <BIC>${escapeXml(debtor.bic)}</BIC>
+        </FinInstnId>
+      </DbtrAgt>
+      <ChrgBr>SLEV</ChrgBr>${transactions
+    .map(({ instruction, endToEndId }) => buildTransaction(instruction, endToEndId))
+    .join('')}
+    </PmtInf>
+  </CstmrCdtTrfInitn>
+</Document>
+`;
+};
+
+exports.name = 'bank-file';
+
+exports.payBatch = async (instructions) => {
+  const { outputDir, debtor } = settings();
+  const messageId = identifier(...instructions.map(instruction => instruction.paymentId));
+
+  const results = instructions.map((instruction) => {
+    const failureReason = validate(instruction);
+    return failureReason
+      ? { status: 'failed', reference: null, failureReason }
+      : { status: 'paid', reference: identifier(instruction.paymentId) };
+  });
+
+  const transactions = instructions
+    .map((instruction, index) => ({ instruction, endToEndId: results[index].reference }))
+    .filter(({ endToEndId }) => endToEndId);
+
+  if (transactions.length > 0) {
+    const fileName = `pain001-${messageId}.xml`;
+    const xml = buildDocument({ messageId, createdAt: new Date(), transactions, debtor });
+
+    // Index entries are written first. Lookups ignore an entry whose batch
+    // file is missing, but a batch file without entries would look unsent.
+    const indexDir = path.join(outputDir, 'index');
+    await fs.promises.mkdir(indexDir, { recursive: true });
+    await Promise.all(transactions.map(({ endToEndId }) =>
+      fs.promises.writeFile(path.join(indexDir, endToEndId), fileName)));
+    await fs.promises.writeFile(path.join(outputDir, fileName), xml);
+
+    results.forEach((result) => {
+      if (result.reference) result.batchFile = fileName;
+    });
+  }
+
+  return results;
+};
+
+// A payment is in a batch file when its index entry names a batch file
+// that was written
+exports.lookup = async (instruction) => {
+  const { outputDir } = settings();
+  const endToEndId = identifier(instruction.paymentId);
+
+  try {
+    const fileName = await fs.promises.readFile(path.join(outputDir, 'index', endToEndId), 'utf8');
+    await fs.promises.access(path.join(outputDir, fileName));
+    return { status: 'paid', reference: endToEndId, batchFile: fileName };
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+};
+
+exports.pay = async (instruction) => {
+  const [result] = await exports.payBatch([instruction]);
+  return result;
+};
\ No newline at end of file
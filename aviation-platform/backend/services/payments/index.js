@@ -0,0 +1,46 @@
+const config = require('../../config/config');
+const sandboxProvider = require('./sandboxProvider');
+const bankFileProvider = require('./bankFileProvider');
+
+// Payment providers implement:
+//   pay(instruction) -> { status: 'paid' | 'failed', reference, failureReason }
+//   payBatch(instructions) -> results in the same order as the instructions
+//   lookup(instruction) -> the result of an instruction sent earlier with the
+//     same paymentId, or null if it never arrived (optional; used to
+//     reconcile payments interrupted by a crash)
+// where an instruction is { paymentId, amount, currency, creditor, remittanceInfo }.
+// paymentId is the PaymentTransaction id. Client idempotency keys are only
+// unique per user, so providers identify payments by paymentId instead.
+const providers = {
+  [sandboxProvider.name]: sandboxProvider,
+  [bankFileProvider.name]: bankFileProvider
+};
+
+exports.getPaymentProvider = (name = config.payments?.provider || 'sandbox') => {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+  return provider;
+};
+
+exports.registerPaymentProvider = (provider) => {
+  providers[provider.name] = provider;
+};
+
+// Build a provider instruction for a payment transaction of a payroll record
+exports.buildInstruction = (payrollRecord, user, transaction) => {
+  const bankDetails = user.payroll?.bankDetails || {};
+
+  return {
+    paymentId: String(transaction._id),
+    amount: payrollRecord.payoutAmount,
+    currency: payrollRecord.payoutCurrency,
+    creditor: {
+      name: bankDetails.accountName || user.name,
+      iban: bankDetails.iban || bankDetails.accountNumber,
+      bic: bankDetails.bic || bankDetails.swiftCode
+    },
+    remittanceInfo: `Payroll ${payrollRecord._id} ${payrollRecord.period.startDate.toISOString().substr(0, 10)}`
+  };
+};
\ No newline at end of file
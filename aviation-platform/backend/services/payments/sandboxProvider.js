@@ -0,0 +1,34 @@
+const crypto = require('crypto');
+
+// Deterministic local provider for development and testing. The same
+// instruction always produces the same reference and outcome.
+const reference = (paymentId) => `SBX-${crypto
+  .createHash('sha256')
+  .update(paymentId)
+  .digest('hex')
+  .substr(0, 16)
+  .toUpperCase()}`;
+
+const settle = (instruction) => {
+  if (!(instruction.amount > 0)) {
+    return {
+      status: 'failed',
+      reference: reference(instruction.paymentId),
+      failureReason: 'Payment amount must be greater than zero'
+    };
+  }
+
+  return {
+    status: 'paid',
+    reference: reference(instruction.paymentId)
+  };
+};
+
+exports.name = 'sandbox';
+
+exports.pay = async (instruction) => settle(instruction);
+
+exports.payBatch = async (instructions) => instructions.map(settle);
+
+// Nothing is stored, but settling again gives the same result
+exports.lookup = async (instruction) => settle(instruction);
\ No newline at end of file
@@ -0,0 +1,155 @@
+const PayrollRecord = require('../models/payrollRecordModel');
+const { APIError } = require('../middlewares/errorHandler');
+const { getRateSnapshot } = require('./exchangeRates');
+const transactions = require('./transactions');
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Which earnings category each adjustment kind books to, and its sign
+const ADJUSTMENT_EARNINGS = {
+  back_pay: { category: 'base', description: 'Back pay', sign: 1 },
+  clawback: { category: 'base', description: 'Clawback', sign: -1 },
+  bonus_correction: { category: 'bonuses', description: 'Bonus correction', sign: 1 }
+};
+
+const newAdjustment = async (original, adjustmentKind, fields) => {
+  const adjustment = new PayrollRecord({
+    user: original.user,
+    type: 'adjustment',
+    adjusts: original._id,
+    adjustmentKind,
+    period: original.period,
+    contract: original.contract,
+    currency: original.currency,
+    payoutCurrency: original.payoutCurrency,
+    ...fields
+  });
+
+  adjustment.exchangeRate = await getRateSnapshot(original.currency, original.payoutCurrency);
+  return adjustment;
+};
+
+// Issue a back pay, clawback or bonus correction against a paid record
+exports.issueAdjustment = async (original, { kind, amount, taxAmount = 0, reason }, actor) => {
+  const booking = ADJUSTMENT_EARNINGS[kind];
+  if (!booking) {
+    throw new APIError(`Unsupported adjustment. Supported adjustments: ${Object.keys(ADJUSTMENT_EARNINGS).join(', ')}`, 400);
+  }
+  if (!reason) {
+    throw new APIError('A reason is required for payroll adjustments', 400);
+  }
+  if (original.status !== 'paid') {
+    throw new APIError('Only paid payroll records can be adjusted', 409);
+  }
+
+  const value = Number(amount);
+  if (!value || (kind !== 'bonus_correction' && value < 0)) {
+    throw new APIError('Adjustment amount must be a non-zero number', 400);
+  }
+
+  const signedAmount = round(booking.sign * value);
+  const adjustment = await newAdjustment(original, kind, {
+    earnings: { [booking.category]: signedAmount },
+    deductions: { tax: round(booking.sign * Number(taxAmount || 0)) },
+    lineItems: [{ category: booking.category, description: `${booking.description}: ${reason}`, amount: signedAmount }]
+  });
+
+  adjustment.statusHistory.push({ status: 'pending', changedBy: actor, reason });
+  adjustment.setAuditContext(actor, reason);
+  await adjustment.saveWithAudit();
+  return adjustment;
+};
+
+// Reverse a record. A failed record only changes status; a paid one also gets
+// an approved reversal record whose negative amount is recovered from later pay.
+exports.reversePayroll = async (original, reason, actor) => {
+  if (!reason) {
+    throw new APIError('A reason is required to reverse a payment', 400);
+  }
+  if (!original.canTransitionTo('reversed')) {
+    throw new APIError(`Payroll record is ${original.status} and cannot be reversed`, 409);
+  }
+
+  let reversal = null;
+  if (original.status === 'paid') {
+    const negate = (amounts) => Object.keys(amounts).reduce((result, key) => ({
+      ...result,
+      [key]: -(amounts[key] || 0)
+    }), {});
+
+    reversal = await newAdjustment(original, 'reversal', {
+      earnings: negate({ ...original.toObject().earnings }),
+      deductions: negate({ ...original.toObject().deductions }),
+      lineItems: original.lineItems.map(item => ({
+        category: item.category,
+        description: `Reversal: ${item.description}`,
+        amount: -item.amount
+      })),
+      status: 'approved',
+      approvedBy: actor,
+      approvedAt: new Date(),
+      statusHistory: [{ status: 'approved', changedBy: actor, reason }]
+    });
+    // Reverse at the rate the original was paid at
+    reversal.exchangeRate = original.exchangeRate;
+    reversal.setAuditContext(actor, reason);
+  }
+
+  original.transitionTo('reversed', actor, reason);
+  await transactions.withTransaction(async (session) => {
+    if (reversal) await reversal.saveWithAudit({ session });
+    await original.saveWithAudit({ session });
+  });
+
+  return reversal;
+};
+
+// Approved negative adjustments for a user that no live record is already
+// recovering. Failed records still claim theirs, since they can be approved
+// and paid again; only reversal releases them.
+exports.findOutstandingRecoveries = async (userId, currency) => {
+  const claimed = await PayrollRecord.distinct('recoveries', {
+    user: userId,
+    status: { $ne: 'reversed' }
+  });
+
+  return PayrollRecord.find({
+    user: userId,
+    type: 'adjustment',
+    status: 'approved',
+    currency,
+    netAmount: { $lt: 0 },
+    _id: { $nin: claimed }
+  }).sort({ createdAt: 1 });
+};
+
+// Deduct outstanding recoveries from a new record while keeping its net positive
+exports.applyRecoveries = async (payrollRecord) => {
+  const outstanding = await exports.findOutstandingRecoveries(payrollRecord.user, payrollRecord.currency);
+  const { base, overtime, allowances, bonuses } = payrollRecord.earnings;
+  const { tax, insurance, pension, other } = payrollRecord.deductions;
+  let available = base + overtime + allowances + bonuses - (tax + insurance + pension + other);
+
+  let recovered = 0;
+  outstanding.forEach((recovery) => {
+    const amount = -recovery.netAmount;
+    if (amount < available) {
+      available -= amount;
+      recovered += amount;
+      payrollRecord.recoveries.push(recovery._id);
+    }
+  });
+
+  payrollRecord.deductions.other = round(other + recovered);
+  return payrollRecord;
+};
+
+// Mark the recoveries carried by a paid record as settled
+exports.settleRecoveries = async (payrollRecord, actor) => {
+  const recoveries = await PayrollRecord.find({ _id: { $in: payrollRecord.recoveries }, status: 'approved' });
+  for (const recovery of recoveries) {
+    recovery.transitionTo('paid', actor, `Recovered from payroll record ${payrollRecord._id}`);
+    recovery.transactionId = payrollRecord.transactionId;
+    await recovery.saveWithAudit();
+  }
+};
\ No newline at end of file
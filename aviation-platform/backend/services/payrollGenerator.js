@@ -0,0 +1,170 @@
+const User = require('../models/userModel');
+const WorkHistory = require('../models/workHistoryModel');
+const LogbookEntry = require('../models/logbookEntryModel');
+const PayrollRecord = require('../models/payrollRecordModel');
+const PayContract = require('../models/payContractModel');
+const { APIError } = require('../middlewares/errorHandler');
+const config = require('../config/config');
+const taxEngine = require('./taxEngine');
+const { getRateSnapshot } = require('./exchangeRates');
+const payCalculator = require('./payCalculator');
+const payrollAdjustments = require('./payrollAdjustments');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Work history and logbook flights for a pay period, as payCalculator.periodActivity expects
+const loadActivity = async (userId, startDate, endDate) => {
+  const workHistory = await WorkHistory.find({
+    user: userId,
+    'period.startDate': { $lte: new Date(endDate) },
+    $or: [{ 'period.endDate': null }, { 'period.endDate': { $gte: new Date(startDate) } }]
+  }).select('period flightRecords').lean();
+
+  const logbookWorkHistoryIds = new Set((await LogbookEntry.distinct('workHistory', {
+    workHistory: { $in: workHistory.map(record => record._id) }
+  })).map(String));
+
+  const logbookEntries = await LogbookEntry.find({
+    user: userId,
+    date: { $gte: new Date(startDate), $lt: new Date(new Date(endDate).getTime() + DAY_MS) }
+  }).select('date aircraftType blockTime').lean();
+
+  return { workHistory, logbookEntries, logbookWorkHistoryIds };
+};
+
+// Line items for amounts supplied by the caller rather than derived from a contract
+const manualLineItems = ({ baseAmount, overtimeAmount, allowances, bonuses }, hasContract) => [
+  { category: 'base', description: 'Base pay', amount: hasContract ? 0 : baseAmount },
+  { category: 'overtime', description: 'Overtime', amount: hasContract ? 0 : overtimeAmount },
+  { category: 'allowances', description: hasContract ? 'Additional allowances' : 'Allowances', amount: allowances },
+  { category: 'bonuses', description: 'Bonus', amount: bonuses }
+].filter(lineItem => lineItem.amount);
+
+// Salary records already paying for part of a period, from a pay run, the
+// scheduler or a manual generate. Reversed records no longer pay anything.
+exports.coveringRecordFilter = (user, { startDate, endDate }) => ({
+  user,
+  type: 'salary',
+  status: { $ne: 'reversed' },
+  'period.startDate': { $lte: new Date(endDate) },
+  'period.endDate': { $gte: new Date(startDate) }
+});
+
+// Build an unsaved payroll record for one user and pay period. Earnings come
+// from options.contract or else the user's active pay contract (in the
+// contract currency), otherwise from the amounts supplied. Deductions come from
+// the tax rules in force for the period and the net is converted for payout.
+exports.buildPayrollRecord = async (userId, options) => {
+  const {
+    startDate,
+    endDate,
+    baseAmount = 0,
+    overtimeAmount = 0,
+    allowances = 0,
+    bonuses = 0,
+    currency,
+    type
+  } = options;
+
+  // Validate dates
+  if (new Date(startDate) >= new Date(endDate)) {
+    throw new APIError('End date must be after start date', 400);
+  }
+
+  // Validate currency
+  if (currency && !config.supportedCurrencies.includes(currency)) {
+    throw new APIError(`Unsupported currency. Supported currencies: ${config.supportedCurrencies.join(', ')}`, 400);
+  }
+
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new APIError('User not found', 404);
+  }
+
+  // Hours flown in the period, not the career totals on work history
+  const activity = payCalculator.periodActivity(
+    await loadActivity(userId, startDate, endDate),
+    { startDate, endDate }
+  );
+  const flightHours = Math.round([...activity.hoursByType.values()]
+    .reduce((total, hours) => total + hours, 0) * 100) / 100;
+
+  const payrollRecord = new PayrollRecord({
+    user: userId,
+    type,
+    period: { startDate, endDate },
+    flightHours,
+    currency: currency || user.payroll?.preferredCurrency
+  });
+
+  const contract = options.contract || await PayContract.findActiveFor(userId, new Date(endDate));
+  if (contract) {
+    const pay = payCalculator.calculatePay(contract, activity, payrollRecord.period);
+
+    payrollRecord.contract = contract._id;
+    payrollRecord.currency = contract.currency;
+    payrollRecord.earnings = {
+      base: pay.earnings.base,
+      overtime: pay.earnings.overtime,
+      allowances: pay.earnings.allowances + allowances,
+      bonuses
+    };
+    payrollRecord.lineItems = [...pay.lineItems, ...manualLineItems(options, true)];
+  } else {
+    payrollRecord.earnings = {
+      base: baseAmount,
+      overtime: overtimeAmount,
+      allowances,
+      bonuses
+    };
+    payrollRecord.lineItems = manualLineItems(options, false);
+  }
+
+  // Calculate tax and deductions with the rules in force for the pay period
+  const ruleSet = await taxEngine.findRuleSet(
+    taxEngine.getTaxResidency(user),
+    new Date(endDate)
+  );
+
+  // Brackets and caps are in the rule set currency, so evaluate them there
+  const taxCurrencyRate = ruleSet.currency && ruleSet.currency !== payrollRecord.currency
+    ? (await getRateSnapshot(payrollRecord.currency, ruleSet.currency, new Date(endDate))).rate
+    : 1;
+  const { base, overtime, bonuses: bonusEarnings } = payrollRecord.earnings;
+  const deductions = taxEngine.calculateDeductions(
+    ruleSet,
+    {
+      base: base * taxCurrencyRate,
+      overtime: overtime * taxCurrencyRate,
+      allowances: payrollRecord.earnings.allowances * taxCurrencyRate,
+      bonuses: bonusEarnings * taxCurrencyRate
+    },
+    payrollRecord.period
+  );
+  const fromTaxCurrency = amount => Math.round((amount / taxCurrencyRate) * 100) / 100;
+
+  payrollRecord.deductions.tax = fromTaxCurrency(deductions.tax);
+  payrollRecord.deductions.insurance = fromTaxCurrency(deductions.insurance);
+  payrollRecord.deductions.pension = fromTaxCurrency(deductions.pension);
+  payrollRecord.taxRules = {
+    ruleSet: ruleSet._id,
+    country: ruleSet.country,
+    version: ruleSet.version,
+    taxableIncome: fromTaxCurrency(deductions.taxableIncome),
+    exemptAllowances: fromTaxCurrency(deductions.exemptAllowances)
+  };
+
+  // Recover approved clawbacks and reversals from this pay
+  await payrollAdjustments.applyRecoveries(payrollRecord);
+
+  // Pay out in the user's preferred currency at the rate for the end of the period
+  const payoutCurrency = user.payroll?.preferredCurrency || payrollRecord.currency;
+  payrollRecord.payoutCurrency = payoutCurrency;
+  payrollRecord.exchangeRate = await getRateSnapshot(
+    payrollRecord.currency,
+    payoutCurrency,
+    new Date(endDate)
+  );
+
+  return payrollRecord;
+};
\ No newline at end of file
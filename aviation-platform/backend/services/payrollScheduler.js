@@ -0,0 +1,186 @@
+const User = require('../models/userModel');
+const ScheduledPayrollRun = require('../models/scheduledPayrollRunModel');
+const PayrollRecord = require('../models/payrollRecordModel');
+const PayContract = require('../models/payContractModel');
+const config = require('../config/config');
+const { APIError } = require('../middlewares/errorHandler');
+const payrollGenerator = require('./payrollGenerator');
+const jobs = require('./jobs');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FREQUENCIES = ['weekly', 'biweekly', 'monthly', 'custom'];
+const INTERVAL_DAYS = { weekly: 7, biweekly: 14 };
+const DEFAULT_ANCHOR = Date.UTC(2024, 0, 1); // A Monday
+const MAX_ATTEMPTS = 5;
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  return Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate());
+};
+
+// Accepts 'weekly' style strings or { frequency, intervalDays, dayOfMonth, anchorDate }
+exports.normalizeSchedule = (schedule) => {
+  if (!schedule) return null;
+
+  const value = typeof schedule === 'string' ? { frequency: schedule } : schedule;
+  if (!FREQUENCIES.includes(value.frequency)) {
+    throw new APIError(`Unsupported payment schedule. Supported schedules: ${FREQUENCIES.join(', ')}`, 400);
+  }
+  if (value.frequency === 'custom' && !(Number(value.intervalDays) >= 1)) {
+    throw new APIError('Custom payment schedules need intervalDays of at least 1', 400);
+  }
+
+  const dayOfMonth = Number(value.dayOfMonth || 1);
+  if (value.frequency === 'monthly' && !(dayOfMonth >= 1 && dayOfMonth <= 28)) {
+    throw new APIError('dayOfMonth must be between 1 and 28', 400);
+  }
+
+  return {
+    frequency: value.frequency,
+    intervalDays: INTERVAL_DAYS[value.frequency] || Number(value.intervalDays),
+    dayOfMonth,
+    anchorDate: value.anchorDate ? startOfDay(value.anchorDate) : DEFAULT_ANCHOR
+  };
+};
+
+// Pay period of a schedule that contains the date. End dates are inclusive days.
+exports.periodContaining = (schedule, date) => {
+  const day = startOfDay(date);
+
+  if (schedule.frequency === 'monthly') {
+    const current = new Date(day);
+    const year = current.getUTCFullYear();
+    let month = current.getUTCMonth();
+    if (current.getUTCDate() < schedule.dayOfMonth) month -= 1;
+
+    const start = Date.UTC(year, month, schedule.dayOfMonth);
+    const next = Date.UTC(year, month + 1, schedule.dayOfMonth);
+    return { startDate: new Date(start), endDate: new Date(next - DAY_MS) };
+  }
+
+  const length = schedule.intervalDays * DAY_MS;
+  const start = schedule.anchorDate + Math.floor((day - schedule.anchorDate) / length) * length;
+  return { startDate: new Date(start), endDate: new Date(start + length - DAY_MS) };
+};
+
+// The period that follows another. Starting the day after keeps periods
+// contiguous even when the user changes their schedule.
+exports.nextPeriod = (schedule, period) => {
+  const startDate = new Date(startOfDay(period.endDate) + DAY_MS);
+  return { startDate, endDate: exports.periodContaining(schedule, startDate).endDate };
+};
+
+const scheduleRun = (user, schedule, period) => ScheduledPayrollRun.findOneAndUpdate(
+  { user: user._id, 'period.startDate': period.startDate },
+  { $setOnInsert: { frequency: schedule.frequency, 'period.endDate': period.endDate, status: 'scheduled' } },
+  { upsert: true, new: true }
+);
+
+const findExistingRecord = (run) => PayrollRecord.findOne(payrollGenerator.coveringRecordFilter(run.user, run.period));
+
+const findContract = (run) => PayContract.findOne({
+  user: run.user,
+  status: 'active',
+  effectiveFrom: { $lte: run.period.endDate },
+  $or: [{ effectiveTo: null }, { effectiveTo: { $gte: run.period.startDate } }]
+}).sort({ effectiveFrom: -1 });
+
+const skip = (run, reason, payrollRecord) => {
+  run.status = 'skipped';
+  run.reason = reason;
+  run.error = undefined;
+  run.payrollRecord = payrollRecord?._id;
+  run.completedAt = new Date();
+};
+
+const generateDraft = async (run) => {
+  run.attempts += 1;
+  run.lastAttemptAt = new Date();
+
+  try {
+    const [existing, contract] = await Promise.all([findExistingRecord(run), findContract(run)]);
+
+    if (existing) {
+      skip(run, 'A payroll record already covers this period', existing);
+    } else if (!contract) {
+      skip(run, 'No active pay contract for this period');
+    } else {
+      const payrollRecord = await payrollGenerator.buildPayrollRecord(run.user, {
+        startDate: run.period.startDate,
+        endDate: run.period.endDate,
+        contract,
+        type: 'salary'
+      });
+      payrollRecord.setAuditContext(null, 'Generated by the payroll scheduler');
+      await payrollRecord.saveWithAudit();
+
+      run.status = 'completed';
+      run.payrollRecord = payrollRecord._id;
+      run.error = undefined;
+      run.completedAt = new Date();
+    }
+  } catch (error) {
+    run.status = 'failed';
+    run.error = error.message;
+  }
+
+  await run.save();
+  return run;
+};
+
+// Schedule every period up to the current one and generate drafts for the
+// periods that have ended, including any missed while the process was down
+exports.processUser = async (user, now = new Date()) => {
+  const schedule = exports.normalizeSchedule(user.payroll?.paymentSchedule);
+  if (!schedule) return [];
+
+  const today = startOfDay(now);
+  let latest = await ScheduledPayrollRun.findOne({ user: user._id }).sort({ 'period.startDate': -1 });
+  if (!latest) {
+    latest = await scheduleRun(user, schedule, exports.periodContaining(schedule, now));
+  }
+  while (latest.period.endDate.getTime() < today) {
+    latest = await scheduleRun(user, schedule, exports.nextPeriod(schedule, latest.period));
+  }
+
+  const dueRuns = await ScheduledPayrollRun.find({
+    user: user._id,
+    status: { $in: ['scheduled', 'failed'] },
+    attempts: { $lt: MAX_ATTEMPTS },
+    'period.endDate': { $lt: new Date(today) }
+  }).sort({ 'period.startDate': 1 });
+
+  const processed = [];
+  for (const run of dueRuns) {
+    processed.push(await generateDraft(run));
+  }
+  return processed;
+};
+
+// Process every user with a payment schedule. One user's failure does not
+// stop the others; failures are returned for the job status.
+exports.runDuePayrolls = async (now = new Date()) => {
+  const users = await User.find({ 'payroll.paymentSchedule': { $exists: true, $ne: null } })
+    .select('payroll.paymentSchedule');
+
+  let processed = 0;
+  const failures = [];
+  for (const user of users) {
+    try {
+      processed += (await exports.processUser(user, now)).length;
+    } catch (error) {
+      failures.push({ user: user._id, error: error.message });
+    }
+  }
+  return { processed, failures };
+};
+
+const job = jobs.create('payrollScheduler', () => exports.runDuePayrolls());
+
+// Start the in-process scheduler. The first tick runs as soon as the database
+// is connected so that periods missed during downtime are caught up on startup.
+exports.start = (intervalMs = config.payrollScheduler?.intervalMs || 60 * 60 * 1000) => job.start(intervalMs);
+
+exports.stop = job.stop;
+
+exports.status = job.status;
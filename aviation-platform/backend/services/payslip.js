@@ -0,0 +1,133 @@
+const { renderPdf, PAGE_WIDTH, MARGIN } = require('./documents/pdf');
+const { renderCsv } = require('./documents/csv');
+const { renderXlsx, CONTENT_TYPE: XLSX_CONTENT_TYPE } = require('./documents/xlsx');
+const { APIError } = require('../middlewares/errorHandler');
+
+const AMOUNT_X = PAGE_WIDTH - MARGIN;
+const EARNINGS_CATEGORIES = ['base', 'overtime', 'allowances', 'bonuses'];
+const DEDUCTION_CATEGORIES = ['tax', 'insurance', 'pension', 'other'];
+
+const formatDate = (date) => (date ? new Date(date).toISOString().substr(0, 10) : '');
+const formatAmount = (amount) => Number(amount || 0).toFixed(2);
+const titleCase = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+const row = (label, value, options = {}) => ({
+  mono: true,
+  ...options,
+  segments: [
+    { text: label, x: MARGIN },
+    { text: value, x: AMOUNT_X, align: 'right' }
+  ]
+});
+
+// Payslip PDF rendered from a stored payroll record and its owner
+exports.renderPayslipPdf = (payrollRecord, user) => {
+  const { earnings, deductions, currency } = payrollRecord;
+  const lines = [
+    { text: 'Payslip', size: 18, bold: true },
+    { text: `${user.name || ''}${user.email ? ` <${user.email}>` : ''}`, gap: 6 },
+    { text: `Pay period: ${formatDate(payrollRecord.period.startDate)} to ${formatDate(payrollRecord.period.endDate)}` },
+    { text: `Payroll record: ${payrollRecord._id}` },
+    { text: `Type: ${titleCase(payrollRecord.type)}    Status: ${titleCase(payrollRecord.status)}` },
+    { text: `Flight hours: ${Number(payrollRecord.flightHours || 0).toFixed(1)}    Currency: ${currency}` },
+    { rule: true },
+    { text: 'Earnings', size: 12, bold: true, gap: 4 },
+    ...EARNINGS_CATEGORIES.map(category => row(titleCase(category), formatAmount(earnings[category]))),
+    row('Gross amount', formatAmount(payrollRecord.grossAmount), { bold: true })
+  ];
+
+  if (payrollRecord.lineItems?.length) {
+    lines.push({ text: 'Earnings breakdown', size: 12, bold: true, gap: 8 });
+    payrollRecord.lineItems.forEach((item) => {
+      const detail = item.quantity != null && item.rate != null
+        ? ` (${item.quantity} ${item.unit || ''} x ${formatAmount(item.rate)})`
+        : '';
+      lines.push(row(`${item.description}${detail}`, formatAmount(item.amount), { size: 9 }));
+    });
+  }
+
+  lines.push(
+    { text: 'Deductions', size: 12, bold: true, gap: 8 },
+    ...DEDUCTION_CATEGORIES.map(category => row(titleCase(category), formatAmount(deductions[category])))
+  );
+
+  if (payrollRecord.taxRules?.country) {
+    lines.push({ text: `Tax rules: ${payrollRecord.taxRules.country} v${payrollRecord.taxRules.version}`, size: 9 });
+  }
+
+  lines.push(
+    { rule: true },
+    row(`Net amount (${currency})`, formatAmount(payrollRecord.netAmount), { bold: true, size: 12 })
+  );
+
+  if (payrollRecord.payoutCurrency && payrollRecord.payoutCurrency !== currency) {
+    const { rate, asOf, source } = payrollRecord.exchangeRate || {};
+    lines.push(
+      row(`Paid out (${payrollRecord.payoutCurrency})`, formatAmount(payrollRecord.payoutAmount), { bold: true }),
+      { text: `Exchange rate ${currency}/${payrollRecord.payoutCurrency} ${rate} as of ${formatDate(asOf)} (${source})`, size: 9 }
+    );
+  }
+
+  if (payrollRecord.transactionId) {
+    lines.push({ text: `Payment reference: ${payrollRecord.transactionId}  Paid: ${formatDate(payrollRecord.paidAt)}`, size: 9, gap: 8 });
+  }
+
+  return renderPdf(lines, { title: `Payslip ${formatDate(payrollRecord.period.startDate)}` });
+};
+
+const EXPORT_COLUMNS = [
+  { header: 'Record ID', value: record => String(record._id) },
+  { header: 'User ID', value: record => String(record.user?._id || record.user) },
+  { header: 'Name', value: record => record.user?.name },
+  { header: 'Email', value: record => record.user?.email },
+  { header: 'Type', value: record => record.type },
+  { header: 'Status', value: record => record.status },
+  { header: 'Period Start', value: record => formatDate(record.period.startDate) },
+  { header: 'Period End', value: record => formatDate(record.period.endDate) },
+  { header: 'Flight Hours', value: record => record.flightHours },
+  { header: 'Currency', value: record => record.currency },
+  { header: 'Base', value: record => record.earnings.base },
+  { header: 'Overtime', value: record => record.earnings.overtime },
+  { header: 'Allowances', value: record => record.earnings.allowances },
+  { header: 'Bonuses', value: record => record.earnings.bonuses },
+  { header: 'Gross', value: record => record.grossAmount },
+  { header: 'Tax', value: record => record.deductions.tax },
+  { header: 'Insurance', value: record => record.deductions.insurance },
+  { header: 'Pension', value: record => record.deductions.pension },
+  { header: 'Other Deductions', value: record => record.deductions.other },
+  { header: 'Net', value: record => record.netAmount },
+  { header: 'Payout Currency', value: record => record.payoutCurrency },
+  { header: 'Exchange Rate', value: record => record.exchangeRate?.rate },
+  { header: 'Payout Amount', value: record => record.payoutAmount },
+  { header: 'Transaction ID', value: record => record.transactionId },
+  { header: 'Paid At', value: record => record.paidAt }
+];
+
+// Finance export of many payroll records, one row per record
+exports.renderPayrollCsv = (payrollRecords) => renderCsv(EXPORT_COLUMNS, payrollRecords);
+
+// The same export as a workbook
+exports.renderPayrollXlsx = (payrollRecords, sheetName) =>
+  renderXlsx(EXPORT_COLUMNS, payrollRecords, { sheetName });
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+// Finance export as a download named after its contents:
+// { fileName, contentType, content }
+exports.renderPayrollExport = (payrollRecords, format, baseName) => {
+  if (format === 'xlsx') {
+    return {
+      fileName: `${baseName}.xlsx`,
+      contentType: XLSX_CONTENT_TYPE,
+      content: exports.renderPayrollXlsx(payrollRecords, baseName)
+    };
+  }
+  if (format === 'csv') {
+    return {
+      fileName: `${baseName}.csv`,
+      contentType: 'text/csv; charset=utf-8',
+      content: exports.renderPayrollCsv(payrollRecords)
+    };
+  }
+  throw new APIError(`Unsupported format. Supported formats: ${EXPORT_FORMATS.join(', ')}`, 400);
+};
\ No newline at end of file
@@ -0,0 +1,148 @@
+const User = require('../models/userModel');
+const config = require('../config/config');
+const airports = require('./airports');
+const availabilityCalendar = require('./availability');
+const enrichment = require('./search/enrichment');
+
+const DEFAULT_RADIUS_KM = 100;
+
+const CANDIDATE_FIELDS = 'name role totalFlightHours aircraftTypes certifications languages baseAirport preferredLocations';
+
+// Status of a certification for the requisition: verified and valid through
+// the start of the position, or why not
+const certificationStatus = (candidate, name, validOn) => {
+  const matching = (candidate.certifications || []).filter(cert => cert.name === name);
+  if (matching.length === 0) return 'missing';
+
+  const verified = matching.filter(cert => cert.verificationStatus === 'verified');
+  if (verified.length === 0) return matching[0].verificationStatus || 'unverified';
+
+  const valid = verified.some(cert => !cert.expiryDate || new Date(cert.expiryDate) >= validOn);
+  return valid ? 'verified' : 'expired';
+};
+
+const nearestDistance = (center, candidate) => {
+  const distances = [candidate.baseAirport, ...(candidate.preferredLocations || [])]
+    .map(location => airports.findAirport(location))
+    .filter(Boolean)
+    .map(airport => airports.distanceKm(center, airport));
+  return distances.length > 0 ? Math.min(...distances) : null;
+};
+
+// Data shared by every candidate: the base airport, hours on the required
+// types and availability for the requisition dates
+const buildContext = async (requisition, candidateIds) => {
+  const designators = (requisition.typeHours || []).map(entry => entry.aircraftType);
+  const window = requisition.startDate
+    ? availabilityCalendar.parseWindow(requisition.startDate, requisition.endDate)
+    : null;
+
+  const [hours, coverage] = await Promise.all([
+    designators.length > 0 ? enrichment.hoursOnTypes(candidateIds, designators) : new Map(),
+    window ? availabilityCalendar.findCoverage(window) : new Map()
+  ]);
+
+  return {
+    hours,
+    coverage,
+    window,
+    center: requisition.base ? airports.findAirport(requisition.base) : null,
+    radiusKm: requisition.radiusKm || config.search?.defaultRadiusKm || DEFAULT_RADIUS_KM,
+    validOn: requisition.startDate ? new Date(requisition.startDate) : new Date()
+  };
+};
+
+// Pass/fail for each hard requirement. Failed requirements carry a gap
+// describing what is missing.
+exports.checkRequirements = (requisition, candidate, context) => {
+  const requirements = [];
+  const check = (requirement, required, actual, gap) => {
+    requirements.push({ requirement, passed: !gap, required, actual, ...(gap && { gap }) });
+  };
+
+  check('role', requisition.role, candidate.role,
+    candidate.role !== requisition.role ? { expected: requisition.role } : null);
+
+  (requisition.requiredCertifications || []).forEach((name) => {
+    const status = certificationStatus(candidate, name, context.validOn);
+    check(`certification:${name}`, 'verified', status,
+      status !== 'verified' ? { certification: name, status } : null);
+  });
+
+  if (requisition.minTotalHours > 0) {
+    const hours = candidate.totalFlightHours || 0;
+    check('totalFlightHours', requisition.minTotalHours, hours,
+      hours < requisition.minTotalHours ? { shortfallHours: requisition.minTotalHours - hours } : null);
+  }
+
+  const candidateHours = context.hours.get(String(candidate._id))?.hoursByType || {};
+  (requisition.typeHours || []).forEach(({ aircraftType, minHours }) => {
+    const hours = candidateHours[aircraftType] || 0;
+    const qualified = (candidate.aircraftTypes || []).includes(aircraftType) || hours > 0;
+    const shortfall = Math.max(minHours - hours, 0);
+    check(`typeHours:${aircraftType}`, minHours, hours,
+      !qualified || shortfall > 0 ? { aircraftType, shortfallHours: shortfall, typeRated: qualified } : null);
+  });
+
+  const spoken = (candidate.languages || []).map(entry => entry.language);
+  (requisition.languages || []).forEach((language) => {
+    check(`language:${language}`, language, spoken.includes(language) ? language : null,
+      spoken.includes(language) ? null : { language });
+  });
+
+  if (context.center) {
+    const distance = nearestDistance(context.center, candidate);
+    const tooFar = distance === null || distance > context.radiusKm;
+    check('base', { base: requisition.base, radiusKm: context.radiusKm },
+      { distanceKm: distance === null ? null : Math.round(distance) },
+      tooFar ? { excessKm: distance === null ? null : Math.round(distance - context.radiusKm) } : null);
+  }
+
+  if (context.window) {
+    const summary = context.coverage.get(String(candidate._id));
+    const totalDays = summary ? summary.totalDays : availabilityCalendar.summarize([], context.window).totalDays;
+    const availableDays = summary ? summary.availableDays : 0;
+    check('availability', { ...context.window, days: totalDays }, { availableDays },
+      availableDays < totalDays ? { unavailableDays: totalDays - availableDays } : null);
+  }
+
+  return requirements;
+};
+
+// Rank candidates for a requisition. Those meeting every hard requirement
+// come first, then near misses by number of gaps; within each group, more
+// preferred certifications, better availability and more hours rank higher.
+// maxGaps sets how many failed requirements a near miss may have.
+exports.shortlist = async (requisition, { maxGaps = 0 } = {}) => {
+  const candidates = await User.find({ role: requisition.role })
+    .select(CANDIDATE_FIELDS)
+    .lean();
+
+  const context = await buildContext(requisition, candidates.map(candidate => candidate._id));
+
+  return candidates
+    .map((candidate) => {
+      const requirements = exports.checkRequirements(requisition, candidate, context);
+      const gaps = requirements.filter(requirement => !requirement.passed);
+      const preferred = (requisition.preferredCertifications || []).map(name => ({
+        certification: name,
+        held: certificationStatus(candidate, name, context.validOn) === 'verified'
+      }));
+
+      return {
+        professional: candidate,
+        meetsRequirements: gaps.length === 0,
+        gapCount: gaps.length,
+        requirements,
+        gaps: gaps.map(({ requirement, gap }) => ({ requirement, ...gap })),
+        preferredCertifications: preferred,
+        preferredMatched: preferred.filter(entry => entry.held).length,
+        availability: context.coverage.get(String(candidate._id))?.overlap || 0
+      };
+    })
+    .filter(entry => entry.gapCount <= maxGaps)
+    .sort((a, b) => a.gapCount - b.gapCount ||
+      b.preferredMatched - a.preferredMatched ||
+      b.availability - a.availability ||
+      (b.professional.totalFlightHours || 0) - (a.professional.totalFlightHours || 0));
+};
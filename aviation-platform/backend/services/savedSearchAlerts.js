@@ -0,0 +1,81 @@
+const SavedSearch = require('../models/savedSearchModel');
+const config = require('../config/config');
+const jobs = require('./jobs');
+const professionalSearch = require('./search/professionalSearch');
+const notifications = require('./notifications');
+
+// Unseen matches kept per saved search
+const MAX_NEW_MATCHES = 500;
+const DEFAULT_MAX_NOTIFIED_IDS = 5000;
+
+// Re-run a saved search and record everyone who matches now and has not been
+// notified about yet. Notified ids that no longer match are dropped, so a
+// professional who matches again later is a new match. The list is bounded:
+// once it is full, further matches wait until earlier ones stop matching.
+// The first run only records who matches. Unseen matches are not listed twice.
+exports.evaluate = async (savedSearch, now = new Date()) => {
+  const maxNotifiedIds = config.savedSearches?.maxNotifiedIds || DEFAULT_MAX_NOTIFIED_IDS;
+  const unseen = savedSearch.newMatches.filter(match => !match.seenAt);
+  const listed = new Set(unseen.map(match => String(match.user)));
+  const notified = new Set((savedSearch.notifiedIds || []).map(String));
+
+  const matching = await professionalSearch.findMatchingIds(Object.fromEntries(savedSearch.filters));
+  const stillNotified = matching.filter(id => notified.has(id));
+  const fresh = matching
+    .filter(id => !notified.has(id))
+    .slice(0, Math.max(maxNotifiedIds - stillNotified.length, 0));
+  const added = savedSearch.lastRunAt ? fresh.filter(id => !listed.has(id)) : [];
+
+  savedSearch.notifiedIds = [...stillNotified, ...fresh].slice(0, maxNotifiedIds);
+  savedSearch.newMatches = [
+    ...unseen,
+    ...added.map(user => ({ user, matchedAt: now }))
+  ].slice(-MAX_NEW_MATCHES);
+  savedSearch.lastRunAt = now;
+  savedSearch.lastError = undefined;
+  await savedSearch.save();
+
+  if (added.length > 0) {
+    notifications.notifyInBackground(savedSearch.user, notifications.EVENTS.SAVED_SEARCH_MATCHES, {
+      savedSearchId: String(savedSearch._id),
+      search: savedSearch.name,
+      count: added.length,
+      users: added
+    }, {
+      dedupeKey: `${notifications.EVENTS.SAVED_SEARCH_MATCHES}:${savedSearch._id}:${now.toISOString()}`,
+      webhookUrl: savedSearch.alerts.webhookUrl
+    });
+  }
+
+  return added;
+};
+
+// Evaluate every saved search with alerts on, oldest run first. A failing
+// search records its error and the rest still run.
+exports.runAlerts = async (now = new Date()) => {
+  const savedSearches = await SavedSearch.find({ 'alerts.enabled': true })
+    .select('+notifiedIds')
+    .sort({ lastRunAt: 1 });
+
+  let failed = 0;
+  for (const savedSearch of savedSearches) {
+    try {
+      await exports.evaluate(savedSearch, now);
+    } catch (error) {
+      failed += 1;
+      // Recording the error must not stop the remaining searches
+      await SavedSearch.updateOne({ _id: savedSearch._id }, { $set: { lastError: error.message } })
+        .catch(() => {});
+    }
+  }
+  return { evaluated: savedSearches.length, failed };
+};
+
+const job = jobs.create('savedSearchAlerts', () => exports.runAlerts());
+
+// Start the background job that re-evaluates saved searches
+exports.start = (intervalMs = config.savedSearches?.intervalMs || 60 * 60 * 1000) => job.start(intervalMs);
+
+exports.stop = job.stop;
+
+exports.status = job.status;
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const WorkHistory = require('../../models/workHistoryModel');
+
+const toObjectIds = (ids) => ids.map(id => new mongoose.Types.ObjectId(String(id)));
+
+// Most recent employer and position per user, in one aggregation
+exports.recentPositions = async (userIds) => {
+  if (userIds.length === 0) return new Map();
+
+  const rows = await WorkHistory.aggregate([
+    { $match: { user: { $in: toObjectIds(userIds) } } },
+    { $sort: { 'period.startDate': -1 } },
+    {
+      $group: {
+        _id: '$user',
+        recentEmployer: { $first: '$employer.name' },
+        currentPosition: { $first: '$position.title' }
+      }
+    }
+  ]);
+
+  return new Map(rows.map(row => [String(row._id), {
+    recentEmployer: row.recentEmployer || null,
+    currentPosition: row.currentPosition || null
+  }]));
+};
+
+// Logged hours per user on the given aircraft types, in one aggregation
+exports.hoursOnTypes = async (userIds, designators) => {
+  if (userIds.length === 0) return new Map();
+
+  const rows = await WorkHistory.aggregate([
+    {
+      $match: {
+        user: { $in: toObjectIds(userIds) },
+        'flightRecords.aircraftTypes.aircraft': { $in: designators }
+      }
+    },
+    { $unwind: '$flightRecords.aircraftTypes' },
+    { $match: { 'flightRecords.aircraftTypes.aircraft': { $in: designators } } },
+    {
+      $group: {
+        _id: { user: '$user', aircraft: '$flightRecords.aircraftTypes.aircraft' },
+        hours: { $sum: { $ifNull: ['$flightRecords.aircraftTypes.hours', 0] } }
+      }
+    }
+  ]);
+
+  const hours = new Map();
+  rows.forEach(({ _id, hours: typeHours }) => {
+    const id = String(_id.user);
+    const entry = hours.get(id) || { aircraftTypeHours: 0, hoursByType: {} };
+    entry.aircraftTypeHours += typeHours;
+    entry.hoursByType[_id.aircraft] = typeHours;
+    hours.set(id, entry);
+  });
+  return hours;
+};
@@ -0,0 +1,89 @@
+const User = require('../../models/userModel');
+const { toMatchStage } = require('./professionalSearch');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Flight-hour bucket lower bounds; the last bucket is open-ended
+const FLIGHT_HOUR_BOUNDARIES = [0, 500, 1000, 2500, 5000, 10000];
+
+// Count distinct professionals per value of an array field. valuePath picks
+// a property of array elements, e.g. certifications.name.
+const countPerValue = (arrayPath, { valuePath = arrayPath, filter, limit }) => [
+  { $unwind: `$${arrayPath}` },
+  ...(filter ? [{ $match: filter }] : []),
+  { $group: { _id: { value: `$${valuePath}`, user: '$_id' } } },
+  { $group: { _id: '$_id.value', count: { $sum: 1 } } },
+  { $match: { _id: { $nin: [null, ''] } } },
+  { $sort: { count: -1, _id: 1 } },
+  { $limit: limit }
+];
+
+const bucketLabel = (lower) => {
+  const index = FLIGHT_HOUR_BOUNDARIES.indexOf(lower);
+  const upper = FLIGHT_HOUR_BOUNDARIES[index + 1];
+  return upper ? `${lower}-${upper}` : `${lower}+`;
+};
+
+// Values listed per facet for the facetLimit parameter. Missing or invalid
+// values fall back to the default, as result limits do.
+exports.parseLimit = (limit) => Math.min(Math.max(parseInt(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+// Facet counts over everyone matching the query, e.g. to render "A320 (42)"
+// drill-downs next to the results
+exports.computeFacets = async (query, { limit = DEFAULT_LIMIT } = {}) => {
+  const [facets] = await User.aggregate([
+    toMatchStage(query),
+    {
+      $facet: {
+        role: [
+          { $group: { _id: '$role', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } }
+        ],
+        aircraftType: countPerValue('aircraftTypes', { limit }),
+        certification: countPerValue('certifications', {
+          valuePath: 'certifications.name',
+          filter: { 'certifications.verificationStatus': 'verified' },
+          limit
+        }),
+        language: countPerValue('languages', { valuePath: 'languages.language', limit }),
+        location: [
+          {
+            $project: {
+              locations: {
+                $setUnion: [
+                  { $ifNull: ['$preferredLocations', []] },
+                  { $cond: [{ $ifNull: ['$baseAirport', false] }, ['$baseAirport'], []] }
+                ]
+              }
+            }
+          },
+          ...countPerValue('locations', { limit })
+        ],
+        flightHours: [
+          {
+            $bucket: {
+              groupBy: { $ifNull: ['$totalFlightHours', 0] },
+              boundaries: [...FLIGHT_HOUR_BOUNDARIES, Number.MAX_SAFE_INTEGER],
+              default: 'other',
+              output: { count: { $sum: 1 } }
+            }
+          }
+        ]
+      }
+    }
+  ]);
+
+  const toEntries = entries => entries.map(({ _id, count }) => ({ value: _id, count }));
+
+  return {
+    role: toEntries(facets.role),
+    aircraftType: toEntries(facets.aircraftType),
+    certification: toEntries(facets.certification),
+    language: toEntries(facets.language),
+    location: toEntries(facets.location),
+    flightHours: facets.flightHours
+      .filter(bucket => bucket._id !== 'other')
+      .map(bucket => ({ value: bucketLabel(bucket._id), min: bucket._id, count: bucket.count }))
+  };
+};
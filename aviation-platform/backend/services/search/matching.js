@@ -0,0 +1,244 @@
+const User = require('../../models/userModel');
+const config = require('../../config/config');
+const { APIError } = require('../../middlewares/errorHandler');
+const airports = require('../airports');
+const availabilityCalendar = require('../availability');
+const enrichment = require('./enrichment');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RADIUS_KM = 500;
+const DEFAULT_WINDOW_DAYS = 30;
+
+// Dimensions a candidate is scored on, each from 0 to 1, with their default weights
+const DEFAULT_WEIGHTS = {
+  skills: 0.2,
+  typeRatings: 0.2,
+  typeHours: 0.15,
+  certifications: 0.15,
+  languages: 0.05,
+  location: 0.1,
+  availability: 0.1,
+  role: 0.05
+};
+const DIMENSIONS = Object.keys(DEFAULT_WEIGHTS);
+
+const CANDIDATE_FIELDS = 'role skills aircraftTypes certifications languages baseAirport preferredLocations';
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+// Weights from "skills:2,location:0.5" or an object; unknown dimensions and
+// negative weights are rejected
+exports.parseWeights = (input) => {
+  if (!input) return {};
+
+  const entries = typeof input === 'string'
+    ? input.split(',').map(pair => pair.split(':').map(part => part.trim()))
+    : Object.entries(input instanceof Map ? Object.fromEntries(input) : input);
+
+  return entries.reduce((weights, [dimension, value]) => {
+    if (!DIMENSIONS.includes(dimension)) {
+      throw new APIError(`Unknown matching dimension: ${dimension}. Supported dimensions: ${DIMENSIONS.join(', ')}`, 400);
+    }
+    const weight = Number(value);
+    if (value === undefined || value === '' || !(weight >= 0)) {
+      throw new APIError(`Weight for ${dimension} must be a non-negative number`, 400);
+    }
+    return { ...weights, [dimension]: weight };
+  }, {});
+};
+
+// Defaults, then configured weights, then each layer in turn
+exports.resolveWeights = (...layers) => Object.assign(
+  {},
+  DEFAULT_WEIGHTS,
+  config.matching?.weights,
+  ...layers.map(exports.parseWeights)
+);
+
+// Share of the wanted values the candidate offers, or null when nothing is wanted
+const coverageOf = (wanted, offered) => {
+  const wantedSet = [...new Set(wanted.filter(Boolean))];
+  if (wantedSet.length === 0) return null;
+
+  const offeredSet = new Set(offered);
+  const matched = wantedSet.filter(value => offeredSet.has(value));
+  return { score: matched.length / wantedSet.length, matched, missing: wantedSet.filter(value => !offeredSet.has(value)) };
+};
+
+const locationsOf = (professional) => [professional.baseAirport, ...(professional.preferredLocations || [])]
+  .filter(Boolean);
+
+const airportsOf = (professional) => locationsOf(professional)
+  .map(location => airports.findAirport(location))
+  .filter(Boolean);
+
+const certificationNames = (professional, verifiedOnly) => (professional.certifications || [])
+  .filter(cert => !verifiedOnly || cert.verificationStatus === 'verified')
+  .map(cert => cert.name);
+
+const languageNames = (professional) => (professional.languages || []).map(entry => entry.language);
+
+// Scorers return { score, ...details }, or null when the source profile gives
+// nothing to compare against. Null dimensions drop out of the weighting.
+const SCORERS = {
+  skills: (source, candidate) => coverageOf(source.skills || [], candidate.skills || []),
+
+  typeRatings: (source, candidate) => coverageOf(source.aircraftTypes || [], candidate.aircraftTypes || []),
+
+  // Hours on the source's types, each capped at the source's own hours
+  typeHours: (source, candidate, context) => {
+    const wanted = context.sourceHours.hoursByType;
+    const wantedTotal = context.sourceHours.aircraftTypeHours;
+    if (!(wantedTotal > 0)) return null;
+
+    const offered = context.hours.get(String(candidate._id))?.hoursByType || {};
+    const credited = Object.entries(wanted)
+      .reduce((sum, [type, hours]) => sum + Math.min(offered[type] || 0, hours), 0);
+    return { score: credited / wantedTotal, hoursByType: offered };
+  },
+
+  // Only verified certifications count for the candidate
+  certifications: (source, candidate) => coverageOf(
+    certificationNames(source, false),
+    certificationNames(candidate, true)
+  ),
+
+  languages: (source, candidate) => coverageOf(languageNames(source), languageNames(candidate)),
+
+  // Falls off linearly with the distance between the nearest pair of
+  // locations; names that are not known airports only match exactly
+  location: (source, candidate, context) => {
+    const sourceLocations = locationsOf(source);
+    if (sourceLocations.length === 0) return null;
+
+    const candidateAirports = airportsOf(candidate);
+    const distances = context.sourceAirports.flatMap(origin => candidateAirports
+      .map(airport => airports.distanceKm(origin, airport)));
+
+    if (distances.length > 0) {
+      const distanceKm = Math.min(...distances);
+      return { score: Math.max(0, 1 - distanceKm / context.radiusKm), distanceKm: Math.round(distanceKm) };
+    }
+
+    const shared = locationsOf(candidate).some(location => sourceLocations.includes(location));
+    return { score: shared ? 1 : 0, distanceKm: null };
+  },
+
+  availability: (source, candidate, context) => {
+    const summary = context.coverage.get(String(candidate._id));
+    return { score: summary ? summary.overlap : 0, availableDays: summary ? summary.availableDays : 0 };
+  },
+
+  role: (source, candidate) => (source.role
+    ? { score: candidate.role === source.role ? 1 : 0 }
+    : null)
+};
+
+// Weighted score plus a per-dimension breakdown of how it was reached
+exports.scoreCandidate = (source, candidate, weights, context) => {
+  let weighted = 0;
+  let totalWeight = 0;
+  const explanation = {};
+
+  DIMENSIONS.forEach((dimension) => {
+    const weight = weights[dimension];
+    const result = weight > 0 ? SCORERS[dimension](source, candidate, context) : null;
+
+    if (!result) {
+      explanation[dimension] = { weight, score: null, applicable: false };
+      return;
+    }
+
+    const { score, ...details } = result;
+    weighted += weight * score;
+    totalWeight += weight;
+    explanation[dimension] = { weight, score: round(score), applicable: true, ...details };
+  });
+
+  // Contributions are shares of the final score, so they add up to it
+  DIMENSIONS.forEach((dimension) => {
+    const entry = explanation[dimension];
+    entry.contribution = entry.applicable && totalWeight > 0
+      ? round(entry.weight * entry.score / totalWeight)
+      : 0;
+  });
+
+  return { score: totalWeight > 0 ? round(weighted / totalWeight) : 0, explanation };
+};
+
+// Candidates worth scoring. Dimensions that carry weight narrow the query
+// first: the source's role, a location within the radius of the source's
+// locations and some availability in the window.
+const candidateQuery = (source, weights, { radiusKm, sourceAirports, coverage }) => {
+  const query = { _id: { $ne: source._id } };
+
+  if (weights.role > 0 && source.role) query.role = source.role;
+
+  const sourceLocations = locationsOf(source);
+  if (weights.location > 0 && sourceLocations.length > 0) {
+    const nearby = sourceAirports.flatMap(origin => airports.airportsNear(origin, radiusKm)
+      .map(({ airport }) => airport));
+    // Names that are not known airports still match exactly
+    const keys = [...new Set([...airports.locationKeys(nearby), ...sourceLocations])];
+    query.$or = [{ baseAirport: { $in: keys } }, { preferredLocations: { $in: keys } }];
+  }
+
+  if (weights.availability > 0) {
+    query._id = { $in: [...coverage.keys()].filter(id => id !== String(source._id)) };
+  }
+
+  return query;
+};
+
+// Score the other professionals that pass candidateQuery against the
+// source profile, best first
+exports.rankSimilar = async (source, options = {}) => {
+  const {
+    weights = exports.resolveWeights(),
+    radiusKm = config.matching?.defaultRadiusKm || DEFAULT_RADIUS_KM,
+    availableFrom,
+    availableTo,
+    includeStandby = false,
+    minScore = 0
+  } = options;
+
+  const window = availableFrom
+    ? availabilityCalendar.parseWindow(availableFrom, availableTo)
+    : availabilityCalendar.parseWindow(new Date(), new Date(Date.now() + (DEFAULT_WINDOW_DAYS - 1) * DAY_MS));
+
+  const sourceAirports = airportsOf(source);
+  const coverage = weights.availability > 0
+    ? await availabilityCalendar.findCoverage(window, { includeStandby })
+    : new Map();
+
+  const candidates = await User.find(candidateQuery(source, weights, { radiusKm, sourceAirports, coverage }))
+    .select(CANDIDATE_FIELDS)
+    .lean();
+
+  const sourceTypes = source.aircraftTypes || [];
+  const candidateIds = candidates.map(candidate => candidate._id);
+  const [sourceHours, hours] = await Promise.all([
+    weights.typeHours > 0 && sourceTypes.length > 0
+      ? enrichment.hoursOnTypes([source._id], sourceTypes)
+      : new Map(),
+    weights.typeHours > 0 && sourceTypes.length > 0
+      ? enrichment.hoursOnTypes(candidateIds, sourceTypes)
+      : new Map()
+  ]);
+
+  const context = {
+    sourceHours: sourceHours.get(String(source._id)) || { aircraftTypeHours: 0, hoursByType: {} },
+    hours,
+    coverage,
+    radiusKm,
+    sourceAirports
+  };
+
+  return candidates
+    .map(candidate => ({ id: String(candidate._id), ...exports.scoreCandidate(source, candidate, weights, context) }))
+    .filter(match => match.score > 0 && match.score >= minScore)
+    .sort((a, b) => b.score - a.score || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+};
+
+exports.DIMENSIONS = DIMENSIONS;
+exports.DEFAULT_WEIGHTS = DEFAULT_WEIGHTS;
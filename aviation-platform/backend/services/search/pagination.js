@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const { APIError } = require('../../middlewares/errorHandler');
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+exports.parseLimit = (limit) => Math.min(Math.max(parseInt(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+// Cursors are opaque to clients: base64url JSON holding the sort they were
+// issued for and the sort value and id of the last result on the page
+const encodeCursor = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+exports.decodeCursor = (cursor, sort) => {
+  if (!cursor) return null;
+
+  let payload = null;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    payload = null;
+  }
+
+  if (!payload || payload.sort !== sort || !mongoose.Types.ObjectId.isValid(payload.id)) {
+    throw new APIError('Invalid cursor for this search', 400);
+  }
+  if (payload.date) payload.value = new Date(payload.value);
+  return payload;
+};
+
+// Condition for documents after the cursor in (field, _id) order. Missing
+// values sort first ascending and last descending, as MongoDB sorts them.
+exports.afterCursor = (field, direction, cursor) => {
+  if (!cursor) return {};
+
+  const id = new mongoose.Types.ObjectId(cursor.id);
+  const op = direction === -1 ? '$lt' : '$gt';
+
+  if (cursor.value === null) {
+    return direction === -1
+      ? { [field]: null, _id: { $lt: id } }
+      : { $or: [{ [field]: null, _id: { $gt: id } }, { [field]: { $ne: null } }] };
+  }
+
+  return {
+    $or: [
+      { [field]: { [op]: cursor.value } },
+      { [field]: cursor.value, _id: { [op]: id } },
+      ...(direction === -1 ? [{ [field]: null }] : [])
+    ]
+  };
+};
+
+// Trim a page fetched with limit + 1 rows and issue the cursor for the next one
+exports.finishPage = (rows, limit, sort, field) => {
+  const hasMore = rows.length > limit;
+  const page = rows.slice(0, limit);
+  const last = page[page.length - 1];
+  if (!hasMore || !last) return { page, nextCursor: null };
+
+  const value = field.split('.').reduce((current, part) => current?.[part], last) ?? null;
+  return {
+    page,
+    nextCursor: encodeCursor({
+      sort,
+      value: value instanceof Date ? value.toISOString() : value,
+      ...(value instanceof Date && { date: true }),
+      id: String(last._id)
+    })
+  };
+};
+
+// Page through ids ranked in memory, given as [{ id, key }] sorted by key then id
+exports.pageRanked = (ranked, limit, sort, cursor) => {
+  let start = 0;
+  if (cursor) {
+    start = ranked.findIndex(entry => entry.key > cursor.value ||
+      (entry.key === cursor.value && entry.id > cursor.id));
+    if (start === -1) start = ranked.length;
+  }
+
+  const page = ranked.slice(start, start + limit);
+  const last = page[page.length - 1];
+  return {
+    ids: page.map(entry => entry.id),
+    nextCursor: start + limit < ranked.length && last
+      ? encodeCursor({ sort, value: last.key, id: last.id })
+      : null
+  };
+};
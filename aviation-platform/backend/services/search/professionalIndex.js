@@ -0,0 +1,178 @@
+const User = require('../../models/userModel');
+const config = require('../../config/config');
+const { tokenize, editDistance } = require('./text');
+const aircraftCatalog = require('../aircraftCatalog');
+
+// Indexed profile fields and how much a hit in each counts
+const FIELDS = [
+  { name: 'name', weight: 3, values: user => [user.name] },
+  { name: 'aircraftTypes', weight: 3, values: user => user.aircraftTypes },
+  { name: 'certifications', weight: 2.5, values: user => (user.certifications || []).map(cert => cert.name) },
+  { name: 'skills', weight: 2, values: user => user.skills },
+  { name: 'role', weight: 2, values: user => [user.role] },
+  { name: 'languages', weight: 1.5, values: user => (user.languages || []).map(language => language.language) },
+  { name: 'preferredLocations', weight: 1.5, values: user => user.preferredLocations },
+  { name: 'bio', weight: 1, values: user => [user.bio] }
+];
+
+const SELECT = 'name aircraftTypes certifications.name skills role languages.language preferredLocations bio';
+
+// Aircraft designators are indexed as their own terms so every alias of a type matches
+const DESIGNATOR_PREFIX = '@';
+
+// Score factors for inexact hits on a word
+const PREFIX_FACTOR = 0.8;
+const FUZZY_FACTORS = [1, 0.6, 0.4];
+
+const DEFAULT_TTL_MS = 5 * 60 * 1000;
+
+// In-memory inverted index: term -> Map(userId -> weight)
+let index = null;
+let builtAt = 0;
+let building = null;
+
+const createIndex = () => ({ postings: new Map(), documentCount: 0 });
+
+const addTerm = (target, term, id, weight) => {
+  if (!target.postings.has(term)) target.postings.set(term, new Map());
+  const documents = target.postings.get(term);
+  documents.set(id, (documents.get(id) || 0) + weight);
+};
+
+const addUser = (target, user) => {
+  const id = String(user._id);
+  target.documentCount += 1;
+
+  FIELDS.forEach(({ weight, values }) => {
+    (values(user) || []).filter(Boolean).forEach((value) => {
+      const tokens = tokenize(value);
+      new Set(tokens).forEach(token => addTerm(target, token, id, weight));
+      new Set(aircraftCatalog.findDesignators(tokens).map(match => match.designator))
+        .forEach(designator => addTerm(target, DESIGNATOR_PREFIX + designator.toLowerCase(), id, weight));
+    });
+  });
+};
+
+const build = async () => {
+  await aircraftCatalog.load();
+
+  const next = createIndex();
+  const cursor = User.find().select(SELECT).lean().cursor();
+  for await (const user of cursor) {
+    addUser(next, user);
+  }
+
+  index = next;
+  builtAt = Date.now();
+  return index;
+};
+
+const ensureIndex = async () => {
+  const ttl = config.search?.indexTtlMs || DEFAULT_TTL_MS;
+  if (index && Date.now() - builtAt < ttl) return index;
+
+  // Concurrent searches share a single rebuild
+  if (!building) {
+    building = build().finally(() => {
+      building = null;
+    });
+  }
+  return building;
+};
+
+const inverseFrequency = (target, term) =>
+  Math.log(1 + target.documentCount / target.postings.get(term).size);
+
+// Index terms a query word can match, with the factor each hit is worth
+const expandWord = (target, word) => {
+  const maxEdits = word.length >= 8 ? 2 : word.length >= 4 ? 1 : 0;
+  const expansions = [];
+
+  target.postings.forEach((_, term) => {
+    if (term.startsWith(DESIGNATOR_PREFIX)) return;
+
+    if (term === word) {
+      expansions.push({ term, factor: 1 });
+    } else if (word.length >= 3 && term.startsWith(word)) {
+      expansions.push({ term, factor: PREFIX_FACTOR });
+    } else if (maxEdits > 0) {
+      const distance = editDistance(word, term, maxEdits);
+      if (distance <= maxEdits) expansions.push({ term, factor: FUZZY_FACTORS[distance] });
+    }
+  });
+
+  return expansions;
+};
+
+// Split a query into clauses: aircraft types it names, then the remaining words
+const parseQuery = (q) => {
+  const tokens = tokenize(q);
+  const designators = aircraftCatalog.findDesignators(tokens);
+  const covered = new Set(designators.flatMap(match =>
+    Array.from({ length: match.end - match.start }, (_, offset) => match.start + offset)));
+
+  return [
+    ...[...new Set(designators.map(match => match.designator))].map(designator => ({
+      clause: designator,
+      expansions: [{ term: DESIGNATOR_PREFIX + designator.toLowerCase(), factor: 1 }]
+    })),
+    ...[...new Set(tokens.filter((_, position) => !covered.has(position)))].map(word => ({
+      clause: word,
+      word
+    }))
+  ];
+};
+
+// Rank users against a free-text query. Short queries must match every clause;
+// longer ones must match three quarters of them. Returns { matches, total,
+// capped } with matches as [{ id, score, matched }], best first. Every match is
+// returned unless config.search.maxResults caps it, in which case capped says so.
+exports.search = async (q, { limit = config.search?.maxResults } = {}) => {
+  const target = await ensureIndex();
+  const clauses = parseQuery(q);
+  if (clauses.length === 0) return { matches: [], total: 0, capped: false };
+
+  const results = new Map();
+  clauses.forEach(({ clause, word, expansions }) => {
+    // Best hit per user for this clause
+    const best = new Map();
+    (expansions || expandWord(target, word))
+      .filter(({ term }) => target.postings.has(term))
+      .forEach(({ term, factor }) => {
+        const idf = inverseFrequency(target, term);
+        target.postings.get(term).forEach((weight, id) => {
+          const score = weight * factor * idf;
+          if (score > (best.get(id) || 0)) best.set(id, score);
+        });
+      });
+
+    best.forEach((score, id) => {
+      const result = results.get(id) || { id, score: 0, matched: [] };
+      result.score += score;
+      result.matched.push(clause);
+      results.set(id, result);
+    });
+  });
+
+  const required = clauses.length <= 2 ? clauses.length : Math.ceil(clauses.length * 0.75);
+
+  const matches = [...results.values()]
+    .filter(result => result.matched.length >= required)
+    .map(result => ({
+      ...result,
+      score: Math.round(result.score * (result.matched.length / clauses.length) * 1000) / 1000
+    }))
+    .sort((a, b) => b.score - a.score);
+
+  const capped = limit > 0 && matches.length > limit;
+  return {
+    matches: capped ? matches.slice(0, limit) : matches,
+    total: matches.length,
+    capped
+  };
+};
+
+// Force a rebuild on the next search, e.g. after bulk profile changes
+exports.invalidate = () => {
+  builtAt = 0;
+};
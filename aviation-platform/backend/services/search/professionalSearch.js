@@ -0,0 +1,324 @@
+const mongoose = require('mongoose');
+const User = require('../../models/userModel');
+const config = require('../../config/config');
+const { APIError } = require('../../middlewares/errorHandler');
+const professionalIndex = require('./professionalIndex');
+const aircraftCatalog = require('../aircraftCatalog');
+const airports = require('../airports');
+const availabilityCalendar = require('../availability');
+const ftl = require('../ftl');
+
+const DEFAULT_RADIUS_KM = 100;
+
+// Query parameters that define which professionals match; saved searches store these
+const FILTERS = [
+  'q', 'role', 'experience', 'experienceRole', 'experienceAircraftType', 'skills', 'aircraftTypes', 'languages', 'certifications',
+  'location', 'near', 'radiusKm', 'country', 'region',
+  'availability', 'availableFrom', 'availableTo', 'availabilityMatch', 'minOverlap', 'includeStandby',
+  'minFlightHours', 'verifiedHoursOnly', 'currentOnType', 'nightCurrent', 'instrumentCurrent',
+  'ftlBlockHours', 'ftlStart', 'ftlRuleSet'
+];
+
+// Narrow the query to a set of user ids, keeping any earlier restriction
+const restrictToIds = (query, ids) => {
+  const allowed = query._id ? new Set(query._id.$in.map(String)) : null;
+  query._id = { $in: allowed ? ids.filter(id => allowed.has(id)) : ids };
+};
+
+// Distance from an airport to the nearest of a profile's base and preferred locations
+const distanceFrom = (center, professional) => {
+  const distances = [professional.baseAirport, ...(professional.preferredLocations || [])]
+    .map(location => airports.findAirport(location))
+    .filter(Boolean)
+    .map(airport => airports.distanceKm(center, airport));
+  return distances.length > 0 ? Math.min(...distances) : null;
+};
+
+// Translate search parameters into a User query plus the per-user data that
+// ranking and results need: relevance scores, the distance center and
+// availability coverage. textMatches reports how many users the free-text
+// search matched and whether config.search.maxResults cut that list short.
+exports.buildSearch = async (params) => {
+  const {
+    q,
+    role,
+    experience,
+    experienceRole,
+    experienceAircraftType,
+    skills,
+    aircraftTypes,
+    languages,
+    certifications,
+    location,
+    near,
+    radiusKm,
+    country,
+    region,
+    availability,
+    availableFrom,
+    availableTo,
+    availabilityMatch = 'full',
+    minOverlap,
+    includeStandby,
+    minFlightHours,
+    verifiedHoursOnly,
+    currentOnType,
+    nightCurrent,
+    instrumentCurrent,
+    ftlBlockHours,
+    ftlStart,
+    ftlRuleSet
+  } = params;
+
+  // Build query
+  const query = {};
+
+  // Basic filters
+  if (role) query.role = role;
+  // Employer-verified hours only, when asked
+  if (minFlightHours) {
+    query[verifiedHoursOnly === 'true' ? 'verifiedFlightHours' : 'totalFlightHours'] = { $gte: Number(minFlightHours) };
+  }
+
+  // Array filters
+  if (skills) query.skills = { $in: skills.split(',') };
+  if (aircraftTypes) {
+    await aircraftCatalog.load();
+    query.aircraftTypes = { $in: aircraftTypes.split(',').map(aircraftCatalog.normalizeName) };
+  }
+  if (languages) query['languages.language'] = { $in: languages.split(',') };
+
+  // Certification filter
+  if (certifications) {
+    query['certifications.name'] = { $in: certifications.split(',') };
+    query['certifications.verificationStatus'] = 'verified';
+  }
+
+  // Experience filter (in years), from the summary kept on each profile.
+  // With experienceRole or experienceAircraftType the years must be in that
+  // role or on that type.
+  if (experience) {
+    const years = Number(experience);
+    if (!(years >= 0)) {
+      throw new APIError('experience must be a number of years', 400);
+    }
+    if (experienceRole) {
+      query['experience.byRole'] = { $elemMatch: { role: experienceRole, years: { $gte: years } } };
+    }
+    if (experienceAircraftType) {
+      await aircraftCatalog.load();
+      query['experience.byAircraftType'] = {
+        $elemMatch: { aircraftType: aircraftCatalog.normalizeName(experienceAircraftType), years: { $gte: years } }
+      };
+    }
+    if (!experienceRole && !experienceAircraftType) {
+      query['experience.totalYears'] = { $gte: years };
+    }
+  }
+
+  // Currency filters compare the stored expiry dates with now, so lapsed
+  // currency stops matching without the summary being recalculated.
+  // nightCurrent applies to currentOnType when given, otherwise to any type.
+  if (currentOnType || nightCurrent === 'true') {
+    const now = new Date();
+    const typeMatch = {};
+    if (currentOnType) {
+      await aircraftCatalog.load();
+      typeMatch.aircraftType = aircraftCatalog.normalizeName(currentOnType);
+      typeMatch.expiresOn = { $gt: now };
+    }
+    if (nightCurrent === 'true') typeMatch.nightExpiresOn = { $gt: now };
+    query['currency.byType'] = { $elemMatch: typeMatch };
+  }
+  if (instrumentCurrent === 'true') {
+    query['currency.instrument.expiresOn'] = { $gt: new Date() };
+  }
+
+  // Location filters match a profile's base airport or preferred locations,
+  // named by IATA/ICAO code or city
+  const locationFilters = [];
+  if (location) {
+    const airport = airports.findAirport(location);
+    locationFilters.push(airport ? airports.locationKeys([airport]) : [location]);
+  }
+
+  let center = null;
+  if (near) {
+    center = airports.findAirport(near);
+    if (!center) {
+      throw new APIError(`Unknown airport: ${near}`, 400);
+    }
+    const radius = Number(radiusKm || config.search?.defaultRadiusKm || DEFAULT_RADIUS_KM);
+    if (!(radius > 0)) {
+      throw new APIError('radiusKm must be a positive number', 400);
+    }
+    locationFilters.push(airports.locationKeys(airports.airportsNear(center, radius).map(({ airport }) => airport)));
+  }
+
+  if (country || region) {
+    locationFilters.push(airports.locationKeys(airports.airportsIn({ country, region })));
+  }
+
+  if (locationFilters.length > 0) {
+    query.$and = locationFilters.map(keys => ({
+      $or: [{ baseAirport: { $in: keys } }, { preferredLocations: { $in: keys } }]
+    }));
+  }
+
+  // Availability comes from published calendars. With availabilityMatch=full
+  // only people free for the whole window match; partial ranks by overlap.
+  // The legacy availability=true means free today, which still includes
+  // profiles with the old isAvailable flag and no calendar.
+  let coverage = null;
+  if (availableFrom || availability === 'true') {
+    if (!['full', 'partial'].includes(availabilityMatch)) {
+      throw new APIError('availabilityMatch must be full or partial', 400);
+    }
+
+    const window = availableFrom
+      ? availabilityCalendar.parseWindow(availableFrom, availableTo)
+      : availabilityCalendar.parseWindow(new Date());
+    coverage = await availabilityCalendar.findCoverage(window, {
+      includeStandby: includeStandby === 'true',
+      includeFlagged: !availableFrom
+    });
+
+    const threshold = availabilityMatch === 'full' ? 1 : Number(minOverlap || 0);
+    restrictToIds(query, [...coverage.keys()].filter(id => coverage.get(id).overlap >= threshold));
+  }
+
+  // Free-text search narrows the filter to users the local index matched
+  let relevance = null;
+  let textMatches = null;
+  if (q && q.trim()) {
+    const { matches, total, capped } = await professionalIndex.search(q);
+    relevance = new Map(matches.map(match => [match.id, match]));
+    restrictToIds(query, matches.map(match => match.id));
+    textMatches = { total, capped, ...(capped && { limit: matches.length }) };
+  }
+
+  // Leave out crew who would breach a flight or duty limit, or their rest,
+  // if assigned ftlBlockHours from ftlStart. Runs last so the exclusion
+  // applies on top of any id restriction.
+  if (ftlBlockHours) {
+    const hours = Number(ftlBlockHours);
+    const start = ftlStart ? new Date(ftlStart) : new Date();
+    if (!(hours > 0)) {
+      throw new APIError('ftlBlockHours must be a positive number', 400);
+    }
+    if (isNaN(start)) {
+      throw new APIError('Invalid ftlStart date', 400);
+    }
+
+    // Only the people the other filters left need checking
+    const breaching = await ftl.findBreaching({ hours, start, ruleSet: ftlRuleSet, userIds: query._id?.$in });
+    if (breaching.everyone) {
+      restrictToIds(query, []);
+    } else if (breaching.userIds.length > 0) {
+      query._id = { ...query._id, $nin: breaching.userIds };
+    }
+  }
+
+  return { query, relevance, textMatches, center, coverage, availabilityMatch };
+};
+
+// Fields the database sorts on, with their paths, and orderings computed in memory
+const SORT_PATHS = {
+  totalFlightHours: 'totalFlightHours',
+  verifiedFlightHours: 'verifiedFlightHours',
+  name: 'name',
+  createdAt: 'createdAt',
+  experience: 'experience.totalYears'
+};
+const SORT_FIELDS = Object.keys(SORT_PATHS);
+const RANKINGS = ['relevance', 'distance', 'availability'];
+
+// Resolve sortBy/sortOrder to either a database sort { field, direction } or
+// an in-memory ranking { rankBy }. Unknown fields are rejected rather than
+// passed to the database. The sort key identifies the order in cursors.
+exports.chooseSort = (search, sortBy, sortOrder = 'desc') => {
+  if (sortBy && !SORT_FIELDS.includes(sortBy) && !RANKINGS.includes(sortBy)) {
+    throw new APIError(`Unsupported sortBy. Supported values: ${[...SORT_FIELDS, ...RANKINGS].join(', ')}`, 400);
+  }
+  if (!['asc', 'desc'].includes(sortOrder)) {
+    throw new APIError('sortOrder must be asc or desc', 400);
+  }
+
+  let rankBy = RANKINGS.includes(sortBy) ? sortBy : null;
+  if (!sortBy && search.relevance) {
+    rankBy = 'relevance';
+  } else if (!sortBy && search.coverage && search.availabilityMatch === 'partial') {
+    rankBy = 'availability';
+  }
+
+  if (rankBy === 'relevance' && !search.relevance) {
+    throw new APIError('Sorting by relevance needs a q search', 400);
+  }
+  if (rankBy === 'distance' && !search.center) {
+    throw new APIError('Sorting by distance needs a near airport', 400);
+  }
+  if (rankBy === 'availability' && !search.coverage) {
+    throw new APIError('Sorting by availability needs availableFrom', 400);
+  }
+
+  if (rankBy) return { rankBy, key: rankBy };
+
+  const field = sortBy || 'totalFlightHours';
+  return { field: SORT_PATHS[field], direction: sortOrder === 'desc' ? -1 : 1, key: `${field}:${sortOrder}` };
+};
+
+// Every matching id with its ranking key, nearest, most relevant or most
+// available first and by id within equal keys
+exports.rankIds = async (search, rankBy) => {
+  const candidates = await User.find(search.query).select('_id baseAirport preferredLocations').lean();
+  const rankKeys = {
+    distance: candidate => distanceFrom(search.center, candidate) ?? Number.MAX_VALUE,
+    relevance: candidate => -search.relevance.get(String(candidate._id)).score,
+    availability: candidate => -search.coverage.get(String(candidate._id)).overlap
+  };
+
+  return candidates
+    .map(candidate => ({ id: String(candidate._id), key: rankKeys[rankBy](candidate) }))
+    .sort((a, b) => a.key - b.key || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+};
+
+// Ids of everyone matching the parameters, in no particular order
+exports.findMatchingIds = async (params) => {
+  const search = await exports.buildSearch(params);
+  const matches = await User.find(search.query).select('_id').lean();
+  return matches.map(match => String(match._id));
+};
+
+// The query as an aggregation $match. Aggregations skip schema casting, so
+// the id restriction and exclusion need ObjectIds.
+exports.toMatchStage = (query) => ({
+  $match: query._id
+    ? {
+      ...query,
+      _id: Object.fromEntries(Object.entries(query._id)
+        .map(([operator, ids]) => [operator, ids.map(id => new mongoose.Types.ObjectId(id))]))
+    }
+    : query
+});
+
+// Search-specific fields added to each result
+exports.describeMatch = (search, professional) => {
+  const id = String(professional._id);
+  const match = search.relevance?.get(id);
+  const distance = search.center ? distanceFrom(search.center, professional) : null;
+
+  return {
+    ...(match && { relevance: { score: match.score, matched: match.matched } }),
+    ...(search.center && { distanceKm: distance === null ? null : Math.round(distance) }),
+    ...(search.coverage && { availability: search.coverage.get(id) })
+  };
+};
+
+// Only the filter parameters, e.g. for storing a saved search
+exports.pickFilters = (params) => FILTERS
+  .filter(name => params[name] !== undefined && params[name] !== '')
+  .reduce((filters, name) => ({ ...filters, [name]: String(params[name]) }), {});
+
+exports.FILTERS = FILTERS;
+exports.SORT_FIELDS = SORT_FIELDS;
+exports.RANKINGS = RANKINGS;
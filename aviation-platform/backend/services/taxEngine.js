@@ -0,0 +1,106 @@
+const TaxRuleSet = require('../models/taxRuleSetModel');
+const config = require('../config/config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RESIDENCY = 'DEFAULT';
+
+// Used until an admin stores a DEFAULT rule set: the flat 20% tax and 5%
+// insurance on earnings that payroll applied before rule sets existed
+const BUILT_IN_RULE_SET = {
+  country: DEFAULT_RESIDENCY,
+  version: 0,
+  effectiveFrom: new Date(0),
+  taxBrackets: [{ rate: 0.2 }],
+  socialInsurance: { rate: 0.05 },
+  pension: { employeeRate: 0 },
+  allowanceExemption: { rate: 1 },
+  notes: 'Built-in flat rates'
+};
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Tax residency as captured by setupPayroll
+exports.getTaxResidency = (user) => {
+  const taxInformation = user?.payroll?.taxInformation || {};
+  const residency = taxInformation.taxResidency || taxInformation.residency || taxInformation.country;
+  return residency ? String(residency).toUpperCase() : null;
+};
+
+// Rule set for a residency that is in force at the given date, falling back
+// to the DEFAULT residency when the country has no rules configured, and to
+// the built-in rates when there is no DEFAULT either
+exports.findRuleSet = async (residency, date) => {
+  const countries = residency ? [residency, DEFAULT_RESIDENCY] : [DEFAULT_RESIDENCY];
+
+  for (const country of countries) {
+    const ruleSet = await TaxRuleSet.findOne({
+      country,
+      effectiveFrom: { $lte: date },
+      $or: [{ effectiveTo: null }, { effectiveTo: { $gte: date } }]
+    }).sort({ effectiveFrom: -1, version: -1 });
+
+    if (ruleSet) return ruleSet;
+  }
+
+  return config.payroll?.defaultTaxRuleSet || BUILT_IN_RULE_SET;
+};
+
+// Progressive tax on an annual amount
+const bracketTax = (brackets, annualIncome) => {
+  let lowerBound = 0;
+  let tax = 0;
+
+  for (const { upTo, rate } of brackets) {
+    const upperBound = upTo == null ? Infinity : upTo;
+    if (annualIncome <= lowerBound) break;
+
+    tax += (Math.min(annualIncome, upperBound) - lowerBound) * rate;
+    lowerBound = upperBound;
+  }
+
+  return tax;
+};
+
+// Apply a rule set to a period's earnings. Annual caps and brackets are
+// prorated by the share of the year the pay period covers.
+exports.calculateDeductions = (ruleSet, earnings, { startDate, endDate }) => {
+  const periodDays = Math.max(1, Math.round((new Date(endDate) - new Date(startDate)) / DAY_MS) + 1);
+  const periodsPerYear = 365 / periodDays;
+  const prorate = (annualCap) => (annualCap == null ? Infinity : annualCap / periodsPerYear);
+
+  const base = earnings.base || 0;
+  const overtime = earnings.overtime || 0;
+  const bonuses = earnings.bonuses || 0;
+  const allowances = earnings.allowances || 0;
+
+  const exemption = ruleSet.allowanceExemption || {};
+  const exemptAllowances = Math.min(allowances * (exemption.rate || 0), prorate(exemption.annualCap));
+
+  const contributoryEarnings = base + overtime + bonuses;
+
+  const socialInsurance = ruleSet.socialInsurance || {};
+  const insurance = Math.min(contributoryEarnings, prorate(socialInsurance.annualCap)) *
+    (socialInsurance.rate || 0);
+
+  const pensionRules = ruleSet.pension || {};
+  const pension = Math.min(contributoryEarnings, prorate(pensionRules.annualCap)) *
+    (pensionRules.employeeRate || 0);
+
+  let taxableIncome = contributoryEarnings + allowances - exemptAllowances;
+  if (pensionRules.taxDeductible) taxableIncome -= pension;
+  taxableIncome = Math.max(0, taxableIncome);
+
+  const brackets = [...(ruleSet.taxBrackets || [])]
+    .sort((a, b) => (a.upTo == null ? Infinity : a.upTo) - (b.upTo == null ? Infinity : b.upTo));
+  const tax = bracketTax(brackets, taxableIncome * periodsPerYear) / periodsPerYear;
+
+  return {
+    tax: round(tax),
+    insurance: round(insurance),
+    pension: round(pension),
+    taxableIncome: round(taxableIncome),
+    exemptAllowances: round(exemptAllowances)
+  };
+};
+
+exports.BUILT_IN_RULE_SET = BUILT_IN_RULE_SET;
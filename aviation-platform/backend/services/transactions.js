@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+const { APIError } = require('../middlewares/errorHandler');
+
+// MongoDB only supports transactions on replica sets and sharded clusters;
+// a standalone server rejects them with IllegalOperation
+const isTransactionUnsupported = (error) => error.code === 20 ||
+  /Transaction numbers are only allowed/.test(error.message || '');
+
+// Run fn(session) in a transaction and return its result. Aborted
+// transactions leave saved documents as they were, so they can be saved again.
+exports.withTransaction = async (fn) => {
+  let result;
+  try {
+    await mongoose.connection.transaction(async (session) => {
+      result = await fn(session);
+    });
+  } catch (error) {
+    if (isTransactionUnsupported(error)) {
+      throw new APIError('This operation needs MongoDB running as a replica set; transactions are not available', 503);
+    }
+    throw error;
+  }
+  return result;
+};
@@ -0,0 +1,313 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const WorkHistory = require('../models/workHistoryModel');
+const LogbookEntry = require('../models/logbookEntryModel');
+const User = require('../models/userModel');
+const RegisteredEmployer = require('../models/registeredEmployerModel');
+const config = require('../config/config');
+const { APIError } = require('../middlewares/errorHandler');
+const notifications = require('./notifications');
+const experience = require('./experience');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DEFAULT_LINK_TTL_HOURS = 7 * 24;
+
+const DECISIONS = ['approve', 'dispute', 'amend'];
+const EMPLOYER_ROLES = ['employer', 'agency'];
+
+// Fields an employer may correct when amending, by path
+const AMENDABLE_FIELDS = ['period.startDate', 'period.endDate', 'position.title', 'flightRecords.totalHours'];
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const formatDate = (date) => (date ? new Date(date).toISOString().substr(0, 10) : 'present');
+
+const getPath = (object, path) => path.split('.').reduce((current, part) => current?.[part], object);
+
+// Verification status and history as shown to the professional; the link
+// token hash never leaves the server
+exports.describe = (workHistory) => {
+  const { tokenHash, ...verification } = workHistory.toObject().verification || { status: 'unverified' };
+  return {
+    ...verification,
+    history: workHistory.verificationHistory || []
+  };
+};
+
+// Store the sum of verified entries' hours on the user, for search and stats
+exports.refreshVerifiedHours = async (userId, { session } = {}) => {
+  const [result] = await WorkHistory.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(String(userId)), 'verification.status': 'verified' } },
+    { $group: { _id: null, hours: { $sum: '$flightRecords.totalHours' } } }
+  ]).session(session || null);
+
+  const verifiedFlightHours = result ? result.hours : 0;
+  await User.updateOne({ _id: userId }, { $set: { verifiedFlightHours } }, { session });
+  return verifiedFlightHours;
+};
+
+// Whether a verifier speaks for the entry's employer: one of its registered
+// accounts, or an address at one of its registered email domains
+const isLinkedVerifier = (employer, { account, email }) => {
+  if (!employer) return false;
+  if (account) {
+    return employer.accounts.some(id => String(id) === String(account));
+  }
+  const domain = email.split('@')[1];
+  return employer.domains.some(registered => domain === registered || domain.endsWith(`.${registered}`));
+};
+
+// Send a confirmed request to the verifier: a notification for an employer
+// account, or an email with a one-time link
+const sendRequest = async (workHistory, owner) => {
+  const { verification } = workHistory;
+  let token = null;
+
+  if (verification.verifier.email) {
+    token = crypto.randomBytes(32).toString('base64url');
+    verification.tokenHash = hashToken(token);
+    verification.tokenExpiresAt = new Date(Date.now() +
+      (config.verification?.linkTtlHours || DEFAULT_LINK_TTL_HOURS) * HOUR_MS);
+  }
+  await workHistory.save();
+
+  const data = {
+    professional: owner?.name,
+    employer: workHistory.employer?.name,
+    position: workHistory.position?.title,
+    startDate: formatDate(workHistory.period?.startDate),
+    endDate: formatDate(workHistory.period?.endDate),
+    hours: workHistory.flightRecords?.totalHours || 0
+  };
+  const baseUrl = config.verification?.baseUrl || '';
+
+  if (token) {
+    try {
+      await notifications.emailAddress(verification.verifier.email, notifications.EVENTS.WORK_HISTORY_VERIFICATION_REQUESTED, {
+        ...data,
+        link: `${baseUrl}/verify/${token}`
+      });
+    } catch (error) {
+      throw new APIError(`The verification link could not be emailed: ${error.message}`, 502);
+    }
+  } else {
+    notifications.notifyInBackground(verification.verifier.account, notifications.EVENTS.WORK_HISTORY_VERIFICATION_REQUESTED, {
+      ...data,
+      link: `${baseUrl}/verifications`
+    });
+  }
+
+  return workHistory;
+};
+
+// Ask the employer to verify an entry, either through their employer account
+// or by emailing a signed one-time link. Verifiers not registered for the
+// entry's employer wait for an admin to confirm them before anything is sent.
+exports.requestVerification = async (workHistory, requester, { employerAccount, email, note } = {}) => {
+  const status = workHistory.verification?.status || 'unverified';
+  if (status === 'verified') {
+    throw new APIError('This entry is already verified', 409);
+  }
+  if (!employerAccount === !email) {
+    throw new APIError('Give either an employer account or an employer email address', 400);
+  }
+
+  const verification = { status: 'pending', requestedAt: new Date(), verifier: {} };
+
+  if (employerAccount) {
+    const employer = await User.findById(employerAccount).select('name role');
+    if (!employer || !EMPLOYER_ROLES.includes(employer.role)) {
+      throw new APIError('Employer account not found', 404);
+    }
+    verification.verifier = { account: employer._id, name: employer.name };
+  } else {
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      throw new APIError('Invalid employer email address', 400);
+    }
+    verification.verifier = { email: email.toLowerCase() };
+  }
+
+  const owner = await User.findById(workHistory.user).select('name email');
+  if (String(verification.verifier.account) === String(workHistory.user) ||
+    (owner?.email && verification.verifier.email === owner.email.toLowerCase())) {
+    throw new APIError('Professionals cannot verify their own work history', 400);
+  }
+
+  const registered = await RegisteredEmployer.findByName(workHistory.employer?.name);
+  verification.confirmed = isLinkedVerifier(registered, verification.verifier);
+
+  workHistory.verification = verification;
+  workHistory.verificationHistory.push({
+    action: 'requested',
+    actor: { user: requester.id },
+    at: verification.requestedAt,
+    note,
+    verifier: verification.verifier
+  });
+
+  if (!verification.confirmed) {
+    await workHistory.save();
+    return workHistory;
+  }
+  return sendRequest(workHistory, owner);
+};
+
+const assertAwaitingConfirmation = (workHistory) => {
+  if (workHistory.verification?.status !== 'pending' || workHistory.verification.confirmed !== false) {
+    throw new APIError('This entry has no verifier awaiting confirmation', 409);
+  }
+};
+
+// Admin confirmation that an unregistered verifier speaks for the employer;
+// the request is sent to them afterwards
+exports.confirmVerifier = async (workHistory, admin, { note } = {}) => {
+  assertAwaitingConfirmation(workHistory);
+
+  workHistory.verification.confirmed = true;
+  workHistory.verificationHistory.push({
+    action: 'confirmed',
+    actor: { user: admin.id },
+    at: new Date(),
+    note,
+    verifier: workHistory.verification.verifier
+  });
+
+  const owner = await User.findById(workHistory.user).select('name');
+  return sendRequest(workHistory, owner);
+};
+
+// Admin rejection of an unregistered verifier; the professional can ask
+// someone else
+exports.rejectVerifier = async (workHistory, admin, { note } = {}) => {
+  assertAwaitingConfirmation(workHistory);
+  if (!note) {
+    throw new APIError('A note explaining the rejection is required', 400);
+  }
+
+  const { verifier } = workHistory.verification;
+  workHistory.verification.status = 'unverified';
+  workHistory.verificationHistory.push({
+    action: 'rejected',
+    actor: { user: admin.id },
+    at: new Date(),
+    note,
+    verifier
+  });
+  await workHistory.save();
+
+  notifications.notifyInBackground(workHistory.user, notifications.EVENTS.WORK_HISTORY_VERIFIER_REJECTED, {
+    employer: workHistory.employer?.name,
+    verifier: verifier.name || verifier.email,
+    note
+  });
+
+  return workHistory;
+};
+
+// Pending entry for a link token; links work once and expire
+exports.findByToken = async (token) => {
+  const workHistory = await WorkHistory.findOne({
+    'verification.tokenHash': hashToken(token),
+    'verification.status': 'pending'
+  });
+
+  if (!workHistory) {
+    throw new APIError('Verification link is invalid or has already been used', 404);
+  }
+  if (workHistory.verification.tokenExpiresAt < new Date()) {
+    throw new APIError('Verification link has expired', 410);
+  }
+  return workHistory;
+};
+
+// Corrections from an amend decision as [{ field, from, to }]
+const readAmendments = (workHistory, amendments = {}) => AMENDABLE_FIELDS
+  .map(field => ({ field, from: getPath(workHistory, field), to: getPath(amendments, field) }))
+  .filter(change => change.to !== undefined && String(change.to) !== String(change.from));
+
+// Record the employer's decision. actor is { user } for an employer account
+// or { email, name } for a link.
+exports.decide = async (workHistory, actor, { decision, note, amendments } = {}) => {
+  if (!DECISIONS.includes(decision)) {
+    throw new APIError(`Decision must be one of: ${DECISIONS.join(', ')}`, 400);
+  }
+  if (workHistory.verification?.status !== 'pending') {
+    throw new APIError('This entry is not awaiting verification', 409);
+  }
+  if (workHistory.verification.confirmed === false) {
+    throw new APIError('The verifier for this entry has not been confirmed yet', 409);
+  }
+  if (decision === 'dispute' && !note) {
+    throw new APIError('A note explaining the dispute is required', 400);
+  }
+
+  let changes = [];
+  if (decision === 'amend') {
+    changes = readAmendments(workHistory, amendments);
+    if (changes.length === 0) {
+      throw new APIError(`Amendments must change at least one of: ${AMENDABLE_FIELDS.join(', ')}`, 400);
+    }
+    if (changes.some(change => change.field === 'flightRecords.totalHours') &&
+      await LogbookEntry.exists({ workHistory: workHistory._id })) {
+      throw new APIError('Flight hours for this entry come from its logbook and cannot be amended', 409);
+    }
+    changes.forEach(change => workHistory.set(change.field, change.to));
+  }
+
+  const now = new Date();
+
+  workHistory.verification.status = decision === 'dispute' ? 'disputed' : 'verified';
+  workHistory.verification.amended = decision === 'amend';
+  workHistory.verification.decidedAt = now;
+  workHistory.verification.tokenHash = undefined;
+  workHistory.verification.tokenExpiresAt = undefined;
+  workHistory.verificationHistory.push({
+    action: decision === 'approve' ? 'approved' : decision === 'amend' ? 'amended' : 'disputed',
+    actor,
+    at: now,
+    note,
+    changes
+  });
+  await workHistory.save();
+
+  // Amended hours and dates flow through to the profile
+  const hoursChange = changes.find(change => change.field === 'flightRecords.totalHours');
+  if (hoursChange) {
+    await User.findByIdAndUpdate(workHistory.user, {
+      $inc: { totalFlightHours: Number(hoursChange.to) - Number(hoursChange.from || 0) }
+    });
+  }
+  if (changes.some(change => change.field.startsWith('period.'))) {
+    await experience.recalculate(workHistory.user);
+  }
+  await exports.refreshVerifiedHours(workHistory.user);
+
+  notifications.notifyInBackground(
+    workHistory.user,
+    decision === 'dispute' ? notifications.EVENTS.WORK_HISTORY_DISPUTED : notifications.EVENTS.WORK_HISTORY_VERIFIED,
+    { employer: workHistory.employer?.name, note, amended: decision === 'amend' }
+  );
+
+  return workHistory;
+};
+
+// Edits by the professional void an earlier verification or request
+exports.reset = async (workHistoryId, reason, { session } = {}) => {
+  const workHistory = await WorkHistory.findOneAndUpdate(
+    { _id: workHistoryId, 'verification.status': { $in: ['pending', 'verified', 'disputed'] } },
+    {
+      $set: { 'verification.status': 'unverified' },
+      $unset: { 'verification.tokenHash': '', 'verification.tokenExpiresAt': '' },
+      $push: { verificationHistory: { action: 'reset', at: new Date(), note: reason } }
+    },
+    { new: true, session }
+  );
+
+  if (workHistory) {
+    await exports.refreshVerifiedHours(workHistory.user, { session });
+  }
+  return workHistory;
+};
+
+exports.DECISIONS = DECISIONS;
+exports.AMENDABLE_FIELDS = AMENDABLE_FIELDS;
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadModule } = require('./helpers/loadModule');
+
+const now = new Date('2025-06-30T00:00:00Z');
+
+const entries = [
+  { date: '2025-06-20', aircraftType: 'A320', landings: { day: 1 }, approaches: [{ type: 'ILS', count: 2 }] },
+  { date: '2025-06-10', aircraftType: 'A320', landings: { day: 1, night: 1 } },
+  { date: '2025-06-01', aircraftType: 'B738', landings: { day: 3 } },
+  { date: '2025-05-01', aircraftType: 'A320', landings: { day: 1, night: 2 } },
+  // Outside the 90 day lookback but inside the 6 month instrument period
+  { date: '2025-01-01', aircraftType: 'A320', landings: { day: 1 }, approaches: [{ type: 'RNP', count: 4 }] }
+].map(entry => ({ ...entry, date: new Date(entry.date) }));
+
+test('currency lapses 90 days after the event that brings each count to the minimum', () => {
+  const currency = loadModule('services/currency');
+
+  const { byType } = currency.summarize(entries, now);
+
+  assert.deepStrictEqual(byType.map(type => type.aircraftType), ['A320', 'B738']);
+  const [a320, b738] = byType;
+  assert.deepStrictEqual(
+    [a320.takeoffs, a320.landings, a320.nightLandings, a320.lastFlight],
+    [3, 6, 3, new Date('2025-06-20')]
+  );
+  // Takeoffs reach 3 on 1 May and landings on 10 June; the earlier lapse counts
+  assert.deepStrictEqual([a320.current, a320.expiresOn], [true, new Date('2025-07-30')]);
+  assert.deepStrictEqual([a320.nightCurrent, a320.nightExpiresOn], [true, new Date('2025-07-30')]);
+  // Three landings but a single takeoff
+  assert.deepStrictEqual([b738.current, b738.expiresOn, b738.nightCurrent], [false, null, false]);
+});
+
+test('instrument currency counts approaches over the instrument period', () => {
+  const currency = loadModule('services/currency');
+
+  const { instrument } = currency.summarize(entries, now);
+
+  assert.deepStrictEqual(instrument, { approaches: 6, current: true, expiresOn: new Date('2025-07-01') });
+  assert.strictEqual(currency.summarize(entries.slice(0, 4), now).instrument.current, false);
+});
+
+test('configured rules replace the defaults', () => {
+  const currency = loadModule('services/currency', {
+    'config/config': { currency: { minTakeoffs: 1, minLandings: 1 } }
+  });
+
+  const b738 = currency.summarize(entries, now).byType.find(type => type.aircraftType === 'B738');
+
+  assert.deepStrictEqual([b738.current, b738.expiresOn], [true, new Date('2025-08-30')]);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadModule } = require('./helpers/loadModule');
+
+const ftl = loadModule('services/ftl');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// At most 10 flight hours in 7 days and 12 hours of rest between duties
+const ruleSet = {
+  code: 'TEST',
+  limits: [{ measure: 'flight', period: 'rollingDays', length: 7, maxHours: 10 }],
+  rest: { minHours: 12 },
+  duty: { reportMinutes: 60, releaseMinutes: 30, splitHours: 4 }
+};
+
+const at = (time) => new Date(`2025-03-${time}Z`).getTime();
+
+const flight = (time, hours) => ({ start: at(time), end: at(time) + hours * HOUR_MS, hours });
+
+test('flights less than splitHours apart share a duty period', () => {
+  const duties = ftl.dutyPeriods([
+    flight('01T20:00', 1),
+    flight('01T08:00', 2),
+    flight('01T12:00', 1)
+  ], ruleSet);
+
+  assert.deepStrictEqual(duties, [
+    { start: at('01T07:00'), end: at('01T13:30'), flightHours: 3, hours: 6.5 },
+    { start: at('01T19:00'), end: at('01T21:30'), flightHours: 1, hours: 2.5 }
+  ]);
+});
+
+test('evaluate warns near a limit and reports the rest still owed', () => {
+  const flights = [flight('01T08:00', 3), flight('02T08:00', 3), flight('03T08:00', 3)];
+
+  const result = ftl.evaluate(flights, ruleSet, at('03T20:00'));
+
+  assert.strictEqual(result.status, 'warning');
+  assert.deepStrictEqual(
+    result.limits.map(limit => [limit.usedHours, limit.remainingHours, limit.status]),
+    [[9, 1, 'warning']]
+  );
+  assert.deepStrictEqual(result.rest.lastDutyEnd, new Date(at('03T11:30')));
+  assert.deepStrictEqual(result.rest.restRequiredUntil, new Date(at('03T23:30')));
+  assert.deepStrictEqual(result.rest.violations, []);
+});
+
+test('evaluate reports short rest between duties as a breach', () => {
+  const result = ftl.evaluate([flight('01T08:00', 2), flight('01T18:00', 1)], ruleSet, at('02T12:00'));
+
+  assert.strictEqual(result.status, 'breach');
+  assert.strictEqual(result.limits[0].status, 'compliant');
+  assert.deepStrictEqual(result.rest.violations, [{
+    restStart: new Date(at('01T10:30')),
+    restEnd: new Date(at('01T17:00')),
+    restHours: 6.5,
+    requiredHours: 12
+  }]);
+});
+
+test('wouldBreach checks the limits and the rest after the previous duty', () => {
+  const flights = [flight('01T08:00', 3)];
+  const wouldBreach = (time, hours) => ftl.wouldBreach(flights, ruleSet, { start: at(time), hours });
+
+  // Within splitHours the assignment extends the same duty
+  assert.strictEqual(wouldBreach('01T13:00', 1), false);
+  // A new duty after only 5.5 hours of rest
+  assert.strictEqual(wouldBreach('01T18:00', 1), true);
+  // Reaching the 10 hour limit is allowed, going over it is not
+  assert.strictEqual(wouldBreach('02T08:00', 7), false);
+  assert.strictEqual(wouldBreach('02T08:00', 8), true);
+});
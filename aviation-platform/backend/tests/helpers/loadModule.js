@@ -0,0 +1,56 @@
+const Module = require('module');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '../..');
+
+class APIError extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.statusCode = statusCode;
+  }
+}
+
+// Stubs used unless a test passes its own: services load without a
+// database, configuration or the Express middlewares
+const DEFAULT_STUBS = {
+  'config/config': {},
+  'middlewares/errorHandler': { APIError }
+};
+
+// Key of a required module: its path from the backend root without the
+// extension, e.g. 'models/userModel', or the package name
+const stubKey = (request, parent) => {
+  if (!request.startsWith('.') || !parent?.filename) return request;
+  return path.relative(ROOT, path.resolve(path.dirname(parent.filename), request))
+    .replace(/\.js$/, '')
+    .split(path.sep)
+    .join('/');
+};
+
+// Require a backend module with some of its dependencies replaced, keyed as
+// above. Models that are not stubbed load as empty objects. Modules are
+// loaded afresh, so each call gets its own stubs.
+exports.loadModule = (modulePath, stubs = {}) => {
+  const allStubs = { ...DEFAULT_STUBS, ...stubs };
+  const originalLoad = Module._load;
+
+  Module._load = function (request, parent, ...rest) {
+    const key = stubKey(request, parent);
+    if (key in allStubs) return allStubs[key];
+    if (key.startsWith('models/')) return {};
+    return originalLoad.call(this, request, parent, ...rest);
+  };
+
+  try {
+    Object.keys(require.cache)
+      .filter(file => file.startsWith(ROOT) && !file.startsWith(path.join(ROOT, 'tests')))
+      .forEach((file) => {
+        delete require.cache[file];
+      });
+    return require(path.join(ROOT, modulePath));
+  } finally {
+    Module._load = originalLoad;
+  }
+};
+
+exports.APIError = APIError;
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadModule, APIError } = require('./helpers/loadModule');
+
+const TIME_FIELDS = ['picTime', 'sicTime', 'dualTime', 'instructionTime', 'nightTime', 'ifrTime'];
+
+// Logbook entries without a database: construction keeps the fields,
+// validation passes and find returns the entries already logged
+const logbookEntryModel = (logged) => class LogbookEntry {
+  static TIME_FIELDS = TIME_FIELDS;
+
+  static find() {
+    return { select: () => ({ lean: async () => logged }) };
+  }
+
+  constructor(fields) {
+    Object.assign(this, fields);
+  }
+
+  async validate() {}
+};
+
+const loadImport = (logged = []) => loadModule('services/logbookImport', {
+  'models/logbookEntryModel': logbookEntryModel(logged),
+  'models/aircraftTypeModel': { find: () => ({ lean: async () => [] }) },
+  'services/experience': {},
+  'services/logbook': {},
+  'services/transactions': {}
+});
+
+const workHistory = { _id: 'history-1', user: 'user-1' };
+
+const EASA_HEADERS = 'Date,Departure Place,Departure Time,Arrival Place,Arrival Time,Aircraft Type,Registration,PIC,Night,Landings Day,Landings Night,Remarks';
+
+test('an EASA layout is detected and its rows read', async () => {
+  const logbookImport = loadImport();
+  const csv = [
+    EASA_HEADERS,
+    '03/02/2025,EDDF,22:40,EGLL,00:10,Boeing 737-800,D-ABCD,1:30,1.5,0,1,"Late, diverted"'
+  ].join('\r\n');
+
+  const preview = await logbookImport.preview(workHistory, { csv });
+  const { entry } = preview.rows[0];
+
+  assert.strictEqual(preview.preset, 'easa');
+  assert.strictEqual(preview.dateFormat, 'DD/MM/YYYY');
+  assert.deepStrictEqual(preview.summary, { rows: 1, valid: 1, invalid: 0, duplicate: 0 });
+  assert.strictEqual(entry.aircraftType, 'B738');
+  assert.strictEqual(entry.remarks, 'Late, diverted');
+  assert.strictEqual(entry.blockOff.toISOString(), '2025-02-03T22:40:00.000Z');
+  // Arrival after midnight lands on the next day
+  assert.strictEqual(entry.blockOn.toISOString(), '2025-02-04T00:10:00.000Z');
+  assert.strictEqual(entry.picTime, 1.5);
+  assert.deepStrictEqual(entry.landings, { day: 0, night: 1 });
+});
+
+test('unreadable values make a row invalid, numbered as in a spreadsheet', async () => {
+  const logbookImport = loadImport();
+  const csv = [
+    EASA_HEADERS,
+    '03/02/2025,EDDF,08:00,EGLL,09:30,A320,D-AIZA,1.5,0,1,0,',
+    '31/02/2025,EDDF,08:00,EGLL,09:30,A320,D-AIZA,1.5,0,one,0,',
+    '04/02/2025,EDDF,25:00,EGLL,09:30,A320,D-AIZA,abc,0,1,0,'
+  ].join('\n');
+
+  const preview = await logbookImport.preview(workHistory, { csv });
+
+  assert.deepStrictEqual(preview.rows.map(row => [row.row, row.status]),
+    [[2, 'valid'], [3, 'invalid'], [4, 'invalid']]);
+  assert.deepStrictEqual(preview.rows[1].errors,
+    ['Invalid date "31/02/2025" for format DD/MM/YYYY', 'Landings must be whole numbers']);
+  assert.deepStrictEqual(preview.rows[2].errors, ['Invalid blockOff time "25:00"', 'Invalid picTime "abc"']);
+});
+
+test('flights already logged or repeated in the file are duplicates', async () => {
+  const logbookImport = loadImport([{
+    registration: 'D-AIZA',
+    departure: 'EDDF',
+    arrival: 'EGLL',
+    blockOff: new Date('2025-02-03T08:00:00Z')
+  }]);
+  const csv = [
+    'date,aircraftType,registration,departure,arrival,blockOff,blockOn',
+    '2025-02-03,A320,D-AIZA,EDDF,EGLL,08:00,09:30',
+    '2025-02-05,A320,D-AIZA,EGLL,EDDF,10:00,11:30',
+    '2025-02-05,A320,D-AIZA,EGLL,EDDF,10:00,11:30'
+  ].join('\n');
+
+  const preview = await logbookImport.preview(workHistory, { csv, preset: 'generic' });
+
+  assert.deepStrictEqual(preview.rows.map(row => row.status), ['duplicate', 'valid', 'duplicate']);
+  assert.deepStrictEqual(preview.summary, { rows: 3, valid: 1, invalid: 0, duplicate: 2 });
+});
+
+test('a mapping override supplies a missing column and unmapped required fields are rejected', async () => {
+  const logbookImport = loadImport();
+  const csv = [
+    'date,type,registration,departure,arrival,blockOff,blockOn',
+    '2025-02-03,A320,D-AIZA,EDDF,EGLL,08:00,09:30'
+  ].join('\n');
+
+  const preview = await logbookImport.preview(workHistory, { csv, preset: 'generic', mapping: { aircraftType: 'type' } });
+  assert.strictEqual(preview.rows[0].entry.aircraftType, 'A320');
+
+  await assert.rejects(logbookImport.preview(workHistory, { csv, preset: 'generic' }),
+    error => error instanceof APIError && error.statusCode === 400 && error.message === 'No column mapped for: aircraftType');
+  await assert.rejects(logbookImport.preview(workHistory, { csv, mapping: { tailNumber: 'registration' } }),
+    error => error instanceof APIError && error.statusCode === 400);
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadModule } = require('./helpers/loadModule');
+
+const user = { _id: 'user-1', name: 'Alex', payroll: { notificationPreferences: { email: false, webhook: false } } };
+
+// Delivery log held in memory. Like the model's partial index, only
+// deliveries with a dedupeKey are unique per channel.
+const deliveryModel = () => {
+  const saved = [];
+  return {
+    saved,
+    create: async (data) => {
+      if (data.dedupeKey && saved.some(delivery =>
+        delivery.dedupeKey === data.dedupeKey && delivery.channel === data.channel)) {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      }
+      const delivery = {
+        ...data,
+        attempts: 0,
+        toObject: () => ({ message: data.message }),
+        save: async () => {}
+      };
+      saved.push(delivery);
+      return delivery;
+    }
+  };
+};
+
+const loadNotifications = (deliveries, inbox) => loadModule('services/notifications', {
+  'models/userModel': { findById: () => ({ select: async () => user }) },
+  'models/notificationDeliveryModel': deliveries,
+  'models/notificationModel': { create: async (notification) => inbox.push(notification) },
+  'models/notificationTemplateModel': { find: () => ({ lean: async () => [] }) },
+  'services/jobs': { create: () => ({ start: () => {}, stop: () => {}, status: () => ({}) }) },
+  nodemailer: {}
+});
+
+test('notifications without a dedupeKey are all delivered', async () => {
+  const deliveries = deliveryModel();
+  const inbox = [];
+  const notifications = loadNotifications(deliveries, inbox);
+
+  await notifications.notify(user._id, notifications.EVENTS.PAYMENT_PROCESSED, { amount: '10.00' });
+  await notifications.notify(user._id, notifications.EVENTS.PAYSLIP_AVAILABLE, {});
+
+  assert.deepStrictEqual(deliveries.saved.map(delivery => delivery.channel), ['inApp', 'inApp']);
+  assert.deepStrictEqual(deliveries.saved.map(delivery => delivery.status), ['sent', 'sent']);
+  assert.strictEqual(inbox.length, 2);
+});
+
+test('a repeated dedupeKey is sent once', async () => {
+  const deliveries = deliveryModel();
+  const inbox = [];
+  const notifications = loadNotifications(deliveries, inbox);
+  const options = { dedupeKey: 'certification_expiring:cert-1' };
+
+  await notifications.notify(user._id, notifications.EVENTS.CERTIFICATION_EXPIRING, {}, options);
+  const repeated = await notifications.notify(user._id, notifications.EVENTS.CERTIFICATION_EXPIRING, {}, options);
+
+  assert.strictEqual(repeated.length, 0);
+  assert.strictEqual(inbox.length, 1);
+});
+
+test('a duplicate key error without a dedupeKey is not mistaken for a repeat', async () => {
+  const notifications = loadNotifications({
+    create: async () => {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+  }, []);
+
+  await assert.rejects(
+    notifications.notify(user._id, notifications.EVENTS.PAYMENT_PROCESSED, {}),
+    { code: 11000 }
+  );
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadModule, APIError } = require('./helpers/loadModule');
+
+// Enough of mongoose for cursor ids: 24 hex digit ObjectIds
+class ObjectId {
+  constructor(id) {
+    this.id = id;
+  }
+
+  static isValid(id) {
+    return /^[0-9a-f]{24}$/i.test(String(id));
+  }
+}
+
+const pagination = loadModule('services/search/pagination', {
+  mongoose: { Types: { ObjectId } }
+});
+
+const ids = ['a', 'b', 'c'].map(digit => digit.repeat(24));
+
+test('a page cursor decodes to the last row for the same sort', () => {
+  const rows = [
+    { _id: ids[0], totalFlightHours: 900 },
+    { _id: ids[1], totalFlightHours: 700 },
+    { _id: ids[2], totalFlightHours: 500 }
+  ];
+
+  const { page, nextCursor } = pagination.finishPage(rows, 2, 'flightHours', 'totalFlightHours');
+
+  assert.deepStrictEqual(page.map(row => row._id), ids.slice(0, 2));
+  assert.deepStrictEqual(pagination.decodeCursor(nextCursor, 'flightHours'),
+    { sort: 'flightHours', value: 700, id: ids[1] });
+});
+
+test('date sort values come back as dates and missing values as null', () => {
+  const joined = new Date('2024-03-01T00:00:00Z');
+  const byDate = pagination.finishPage(
+    [{ _id: ids[0], profile: { joinedAt: joined } }, { _id: ids[1] }], 1, 'joined', 'profile.joinedAt'
+  );
+  const missing = pagination.finishPage([{ _id: ids[0] }, { _id: ids[1] }], 1, 'joined', 'profile.joinedAt');
+
+  assert.deepStrictEqual(pagination.decodeCursor(byDate.nextCursor, 'joined').value, joined);
+  assert.strictEqual(pagination.decodeCursor(missing.nextCursor, 'joined').value, null);
+});
+
+test('the last page has no cursor', () => {
+  const { nextCursor } = pagination.finishPage([{ _id: ids[0] }], 2, 'flightHours', 'totalFlightHours');
+
+  assert.strictEqual(nextCursor, null);
+  assert.strictEqual(pagination.decodeCursor(undefined, 'flightHours'), null);
+});
+
+test('malformed cursors and cursors for another sort are rejected with 400', () => {
+  const { nextCursor } = pagination.finishPage(
+    [{ _id: ids[0], totalFlightHours: 1 }, { _id: ids[1] }], 1, 'flightHours', 'totalFlightHours'
+  );
+  const badId = Buffer.from(JSON.stringify({ sort: 'flightHours', value: 1, id: 'nope' })).toString('base64url');
+
+  for (const [cursor, sort] of [['not-a-cursor', 'flightHours'], [nextCursor, 'experience'], [badId, 'flightHours']]) {
+    assert.throws(() => pagination.decodeCursor(cursor, sort),
+      error => error instanceof APIError && error.statusCode === 400);
+  }
+});
+
+test('ranked pages continue after the cursor without repeating ids', () => {
+  const ranked = [
+    { id: ids[0], key: 1 },
+    { id: ids[1], key: 1 },
+    { id: ids[2], key: 2 }
+  ];
+
+  const first = pagination.pageRanked(ranked, 2, 'distance', null);
+  const second = pagination.pageRanked(ranked, 2, 'distance', pagination.decodeCursor(first.nextCursor, 'distance'));
+
+  assert.deepStrictEqual(first.ids, ids.slice(0, 2));
+  assert.deepStrictEqual(second, { ids: [ids[2]], nextCursor: null });
+});
+
+test('limits default to 10 and are clamped to 1-100', () => {
+  assert.deepStrictEqual(['abc', '0', '-5', '25', '500'].map(pagination.parseLimit), [10, 10, 1, 25, 100]);
+});
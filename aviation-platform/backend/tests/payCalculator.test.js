@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const payCalculator = require('../services/payCalculator');
+
+const january = { startDate: new Date('2025-01-01'), endDate: new Date('2025-01-31') };
+const february = { startDate: new Date('2025-02-01'), endDate: new Date('2025-02-28') };
+const now = new Date('2025-03-15');
+
+const contract = {
+  hourlyRates: [{ aircraftType: 'A320', rate: 100 }],
+  defaultHourlyRate: 50,
+  perDiem: { dailyRate: 40 }
+};
+
+const totalHours = (activity) => [...activity.hoursByType.values()].reduce((sum, hours) => sum + hours, 0);
+
+test('logbook hours are paid in the month they were flown', () => {
+  const logbookEntries = [
+    { date: new Date('2025-01-10'), aircraftType: 'A320', blockTime: 4 },
+    { date: new Date('2025-01-10'), aircraftType: 'A320', blockTime: 3 },
+    { date: new Date('2025-01-31'), aircraftType: 'A320', blockTime: 2 },
+    { date: new Date('2025-02-01'), aircraftType: 'A320', blockTime: 5 }
+  ];
+  const activity = { workHistory: [], logbookEntries, logbookWorkHistoryIds: new Set() };
+
+  const januaryPay = payCalculator.calculatePay(contract, payCalculator.periodActivity(activity, january, now), january);
+  const februaryPay = payCalculator.calculatePay(contract, payCalculator.periodActivity(activity, february, now), february);
+
+  assert.strictEqual(januaryPay.flightHours, 9);
+  assert.strictEqual(februaryPay.flightHours, 5);
+  assert.strictEqual(januaryPay.earnings.base, 900);
+  assert.strictEqual(februaryPay.earnings.base, 500);
+});
+
+test('consecutive months do not both pay the aggregate hours of a work history entry', () => {
+  const workHistory = [{
+    _id: 'wh1',
+    period: { startDate: new Date('2024-01-01'), endDate: null },
+    flightRecords: { totalHours: 1500, aircraftTypes: [{ aircraft: 'A320', hours: 1200 }] }
+  }];
+  const activity = { workHistory, logbookEntries: [], logbookWorkHistoryIds: new Set() };
+
+  const januaryHours = totalHours(payCalculator.periodActivity(activity, january, now));
+  const februaryHours = totalHours(payCalculator.periodActivity(activity, february, now));
+
+  assert.ok(januaryHours < 1500 / 10);
+  assert.ok(februaryHours < 1500 / 10);
+  // 31 and 28 of the 439 days employed up to now
+  assert.ok(Math.abs(januaryHours + februaryHours - 1500 * 59 / 439) < 0.05);
+});
+
+test('work history with a logbook is paid from the logbook only', () => {
+  const activity = {
+    workHistory: [{
+      _id: 'wh1',
+      period: { startDate: new Date('2024-01-01') },
+      flightRecords: { totalHours: 1500, aircraftTypes: [{ aircraft: 'A320', hours: 1500 }] }
+    }],
+    logbookEntries: [{ date: new Date('2025-01-05'), aircraftType: 'A320', blockTime: 6 }],
+    logbookWorkHistoryIds: new Set(['wh1'])
+  };
+
+  assert.strictEqual(totalHours(payCalculator.periodActivity(activity, january, now)), 6);
+  assert.strictEqual(totalHours(payCalculator.periodActivity(activity, february, now)), 0);
+});
+
+test('per diem is paid for days flown, not days employed', () => {
+  const activity = payCalculator.periodActivity({
+    workHistory: [{
+      _id: 'wh1',
+      period: { startDate: new Date('2024-01-01') },
+      flightRecords: { totalHours: 0 }
+    }],
+    logbookEntries: [
+      { date: new Date('2025-01-10T06:00:00Z'), aircraftType: 'A320', blockTime: 2 },
+      { date: new Date('2025-01-10T15:00:00Z'), aircraftType: 'A320', blockTime: 2 },
+      { date: new Date('2025-01-12'), aircraftType: 'B738', blockTime: 3 }
+    ]
+  }, january, now);
+
+  const pay = payCalculator.calculatePay(contract, activity, january);
+  const perDiem = pay.lineItems.find(lineItem => lineItem.description === 'Per diem');
+
+  assert.strictEqual(perDiem.quantity, 2);
+  assert.strictEqual(pay.earnings.allowances, 80);
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadModule } = require('./helpers/loadModule');
+
+// Saved search as the alert job loads it, with notifiedIds selected
+const savedSearchDoc = (fields = {}) => ({
+  _id: 'search-1',
+  user: 'owner-1',
+  name: 'Captains',
+  filters: new Map([['role', 'pilot']]),
+  alerts: { enabled: true },
+  newMatches: [],
+  notifiedIds: [],
+  save: async () => {},
+  ...fields
+});
+
+// Alerts with the search returning the ids in matches.current
+const loadAlerts = (matches, sent, config = {}) => loadModule('services/savedSearchAlerts', {
+  'models/savedSearchModel': {},
+  'config/config': config,
+  'services/jobs': { create: () => ({ start: () => {}, stop: () => {}, status: () => ({}) }) },
+  'services/search/professionalSearch': { findMatchingIds: async () => matches.current },
+  'services/notifications': {
+    EVENTS: { SAVED_SEARCH_MATCHES: 'saved_search_matches' },
+    notifyInBackground: (user, event, data) => sent.push(data.users)
+  }
+});
+
+test('the first run records current matches without alerting', async () => {
+  const matches = { current: ['u1', 'u2'] };
+  const sent = [];
+  const alerts = loadAlerts(matches, sent);
+  const savedSearch = savedSearchDoc();
+
+  const added = await alerts.evaluate(savedSearch);
+
+  assert.deepStrictEqual(added, []);
+  assert.deepStrictEqual(savedSearch.notifiedIds, ['u1', 'u2']);
+  assert.ok(savedSearch.lastRunAt);
+  assert.strictEqual(sent.length, 0);
+});
+
+test('later runs alert once per new match and forget ids that stop matching', async () => {
+  const matches = { current: ['u1', 'u2'] };
+  const sent = [];
+  const alerts = loadAlerts(matches, sent);
+  const savedSearch = savedSearchDoc();
+  await alerts.evaluate(savedSearch);
+
+  matches.current = ['u2', 'u3'];
+  assert.deepStrictEqual(await alerts.evaluate(savedSearch), ['u3']);
+  assert.deepStrictEqual(await alerts.evaluate(savedSearch), []);
+
+  // u1 matches again after dropping out, so it is new again
+  matches.current = ['u1', 'u2', 'u3'];
+  assert.deepStrictEqual(await alerts.evaluate(savedSearch), ['u1']);
+
+  assert.deepStrictEqual(sent, [['u3'], ['u1']]);
+  assert.deepStrictEqual(savedSearch.newMatches.map(match => match.user), ['u3', 'u1']);
+});
+
+test('notified ids are capped and further matches wait for room', async () => {
+  const matches = { current: ['u1', 'u2'] };
+  const sent = [];
+  const alerts = loadAlerts(matches, sent, { savedSearches: { maxNotifiedIds: 2 } });
+  const savedSearch = savedSearchDoc();
+  await alerts.evaluate(savedSearch);
+
+  matches.current = ['u1', 'u2', 'u3'];
+  assert.deepStrictEqual(await alerts.evaluate(savedSearch), []);
+  assert.deepStrictEqual(savedSearch.notifiedIds, ['u1', 'u2']);
+
+  matches.current = ['u2', 'u3'];
+  assert.deepStrictEqual(await alerts.evaluate(savedSearch), ['u3']);
+  assert.deepStrictEqual(savedSearch.notifiedIds, ['u2', 'u3']);
+});
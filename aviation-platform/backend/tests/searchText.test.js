@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalize, tokenize, editDistance } = require('../services/search/text');
+const { loadModule } = require('./helpers/loadModule');
+
+test('text is lowercased, stripped of accents and split into words', () => {
+  assert.strictEqual(normalize('Zürich Ångström'), 'zurich angstrom');
+  assert.deepStrictEqual(tokenize('First Officer, B737-800 (type-rated)'), ['first', 'officer', 'b737', '800', 'type', 'rated']);
+  assert.deepStrictEqual(tokenize(null), []);
+});
+
+test('edit distance counts insertions, deletions and substitutions', () => {
+  assert.strictEqual(editDistance('captain', 'captain'), 0);
+  assert.strictEqual(editDistance('captain', 'captian'), 2);
+  assert.strictEqual(editDistance('pilot', 'pilots'), 1);
+  assert.strictEqual(editDistance('kitten', 'sitting'), 3);
+  assert.strictEqual(editDistance('', 'abc'), 3);
+});
+
+test('edit distance gives up past the maximum', () => {
+  assert.strictEqual(editDistance('instructor', 'inspector', 1), 2);
+  assert.strictEqual(editDistance('a', 'abcdef', 2), 3);
+});
+
+const users = [
+  { _id: 'u1', name: 'Maria Lopez', role: 'pilot', aircraftTypes: ['B738'], skills: ['Captain'] },
+  { _id: 'u2', name: 'John Smith', role: 'pilot', aircraftTypes: ['A320'], skills: ['Instructor'] },
+  { _id: 'u3', name: 'Anna Berg', role: 'engineer', skills: ['Avionics'] }
+];
+
+const loadIndex = (config = {}) => loadModule('services/search/professionalIndex', {
+  'config/config': config,
+  'models/userModel': {
+    find: () => ({ select: () => ({ lean: () => ({ cursor: () => users }) }) })
+  },
+  'models/aircraftTypeModel': { find: () => ({ lean: async () => [] }) },
+  'services/experience': {}
+});
+
+const ids = ({ matches }) => matches.map(match => match.id);
+
+test('free text matches typos, prefixes and aircraft aliases', async () => {
+  const index = loadIndex();
+
+  assert.deepStrictEqual(ids(await index.search('instrcutor')), ['u2']);
+  assert.deepStrictEqual(ids(await index.search('avion')), ['u3']);
+  assert.deepStrictEqual(ids(await index.search('Boeing 737-800')), ['u1']);
+  assert.deepStrictEqual(ids(await index.search('zzz')), []);
+});
+
+test('exact hits rank above prefix and fuzzy ones', async () => {
+  users.push(
+    { _id: 'u4', name: 'Lee Park', skills: ['Captaincy'] },
+    { _id: 'u5', name: 'Sam Cole', skills: ['Captan'] }
+  );
+
+  try {
+    const { matches } = await loadIndex().search('captain');
+    assert.deepStrictEqual(matches.map(match => match.id), ['u1', 'u4', 'u5']);
+  } finally {
+    users.splice(3);
+  }
+});
+
+test('results are only capped when maxResults is configured', async () => {
+  const all = await loadIndex().search('pilot');
+  assert.strictEqual(all.matches.length, 2);
+  assert.strictEqual(all.capped, false);
+
+  const capped = await loadIndex({ search: { maxResults: 1 } }).search('pilot');
+  assert.strictEqual(capped.matches.length, 1);
+  assert.strictEqual(capped.total, 2);
+  assert.strictEqual(capped.capped, true);
+});
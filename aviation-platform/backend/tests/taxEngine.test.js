@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadModule } = require('./helpers/loadModule');
+
+// Rule sets stored for a country, newest first as findRuleSet sorts them
+const ruleSetModel = (ruleSets) => ({
+  findOne: ({ country }) => ({
+    sort: async () => ruleSets.find(ruleSet => ruleSet.country === country) || null
+  })
+});
+
+const taxEngine = loadModule('services/taxEngine', {
+  'models/taxRuleSetModel': ruleSetModel([])
+});
+
+const year = { startDate: new Date('2025-01-01'), endDate: new Date('2025-12-31') };
+
+test('brackets tax each slice of income at its own rate', () => {
+  const ruleSet = {
+    taxBrackets: [
+      { upTo: 50000, rate: 0.3 },
+      { upTo: 10000, rate: 0 },
+      { rate: 0.5 }
+    ]
+  };
+
+  const deductions = taxEngine.calculateDeductions(ruleSet, { base: 60000 }, year);
+
+  // 10000 at 0%, 40000 at 30% and 10000 at 50%
+  assert.strictEqual(deductions.tax, 17000);
+  assert.strictEqual(deductions.taxableIncome, 60000);
+});
+
+test('brackets and caps are prorated to the pay period', () => {
+  const ruleSet = {
+    taxBrackets: [{ upTo: 36500, rate: 0 }, { rate: 0.2 }],
+    socialInsurance: { rate: 0.1, annualCap: 36500 }
+  };
+  const tenDays = { startDate: new Date('2025-03-01'), endDate: new Date('2025-03-10') };
+
+  const deductions = taxEngine.calculateDeductions(ruleSet, { base: 2000 }, tenDays);
+
+  // Ten days of a 36500 annual threshold is 1000
+  assert.strictEqual(deductions.tax, 200);
+  assert.strictEqual(deductions.insurance, 100);
+});
+
+test('exempt allowances and deductible pension lower taxable income', () => {
+  const ruleSet = {
+    taxBrackets: [{ rate: 0.25 }],
+    pension: { employeeRate: 0.1, taxDeductible: true },
+    allowanceExemption: { rate: 0.5 }
+  };
+
+  const deductions = taxEngine.calculateDeductions(ruleSet, { base: 10000, allowances: 2000 }, year);
+
+  assert.strictEqual(deductions.exemptAllowances, 1000);
+  assert.strictEqual(deductions.pension, 1000);
+  assert.strictEqual(deductions.taxableIncome, 10000);
+  assert.strictEqual(deductions.tax, 2500);
+});
+
+test('the built-in rule set keeps the flat 20% tax and 5% insurance', () => {
+  const deductions = taxEngine.calculateDeductions(taxEngine.BUILT_IN_RULE_SET, { base: 1000, allowances: 100 }, year);
+
+  assert.strictEqual(deductions.tax, 200);
+  assert.strictEqual(deductions.insurance, 50);
+});
+
+test('rule sets fall back to DEFAULT and then to the built-in rates', async () => {
+  const defaultRules = { country: 'DEFAULT', taxBrackets: [{ rate: 0.1 }] };
+  const withDefault = loadModule('services/taxEngine', {
+    'models/taxRuleSetModel': ruleSetModel([{ country: 'GB', taxBrackets: [] }, defaultRules])
+  });
+
+  assert.strictEqual((await withDefault.findRuleSet('GB', new Date())).country, 'GB');
+  assert.strictEqual(await withDefault.findRuleSet('FR', new Date()), defaultRules);
+  assert.strictEqual(await taxEngine.findRuleSet('FR', new Date()), taxEngine.BUILT_IN_RULE_SET);
+});
+
+test('tax residency is read from the payroll tax information', () => {
+  assert.strictEqual(taxEngine.getTaxResidency({ payroll: { taxInformation: { country: 'gb' } } }), 'GB');
+  assert.strictEqual(taxEngine.getTaxResidency({}), null);
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { isPrivateAddress, checkWebhookUrl } = require('../services/notifications/webhookTargets');
+
+test('internal addresses are private', () => {
+  [
+    '127.0.0.1',
+    '10.20.30.40',
+    '172.16.5.1',
+    '192.168.1.1',
+    '169.254.169.254',
+    '100.64.0.1',
+    '0.0.0.0',
+    '::1',
+    '::',
+    'fe80::1',
+    'fd12:3456::1',
+    '::ffff:127.0.0.1',
+    '::ffff:a9fe:a9fe'
+  ].forEach(address => assert.strictEqual(isPrivateAddress(address), true, address));
+});
+
+test('public addresses are not private', () => {
+  ['93.184.216.34', '8.8.8.8', '172.32.0.1', '2606:4700:4700::1111']
+    .forEach(address => assert.strictEqual(isPrivateAddress(address), false, address));
+});
+
+test('webhook URLs must be https and public', async () => {
+  assert.match(await checkWebhookUrl('http://93.184.216.34/hook'), /https/);
+  assert.match(await checkWebhookUrl('https://169.254.169.254/latest/meta-data'), /private/);
+  assert.match(await checkWebhookUrl('https://[::ffff:10.0.0.1]/hook'), /private/);
+  assert.match(await checkWebhookUrl('not a url'), /valid URL/);
+  assert.strictEqual(await checkWebhookUrl('https://93.184.216.34/hook'), null);
+});
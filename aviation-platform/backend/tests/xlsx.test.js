@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const { renderXlsx } = require('../services/documents/xlsx');
+
+// Files of a zip archive by name, read from the central directory
+const unzip = (buffer) => {
+  const files = {};
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  let offset = buffer.readUInt32LE(end + 16);
+
+  for (let index = 0; index < buffer.readUInt16LE(end + 10); index++) {
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26);
+    files[name] = zlib.inflateRawSync(buffer.subarray(dataStart, dataStart + compressedSize)).toString('utf8');
+    offset += 46 + nameLength;
+  }
+  return files;
+};
+
+const columns = [
+  { header: 'Name', value: row => row.name },
+  { header: 'Net', value: row => row.net },
+  { header: 'Paid At', value: row => row.paidAt }
+];
+
+test('workbook contains every part of a spreadsheet package', () => {
+  const files = unzip(renderXlsx(columns, []));
+
+  assert.deepStrictEqual(Object.keys(files).sort(), [
+    '[Content_Types].xml',
+    '_rels/.rels',
+    'xl/_rels/workbook.xml.rels',
+    'xl/styles.xml',
+    'xl/workbook.xml',
+    'xl/worksheets/sheet1.xml'
+  ]);
+});
+
+test('numbers stay numeric and text is escaped', () => {
+  const sheet = unzip(renderXlsx(columns, [
+    { name: 'O\'Neil <Ops> & "Crew"\u0007', net: 1234.5, paidAt: new Date('2025-02-01T00:00:00Z') }
+  ]))['xl/worksheets/sheet1.xml'];
+
+  assert.match(sheet, /<c r="B2"><v>1234.5<\/v><\/c>/);
+  assert.match(sheet, /O'Neil &lt;Ops&gt; &amp; &quot;Crew&quot;<\/t>/);
+  assert.match(sheet, /2025-02-01T00:00:00.000Z/);
+});
+
+test('sheet names are cut to what spreadsheet applications accept', () => {
+  const workbook = unzip(renderXlsx(columns, [], { sheetName: 'payroll/2025-01-01-2025-01-31 export' }))['xl/workbook.xml'];
+
+  assert.match(workbook, /name="payroll 2025-01-01-2025-01-31 e"/);
+});